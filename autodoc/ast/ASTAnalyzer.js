@@ -2,7 +2,65 @@ import { parse } from '@babel/parser';
 import traverse from '@babel/traverse';
 import * as t from '@babel/types';
 import fs from 'fs/promises';
+import { existsSync, readFileSync, statSync } from 'fs';
 import path from 'path';
+import ModelSchemaExtractor from './ModelSchemaExtractor.js';
+
+// req properties whose fields end up as documented parameters
+const REQUEST_SOURCES = ['body', 'query', 'params', 'headers'];
+
+// Calls whose argument is being converted to a known type
+const CONVERSIONS = {
+  parseInt: 'integer',
+  'Number.parseInt': 'integer',
+  'Number.isInteger': 'integer',
+  parseFloat: 'number',
+  'Number.parseFloat': 'number',
+  Number: 'number',
+  'Number.isNaN': 'number',
+  isNaN: 'number',
+  Boolean: 'boolean',
+  'Array.isArray': 'array'
+};
+
+const STRING_METHODS = ['toLowerCase', 'toUpperCase', 'trim', 'trimStart', 'trimEnd', 'split', 'startsWith',
+  'endsWith', 'replace', 'replaceAll', 'padStart', 'padEnd', 'charAt', 'match', 'normalize', 'localeCompare'];
+
+const ARRAY_METHODS = ['map', 'filter', 'forEach', 'reduce', 'some', 'every', 'find', 'findIndex', 'join', 'flatMap'];
+
+// typeof results that map onto JSON schema types
+const JSON_TYPES = ['string', 'number', 'boolean', 'object'];
+
+// Nodes a function expression sits in when its JSDoc block is written above the declaration
+const DOC_COMMENT_WRAPPERS = ['VariableDeclarator', 'VariableDeclaration', 'ExportNamedDeclaration',
+  'ExportDefaultDeclaration', 'AssignmentExpression', 'ExpressionStatement', 'ObjectProperty'];
+
+// JSDoc type names mapped onto JSON schema types
+const ANNOTATION_TYPES = {
+  string: 'string', number: 'number', integer: 'integer', int: 'integer', boolean: 'boolean',
+  bool: 'boolean', object: 'object', array: 'array', date: 'string'
+};
+
+// Type arguments of Express' Request<Params, ResBody, ReqBody, Query> and RequestHandler<...>
+const REQUEST_TYPE_ARGUMENTS = ['params', 'response', 'body', 'query'];
+
+// Response methods that identify a handler's response parameter
+const RESPONSE_METHODS = [
+  'status', 'json', 'send', 'sendStatus', 'end', 'redirect', 'sendFile', 'download', 'render', 'cookie', 'clearCookie', 'setHeader'
+];
+
+// MIME types of res.type() shorthands and file extensions
+const CONTENT_TYPES = {
+  json: 'application/json', html: 'text/html', htm: 'text/html', txt: 'text/plain', text: 'text/plain',
+  csv: 'text/csv', md: 'text/markdown', css: 'text/css', js: 'application/javascript', xml: 'application/xml',
+  pdf: 'application/pdf', zip: 'application/zip', gz: 'application/gzip', bin: 'application/octet-stream',
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml',
+  mp3: 'audio/mpeg', mp4: 'video/mp4', xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Suffixes tried when resolving a relative import to a file
+const MODULE_SUFFIXES = ['', '.js', '.mjs', '.cjs', '.ts', '/index.js', '/index.ts'];
 
 /**
  * AST Code Analyzer
@@ -15,7 +73,21 @@ import path from 'path';
  * - Return values
  */
 class ASTAnalyzer {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxCallDepth=3] - How many levels of helper/service calls to follow
+   * @param {Function} [options.isRegisteredModel] - Whether the app registered a Mongoose model by name
+   */
+  constructor(options = {}) {
+    this.maxCallDepth = Number.isInteger(options.maxCallDepth) ? options.maxCallDepth : 3;
+    this.isRegisteredModel = options.isRegisteredModel || (() => false);
+    // Parsed helper modules by absolute path (null when unreadable)
+    this.modules = new Map();
+    // Helper analyses by function node, then by depth, argument binding and response state
+    this.helperAnalyses = new WeakMap();
+    // Analyses cut short by recursion; they depend on the call chain, so they aren't cached
+    this.truncatedAnalyses = new WeakSet();
+    this.modelExtractor = new ModelSchemaExtractor();
     this.parserOptions = {
       sourceType: 'module',
       plugins: [
@@ -67,7 +139,7 @@ class ASTAnalyzer {
       traverse.default(ast, {
         // Capture function declarations
         FunctionDeclaration: (path) => {
-          const functionAnalysis = this._analyzeFunctionNode(path.node, code);
+          const functionAnalysis = this._analyzeFunctionNode(path.node, code, null, { path, file: fileName });
           analysis.functions.push(functionAnalysis);
         },
 
@@ -78,15 +150,57 @@ class ASTAnalyzer {
             const functionAnalysis = this._analyzeFunctionNode(
               path.node.init, 
               code, 
-              path.node.id.name
+              path.node.id.name,
+              { path: path.get('init'), file: fileName }
             );
             analysis.functions.push(functionAnalysis);
           }
+
+          // Capture CommonJS imports: const { create } = require('./controller')
+          const required = this._requiredImport(path.node.init);
+          if (required) {
+            analysis.imports.push({
+              source: required.source,
+              specifiers: this._requireSpecifiers(path.node.id, required.imported),
+              commonjs: true
+            });
+          }
+        },
+
+        // Capture CommonJS exports: exports.create = (req, res) => {}, module.exports = { list() {} }
+        AssignmentExpression: (path) => {
+          const exported = this._commonJSExport(path.node.left);
+          if (exported === null) {
+            return;
+          }
+
+          const right = path.get('right');
+          const members = exported === 'default' && right.isObjectExpression()
+            ? right.get('properties')
+              .filter(prop => (prop.isObjectMethod() || prop.isObjectProperty()) && !prop.node.computed)
+              .map(prop => ({ name: prop.node.key.name || prop.node.key.value, value: prop.isObjectMethod() ? prop : prop.get('value') }))
+            : [{ name: exported, value: right }];
+
+          members.forEach(({ name, value }) => {
+            if (name === 'default') {
+              analysis.exports.push({ type: 'default', name: this._getExportName(value.node), commonjs: true });
+            } else {
+              analysis.exports.push({ type: value.isFunction() ? 'function' : 'variable', name, commonjs: true });
+            }
+            if (value.isFunction()) {
+              analysis.functions.push(this._analyzeFunctionNode(
+                value.node,
+                code,
+                name === 'default' ? null : name,
+                { path: value, file: fileName }
+              ));
+            }
+          });
         },
 
         // Capture class methods
         ClassMethod: (path) => {
-          const functionAnalysis = this._analyzeFunctionNode(path.node, code);
+          const functionAnalysis = this._analyzeFunctionNode(path.node, code, null, { path, file: fileName });
           analysis.functions.push(functionAnalysis);
         },
 
@@ -141,276 +255,2870 @@ class ASTAnalyzer {
   }
 
   /**
-   * Analyze function node in detail
-   * @param {Object} node - AST function node
-   * @param {string} code - Source code for context
-   * @param {string} customName - Custom function name (for arrow functions)
-   * @returns {Object} Detailed function analysis
-   * @private
+   * Analyze the function defined at a source location, in its module context
+   * @param {string} code - Full module source
+   * @param {number} line - 1-based line of the function start
+   * @param {number} column - 0-based column of the function start
+   * @param {string} fileName - File name for reference
+   * @returns {Object|null} Function analysis or null if no function starts there
    */
-  _analyzeFunctionNode(node, code, customName = null) {
-    const analysis = {
-      name: customName || (node.id ? node.id.name : 'anonymous'),
-      isAsync: node.async || false,
-      isArrow: t.isArrowFunctionExpression(node),
-      isClass: t.isClassMethod(node),
-      parameters: [],
-      requestUsage: {
-        body: [],
-        query: [],
-        params: [],
-        headers: []
-      },
-      responseUsage: {
-        statusCodes: [],
-        jsonCalls: [],
-        sendCalls: [],
-        structures: []
-      },
-      errors: {
-        thrown: [],
-        statusCodes: []
-      },
-      returnValues: [],
-      middlewareChecks: []
-    };
+  analyzeFunctionAt(code, line, column, fileName = 'unknown') {
+    let ast;
+    try {
+      ast = parse(code, this.parserOptions);
+    } catch (error) {
+      console.error(`Error parsing ${fileName}:`, error.message);
+      return null;
+    }
 
-    // Extract parameters
-    analysis.parameters = this._extractParameters(node.params);
+    let result = null;
+    traverse.default(ast, {
+      Function: (path) => {
+        const start = path.node.loc.start;
+        if (start.line !== line || start.column !== column) {
+          return;
+        }
 
-    // Traverse function body to extract usage patterns
-    traverse.default(node, {
-      // Detect req.body usage
-      MemberExpression: (path) => {
-        this._analyzeMemberExpression(path, analysis);
-      },
+        result = this._analyzeFunctionNode(path.node, code, this._functionName(path), { path, file: fileName });
+        path.stop();
+      }
+    });
 
-      // Detect response calls (res.json, res.status, etc.)
-      CallExpression: (path) => {
-        this._analyzeCallExpression(path, analysis);
-      },
+    return result;
+  }
 
-      // Detect thrown errors
-      ThrowStatement: (path) => {
-        this._analyzeThrowStatement(path, analysis);
-      },
+  /**
+   * Name an anonymous function takes from where it is defined:
+   * const create = () => {}, exports.create = () => {}, { create: () => {} } and { create() {} }
+   * @param {Object} path - Function path
+   * @returns {string|null} Name or null
+   * @private
+   */
+  _functionName(path) {
+    const parent = path.parent;
 
-      // Detect return statements
-      ReturnStatement: (path) => {
-        this._analyzeReturnStatement(path, analysis);
+    if (t.isVariableDeclarator(parent) && t.isIdentifier(parent.id)) {
+      return parent.id.name;
+    }
+    if (t.isAssignmentExpression(parent) && parent.right === path.node) {
+      const exported = this._commonJSExport(parent.left);
+      return exported && exported !== 'default' ? exported : null;
+    }
+    if (t.isObjectProperty(parent) && parent.value === path.node && !parent.computed) {
+      return parent.key.name || parent.key.value;
+    }
+    if (path.isObjectMethod() && !path.node.computed) {
+      return path.node.key.name || path.node.key.value;
+    }
+    return null;
+  }
+
+  /**
+   * Text of the JSDoc block written above a function
+   * Looks through the declaration the function is part of, so the block above
+   * export const create = async (req, res) => {} belongs to the arrow function
+   * @param {Object} path - Function path
+   * @returns {string|null} Comment text without the comment delimiters, or null
+   * @private
+   */
+  _leadingDocComment(path) {
+    let current = path;
+
+    while (current) {
+      const block = [...(current.node.leadingComments || [])].reverse()
+        .find(comment => comment.type === 'CommentBlock' && comment.value.startsWith('*'));
+      if (block) {
+        return block.value;
+      }
+      if (!current.parentPath || !DOC_COMMENT_WRAPPERS.includes(current.parentPath.type)) {
+        return null;
       }
-    }, node);
+      current = current.parentPath;
+    }
 
-    return analysis;
+    return null;
   }
 
   /**
-   * Extract parameter information from function params
-   * @param {Array} params - AST parameter nodes
-   * @returns {Array} Parameter information
+   * Parse a JSDoc block into documentation annotations
+   * Supports @summary, @description, @tags, @param {type} body.field - text,
+   * @returns {201} text, @deprecated and @example [request|response]
+   * Untagged leading text is the summary (first line) and description (the rest)
+   * @param {string} text - Comment text
+   * @returns {Object} Annotations
    * @private
    */
-  _extractParameters(params) {
-    return params.map(param => {
-      if (t.isIdentifier(param)) {
-        return { name: param.name, type: 'identifier' };
-      } else if (t.isObjectPattern(param)) {
-        // Destructured parameters
-        return {
-          name: 'destructured',
-          type: 'object',
-          properties: param.properties.map(prop => {
-            if (t.isObjectProperty(prop)) {
-              return prop.key.name;
-            } else if (t.isRestElement(prop)) {
-              return `...${prop.argument.name}`;
-            }
-            return 'unknown';
-          })
-        };
-      } else if (t.isArrayPattern(param)) {
-        return {
-          name: 'destructured',
-          type: 'array',
-          elements: param.elements.length
-        };
-      } else if (t.isRestElement(param)) {
-        return {
-          name: param.argument.name,
-          type: 'rest'
-        };
+  _parseDocComment(text) {
+    const annotations = {
+      summary: null,
+      description: null,
+      tags: [],
+      // { source, name, type, description, optional, default? }
+      params: [],
+      // { statusCode, type, description } - statusCode is null for @returns {Type}
+      responses: [],
+      deprecated: false,
+      deprecationNote: null,
+      examples: {}
+    };
+
+    const lines = text.split('\n').map(line => line.replace(/^\s*\*? ?/, ''));
+    const blocks = [{ tag: null, lines: [] }];
+    lines.forEach(line => {
+      const match = line.match(/^@(\w+)\s?(.*)$/);
+      if (match) {
+        blocks.push({ tag: match[1], lines: [match[2]] });
+      } else {
+        blocks[blocks.length - 1].lines.push(line);
+      }
+    });
+
+    blocks.forEach(({ tag, lines: blockLines }) => {
+      const content = blockLines.join('\n').trim();
+
+      switch (tag) {
+        case null: {
+          const [first, ...rest] = content.split('\n');
+          annotations.summary = first.trim() || null;
+          annotations.description = rest.join('\n').trim() || null;
+          break;
+        }
+        case 'summary':
+          annotations.summary = content.replace(/\s+/g, ' ');
+          break;
+        case 'description':
+        case 'desc':
+          annotations.description = content;
+          break;
+        case 'tag':
+        case 'tags':
+          annotations.tags.push(...content.split(/[,\s]+/).filter(Boolean));
+          break;
+        case 'param':
+        case 'arg': {
+          const param = this._parseParamTag(content);
+          if (param) {
+            annotations.params.push(param);
+          }
+          break;
+        }
+        case 'returns':
+        case 'return':
+        case 'response': {
+          const match = content.match(/^(?:\{([^}]*)\})?\s*(?:-\s*)?([\s\S]*)$/);
+          const type = match[1] ? match[1].trim() : null;
+          const statusCode = /^\d{3}$/.test(type) ? parseInt(type, 10) : null;
+          annotations.responses.push({
+            statusCode,
+            type: statusCode ? null : type,
+            description: match[2].replace(/\s+/g, ' ').trim() || null
+          });
+          break;
+        }
+        case 'deprecated':
+          annotations.deprecated = true;
+          annotations.deprecationNote = content || null;
+          break;
+        case 'example': {
+          const match = content.match(/^(request|response):?\s*([\s\S]*)$/i);
+          const target = match ? match[1].toLowerCase() : 'response';
+          const body = match ? match[2].trim() : content;
+          try {
+            annotations.examples[target] = JSON.parse(body);
+          } catch (error) {
+            annotations.examples[target] = body;
+          }
+          break;
+        }
+        default:
+          break;
       }
-      return { name: 'unknown', type: 'unknown' };
     });
+
+    return annotations;
   }
 
   /**
-   * Analyze member expressions (req.body, req.query, etc.)
-   * @param {Object} path - AST path
-   * @param {Object} analysis - Analysis object to populate
+   * Parse an @param tag naming a request field
+   * e.g. {string} body.email - Login email, {number} [query.page=1] - Page number
+   * Tags for the handler's own parameters (req, res) are skipped
+   * @param {string} content - Tag content
+   * @returns {Object|null} { source, name, type, description, optional, default? } or null
    * @private
    */
-  _analyzeMemberExpression(path, analysis) {
-    const node = path.node;
-    
-    // Check for req.body.field
-    if (t.isMemberExpression(node.object) &&
-        t.isIdentifier(node.object.object) &&
-        (node.object.object.name === 'req' || node.object.object.name === 'request')) {
-      
-      const reqProperty = node.object.property.name;
-      const field = node.property.name || node.property.value;
+  _parseParamTag(content) {
+    const match = content.match(/^(?:\{([^}]*)\}\s*)?(\[[^\]]*\]|\S+)\s*(?:-\s*)?([\s\S]*)$/);
+    if (!match) {
+      return null;
+    }
 
-      if (reqProperty === 'body' && field) {
-        analysis.requestUsage.body.push(field);
-      } else if (reqProperty === 'query' && field) {
-        analysis.requestUsage.query.push(field);
-      } else if (reqProperty === 'params' && field) {
-        analysis.requestUsage.params.push(field);
-      } else if (reqProperty === 'headers' && field) {
-        analysis.requestUsage.headers.push(field);
-      }
+    const optional = match[2].startsWith('[');
+    const [rawName, rawDefault] = optional ? match[2].slice(1, -1).split('=') : [match[2]];
+    const segments = rawName.trim().replace(/^(req|request)\./, '').split('.');
+    if (segments.length !== 2 || !REQUEST_SOURCES.includes(segments[0])) {
+      return null;
     }
 
-    // Check for direct req.body, req.query
-    if (t.isIdentifier(node.object) &&
-        (node.object.name === 'req' || node.object.name === 'request')) {
-      const property = node.property.name;
-      
-      if (property === 'body') {
-        analysis.requestUsage.body.push('__ALL__');
-      } else if (property === 'query') {
-        analysis.requestUsage.query.push('__ALL__');
-      } else if (property === 'params') {
-        analysis.requestUsage.params.push('__ALL__');
+    const param = {
+      source: segments[0],
+      name: segments[1],
+      type: this._annotationType(match[1]),
+      description: match[3].replace(/\s+/g, ' ').trim() || null,
+      optional
+    };
+    if (rawDefault !== undefined) {
+      try {
+        param.default = JSON.parse(rawDefault.trim());
+      } catch (error) {
+        param.default = rawDefault.trim();
       }
     }
+
+    return param;
   }
 
   /**
-   * Analyze call expressions (res.json, res.status, etc.)
-   * @param {Object} path - AST path
+   * Map a JSDoc type expression onto a JSON schema type
+   * @param {string} type - Type expression ('string', 'number[]', 'Array<string>')
+   * @returns {string|null} JSON schema type or null when unknown
+   * @private
+   */
+  _annotationType(type) {
+    if (!type) {
+      return null;
+    }
+    const normalized = type.trim().toLowerCase();
+    if (normalized.endsWith('[]') || normalized.startsWith('array')) {
+      return 'array';
+    }
+    return ANNOTATION_TYPES[normalized] || null;
+  }
+
+  /**
+   * Record schemas from a handler's TypeScript signature
+   * Reads Request<Params, ResBody, ReqBody, Query> on the request parameter,
+   * Response<ResBody> on the response parameter, and RequestHandler<...> on
+   * the variable the handler is assigned to
+   * @param {Object} functionPath - Handler path
+   * @param {Object} requestParam - Request parameter node
+   * @param {Object} responseParam - Response parameter node
    * @param {Object} analysis - Analysis object to populate
+   * @param {Object} module - { program, file } the handler is in
    * @private
    */
-  _analyzeCallExpression(path, analysis) {
-    const node = path.node;
+  _recordHandlerTypes(functionPath, requestParam, responseParam, analysis, module) {
+    const typeArguments = (param, name) => {
+      const annotation = param && param.typeAnnotation ? param.typeAnnotation.typeAnnotation : null;
+      return this._isTypeReference(annotation, name) && annotation.typeParameters
+        ? annotation.typeParameters.params
+        : [];
+    };
 
-    if (!t.isMemberExpression(node.callee)) {
-      return;
+    const handlerType = t.isVariableDeclarator(functionPath.parent) ? functionPath.parent.id : null;
+    const requestArguments = typeArguments(requestParam, 'Request');
+    [typeArguments(handlerType, 'RequestHandler'), requestArguments].forEach(args => {
+      args.forEach((arg, index) => {
+        const target = REQUEST_TYPE_ARGUMENTS[index];
+        if (target && !t.isTSAnyKeyword(arg) && !t.isTSUnknownKeyword(arg)) {
+          analysis.types[target] = this._typeToSchema(arg, module);
+        }
+      });
+    });
+
+    const [responseBody] = typeArguments(responseParam, 'Response');
+    if (responseBody) {
+      analysis.types.response = this._typeToSchema(responseBody, module);
     }
+  }
 
-    const object = node.callee.object;
-    const method = node.callee.property.name;
+  /**
+   * Record the schema of a typed local holding a request source or a response body
+   * e.g. const body: CreateUserBody = req.body, const user: UserResponse = ...; res.json(user)
+   * @param {Object} path - VariableDeclarator path
+   * @param {Object} analysis - Analysis object to populate
+   * @param {Object} module - { program, file } the function is in
+   * @private
+   */
+  _analyzeTypedLocal(path, analysis, module) {
+    const { id, init } = path.node;
+    const annotation = id.typeAnnotation ? id.typeAnnotation.typeAnnotation : null;
+    if (!annotation) {
+      return;
+    }
 
-    // Check for res.json()
-    if (t.isIdentifier(object) && 
-        (object.name === 'res' || object.name === 'response') &&
-        method === 'json') {
-      const argument = node.arguments[0];
-      if (argument) {
-        const structure = this._extractObjectStructure(argument);
-        analysis.responseUsage.jsonCalls.push(structure);
-        analysis.responseUsage.structures.push(structure);
-      }
+    const source = init ? this._requestSource(init, analysis) : null;
+    if (source) {
+      analysis.types[source] = this._typeToSchema(annotation, module);
+      return;
     }
 
-    // Check for res.status()
-    if (t.isIdentifier(object) && 
-        (object.name === 'res' || object.name === 'response') &&
-        method === 'status') {
-      const statusCode = this._extractLiteralValue(node.arguments[0]);
-      if (statusCode) {
-        analysis.responseUsage.statusCodes.push(statusCode);
-      }
+    const binding = t.isIdentifier(id) ? path.scope.getBinding(id.name) : null;
+    const sent = binding && binding.referencePaths.some(ref =>
+      ref.parentPath.isCallExpression() && ref.parent.arguments[0] === ref.node &&
+      this._isResponseBodyCall(ref.parent, analysis));
+    if (sent && !analysis.types.response) {
+      analysis.types.response = this._typeToSchema(annotation, module);
     }
+  }
 
-    // Check for res.send()
-    if (t.isIdentifier(object) && 
-        (object.name === 'res' || object.name === 'response') &&
-        method === 'send') {
-      const argument = node.arguments[0];
-      if (argument) {
-        const structure = this._extractObjectStructure(argument);
-        analysis.responseUsage.sendCalls.push(structure);
-      }
+  /**
+   * Check for res.json(x) / res.send(x), directly or after res.status()
+   * @param {Object} call - Call expression node
+   * @param {Object} analysis - Analysis object (for response aliases)
+   * @returns {boolean}
+   * @private
+   */
+  _isResponseBodyCall(call, analysis) {
+    const callee = call.callee;
+    if (!t.isMemberExpression(callee) || !['json', 'send'].includes(this._propertyName(callee))) {
+      return false;
     }
 
-    // Check for res.status().json() chain
-    if (t.isCallExpression(object) &&
-        t.isMemberExpression(object.callee) &&
-        object.callee.property.name === 'status' &&
-        method === 'json') {
-      const statusCode = this._extractLiteralValue(object.arguments[0]);
-      if (statusCode) {
-        analysis.responseUsage.statusCodes.push(statusCode);
-      }
-      const structure = this._extractObjectStructure(node.arguments[0]);
-      analysis.responseUsage.structures.push({ status: statusCode, ...structure });
+    const object = t.isCallExpression(callee.object) && t.isMemberExpression(callee.object.callee)
+      ? callee.object.callee.object
+      : callee.object;
+    return this._isResponseObject(object, analysis);
+  }
+
+  /**
+   * Check for a type reference by name (Request, express.Request)
+   * @param {Object} node - Type node
+   * @param {string} name - Type name
+   * @returns {boolean}
+   * @private
+   */
+  _isTypeReference(node, name) {
+    if (!t.isTSTypeReference(node)) {
+      return false;
     }
+    const typeName = t.isTSQualifiedName(node.typeName) ? node.typeName.right : node.typeName;
+    return t.isIdentifier(typeName, { name });
   }
 
   /**
-   * Analyze throw statements
-   * @param {Object} path - AST path
-   * @param {Object} analysis - Analysis object to populate
+   * Convert a TypeScript type to a JSON schema
+   * Handles keywords, literal types, unions (null becomes nullable, literals an enum),
+   * intersections, arrays, object literals and references to interfaces, type
+   * aliases and enums declared in the module or imported from relative files
+   * @param {Object} node - Type node
+   * @param {Object} module - { program, file, typeArguments? } the type appears in, with the
+   *   arguments bound to the type parameters of the declaration being expanded
+   * @param {Set} [seen] - Type names being expanded (stops recursive types)
+   * @returns {Object} JSON schema ({} when the type can't be described)
    * @private
    */
-  _analyzeThrowStatement(path, analysis) {
-    const argument = path.node.argument;
-    
-    if (t.isNewExpression(argument) && argument.callee.name === 'Error') {
-      const message = this._extractLiteralValue(argument.arguments[0]);
-      analysis.errors.thrown.push({
-        type: 'Error',
-        message: message || 'unknown'
-      });
-    } else if (t.isIdentifier(argument)) {
-      analysis.errors.thrown.push({
-        type: argument.name,
-        message: 'unknown'
-      });
+  _typeToSchema(node, module, seen = new Set()) {
+    if (!node) {
+      return {};
+    }
+
+    switch (node.type) {
+      case 'TSStringKeyword':
+        return { type: 'string' };
+      case 'TSNumberKeyword':
+        return { type: 'number' };
+      case 'TSBigIntKeyword':
+        return { type: 'integer' };
+      case 'TSBooleanKeyword':
+        return { type: 'boolean' };
+      case 'TSObjectKeyword':
+        return { type: 'object' };
+      case 'TSLiteralType':
+        return this._literalTypeSchema(node.literal);
+      case 'TSArrayType':
+        return { type: 'array', items: this._typeToSchema(node.elementType, module, seen) };
+      case 'TSTupleType':
+        return { type: 'array', minItems: node.elementTypes.length, maxItems: node.elementTypes.length };
+      case 'TSParenthesizedType':
+      case 'TSTypeOperator':
+        return this._typeToSchema(node.typeAnnotation, module, seen);
+      case 'TSTypeLiteral':
+        return this._membersToSchema(node.members, module, seen);
+      case 'TSUnionType':
+        return this._unionToSchema(node.types, module, seen);
+      case 'TSIntersectionType':
+        return node.types
+          .map(type => this._typeToSchema(type, module, seen))
+          .reduce((merged, schema) => this._mergeObjectSchemas(merged, schema));
+      case 'TSTypeReference':
+        return this._typeReferenceSchema(node, module, seen);
+      default:
+        return {};
     }
   }
 
   /**
-   * Analyze return statements
-   * @param {Object} path - AST path
-   * @param {Object} analysis - Analysis object to populate
+   * Schema of a literal type ('admin', 42, true)
+   * @param {Object} literal - Literal node
+   * @returns {Object} Schema with a single-value enum
    * @private
    */
-  _analyzeReturnStatement(path, analysis) {
-    const argument = path.node.argument;
-    if (argument) {
-      const structure = this._extractObjectStructure(argument);
-      analysis.returnValues.push(structure);
+  _literalTypeSchema(literal) {
+    if (t.isStringLiteral(literal)) {
+      return { type: 'string', enum: [literal.value] };
+    }
+    if (t.isNumericLiteral(literal)) {
+      return { type: 'number', enum: [literal.value] };
+    }
+    if (t.isBooleanLiteral(literal)) {
+      return { type: 'boolean', enum: [literal.value] };
     }
+    if (t.isUnaryExpression(literal, { operator: '-' }) && t.isNumericLiteral(literal.argument)) {
+      return { type: 'number', enum: [-literal.argument.value] };
+    }
+    return t.isTemplateLiteral(literal) ? { type: 'string' } : {};
   }
 
   /**
-   * Extract object structure from AST node
-   * @param {Object} node - AST node
-   * @returns {Object} Object structure
+   * Schema of an object type's members
+   * Optional members (name?: T) are left out of required; index signatures
+   * become additionalProperties
+   * @param {Array} members - Interface body or type literal members
+   * @param {Object} module - { program, file }
+   * @param {Set} seen - Type names being expanded
+   * @returns {Object} Object schema
    * @private
    */
-  _extractObjectStructure(node) {
-    if (t.isObjectExpression(node)) {
-      const obj = {};
-      node.properties.forEach(prop => {
-        if (t.isObjectProperty(prop) || t.isObjectMethod(prop)) {
-          const key = prop.key.name || prop.key.value;
-          const value = this._extractLiteralValue(prop.value);
-          obj[key] = value !== null ? value : 'unknown';
-        } else if (t.isSpreadElement(prop)) {
-          obj['...spread'] = 'object';
+  _membersToSchema(members, module, seen) {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    members.forEach(member => {
+      if (t.isTSPropertySignature(member) && !member.computed) {
+        const name = member.key.name ?? member.key.value;
+        schema.properties[name] = member.typeAnnotation
+          ? this._typeToSchema(member.typeAnnotation.typeAnnotation, module, seen)
+          : {};
+        if (!member.optional) {
+          required.push(name);
         }
-      });
-      return obj;
-    } else if (t.isArrayExpression(node)) {
-      return node.elements.map(el => this._extractObjectStructure(el));
-    } else {
-      return this._extractLiteralValue(node);
+      } else if (t.isTSIndexSignature(member) && member.typeAnnotation) {
+        schema.additionalProperties = this._typeToSchema(member.typeAnnotation.typeAnnotation, module, seen);
+      }
+    });
+
+    if (required.length > 0) {
+      schema.required = required;
     }
+    return schema;
+  }
+
+  /**
+   * Schema of a union type
+   * @param {Array} types - Union members
+   * @param {Object} module - { program, file }
+   * @param {Set} seen - Type names being expanded
+   * @returns {Object} Enum for literals of one type, the member itself for T | null, else oneOf
+   * @private
+   */
+  _unionToSchema(types, module, seen) {
+    const nullable = types.some(type => t.isTSNullKeyword(type) || t.isTSUndefinedKeyword(type));
+    const schemas = types
+      .filter(type => !t.isTSNullKeyword(type) && !t.isTSUndefinedKeyword(type))
+      .map(type => this._typeToSchema(type, module, seen));
+
+    let schema;
+    if (schemas.length === 1) {
+      schema = schemas[0];
+    } else if (schemas.length > 0 && schemas.every(s => s.enum && s.type === schemas[0].type)) {
+      schema = { type: schemas[0].type, enum: [...new Set(schemas.flatMap(s => s.enum))] };
+    } else {
+      schema = { oneOf: schemas };
+    }
+
+    return nullable ? { ...schema, nullable: true } : schema;
+  }
+
+  /**
+   * Combine two object schemas (intersections and interface extends)
+   * @param {Object} target - First schema
+   * @param {Object} source - Second schema
+   * @returns {Object} Merged object schema, or allOf when either isn't an object
+   * @private
+   */
+  _mergeObjectSchemas(target, source) {
+    if (!target.properties || !source.properties) {
+      return { allOf: [...(target.allOf || [target]), source] };
+    }
+
+    const required = [...new Set([...(target.required || []), ...(source.required || [])])];
+    return {
+      ...target,
+      ...source,
+      properties: { ...target.properties, ...source.properties },
+      ...(required.length > 0 ? { required } : {})
+    };
+  }
+
+  /**
+   * Schema of a named type: a type parameter of the declaration being expanded,
+   * built-in generics (Array, Record, Partial, Promise, Date) or an interface, type
+   * alias or enum declaration, with its type parameters bound to the arguments
+   * (Page<TreeNode> expands type Page<T> = { items: T[] } with T as TreeNode)
+   * @param {Object} node - TSTypeReference node
+   * @param {Object} module - { program, file, typeArguments? }
+   * @param {Set} seen - Type names being expanded
+   * @returns {Object} JSON schema
+   * @private
+   */
+  _typeReferenceSchema(node, module, seen) {
+    const name = t.isIdentifier(node.typeName) ? node.typeName.name : null;
+    const args = node.typeParameters ? node.typeParameters.params : [];
+
+    // T inside type Page<T>, described where the argument was written
+    const bound = name && module && module.typeArguments ? module.typeArguments[name] : null;
+    if (bound) {
+      return this._typeToSchema(bound.node, bound.module, bound.seen);
+    }
+
+    switch (name) {
+      case 'Array':
+      case 'ReadonlyArray':
+        return { type: 'array', items: this._typeToSchema(args[0], module, seen) };
+      case 'Record':
+        return { type: 'object', additionalProperties: this._typeToSchema(args[1], module, seen) };
+      case 'Partial': {
+        const { required, ...schema } = this._typeToSchema(args[0], module, seen);
+        return schema;
+      }
+      case 'Promise':
+      case 'Readonly':
+        return this._typeToSchema(args[0], module, seen);
+      case 'Date':
+        return { type: 'string', format: 'date-time' };
+      default:
+        break;
+    }
+
+    const found = name && !seen.has(name) ? this._findTypeDeclaration(name, module) : null;
+    if (!found) {
+      return {};
+    }
+
+    const declaration = found.path.node;
+    const expanding = new Set(seen).add(name);
+    const declared = this._bindTypeArguments(declaration, args, module, found.module, seen);
+
+    if (t.isTSInterfaceDeclaration(declaration)) {
+      return (declaration.extends || [])
+        .map(heritage => this._typeReferenceSchema(
+          { typeName: heritage.expression, typeParameters: heritage.typeParameters },
+          declared,
+          expanding
+        ))
+        .reduce(
+          (merged, parent) => this._mergeObjectSchemas(parent, merged),
+          this._membersToSchema(declaration.body.body, declared, expanding)
+        );
+    }
+    if (t.isTSTypeAliasDeclaration(declaration)) {
+      return this._typeToSchema(declaration.typeAnnotation, declared, expanding);
+    }
+
+    // enum Role { Admin = 'admin', User = 'user' }
+    let next = 0;
+    const values = declaration.members.map(member => {
+      const value = member.initializer ? member.initializer.value : next;
+      next = typeof value === 'number' ? value + 1 : next;
+      return value;
+    });
+    return { type: typeof values[0] === 'string' ? 'string' : 'number', enum: values };
+  }
+
+  /**
+   * Bind a generic declaration's type parameters to the arguments of a reference to it
+   * A parameter without an argument takes its default (ApiResponse<T, M = Meta>), and
+   * one without either is left unbound and described as {}
+   * @param {Object} declaration - Interface, type alias or enum declaration node
+   * @param {Array} args - Type argument nodes of the reference
+   * @param {Object} module - Module the reference (and so the arguments) appears in
+   * @param {Object} declaredIn - Module the declaration is in
+   * @param {Set} seen - Type names being expanded where the reference appears
+   * @returns {Object} declaredIn with typeArguments: { [parameter]: { node, module, seen } }
+   * @private
+   */
+  _bindTypeArguments(declaration, args, module, declaredIn, seen) {
+    const typeArguments = {};
+    const params = declaration.typeParameters ? declaration.typeParameters.params : [];
+
+    params.forEach((param, index) => {
+      // Babel 7 names type parameters with a string, Babel 8 with an Identifier
+      const name = typeof param.name === 'string' ? param.name : param.name.name;
+      if (args[index]) {
+        typeArguments[name] = { node: args[index], module, seen };
+      } else if (param.default) {
+        typeArguments[name] = { node: param.default, module: { ...declaredIn, typeArguments }, seen };
+      } else {
+        typeArguments[name] = { node: null, module, seen };
+      }
+    });
+
+    return { ...declaredIn, typeArguments };
+  }
+
+  /**
+   * Find the interface, type alias or enum declaring a type name,
+   * following imports and re-exports of relative modules
+   * @param {string} name - Type name
+   * @param {Object} module - { program, file } to look in
+   * @param {number} [hops=0] - Modules followed (guards against cycles)
+   * @returns {Object|null} { path, module } or null
+   * @private
+   */
+  _findTypeDeclaration(name, module, hops = 0) {
+    if (!module || hops > 5) {
+      return null;
+    }
+
+    for (const statement of module.program.get('body')) {
+      const declaration = statement.isExportNamedDeclaration() || statement.isExportDefaultDeclaration()
+        ? statement.get('declaration')
+        : statement;
+      if ((declaration.isTSInterfaceDeclaration() || declaration.isTSTypeAliasDeclaration() ||
+           declaration.isTSEnumDeclaration()) && declaration.node.id.name === name) {
+        return { path: declaration, module };
+      }
+
+      // import { User } from './types', export { User } from './types'
+      const imports = statement.isImportDeclaration();
+      if ((imports || statement.isExportNamedDeclaration()) && statement.node.source) {
+        const specifier = statement.node.specifiers.find(spec => {
+          const local = imports ? spec.local : spec.exported;
+          return local && (local.name || local.value) === name;
+        });
+        // Default and namespace specifiers name no single declaration
+        const imported = specifier && (imports ? specifier.imported : specifier.local);
+        if (imported) {
+          const source = this._loadModule(statement.node.source.value, module.file);
+          return this._findTypeDeclaration(imported.name || imported.value, source, hops + 1);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Export name assigned by a CommonJS export target
+   * @param {Object} node - Assignment target
+   * @returns {string|null} 'default' for module.exports, the member name for
+   *   exports.x / module.exports.x, null for anything else
+   * @private
+   */
+  _commonJSExport(node) {
+    const isModuleExports = (target) => t.isMemberExpression(target) &&
+      t.isIdentifier(target.object, { name: 'module' }) && this._propertyName(target) === 'exports';
+
+    if (isModuleExports(node)) {
+      return 'default';
+    }
+    if (t.isMemberExpression(node) &&
+        (t.isIdentifier(node.object, { name: 'exports' }) || isModuleExports(node.object))) {
+      return this._propertyName(node);
+    }
+    return null;
+  }
+
+  /**
+   * Source of a require() call, optionally followed by a member (require('./x').create)
+   * @param {Object} node - Initializer or expression
+   * @returns {Object|null} { source, imported } ('default' when the whole module is taken) or null
+   * @private
+   */
+  _requiredImport(node) {
+    if (t.isMemberExpression(node)) {
+      const required = this._requiredImport(node.object);
+      const name = this._propertyName(node);
+      return required && required.imported === 'default' && name ? { source: required.source, imported: name } : null;
+    }
+
+    const isRequire = t.isCallExpression(node) && t.isIdentifier(node.callee, { name: 'require' }) &&
+      node.arguments.length === 1 && t.isStringLiteral(node.arguments[0]);
+    return isRequire ? { source: node.arguments[0].value, imported: 'default' } : null;
+  }
+
+  /**
+   * Import specifiers of a require() binding, in the shape of ESM import specifiers
+   * @param {Object} id - Declared binding (identifier or object pattern)
+   * @param {string} imported - Member taken from the module ('default' for the whole module)
+   * @returns {Array<{name: string, imported: string}>}
+   * @private
+   */
+  _requireSpecifiers(id, imported) {
+    if (t.isIdentifier(id)) {
+      return [{ name: id.name, imported }];
+    }
+    if (!t.isObjectPattern(id) || imported !== 'default') {
+      return [];
+    }
+
+    return id.properties
+      .filter(prop => t.isObjectProperty(prop) && t.isIdentifier(prop.value))
+      .map(prop => ({ name: prop.value.name, imported: this._patternKey(prop) }));
+  }
+
+  /**
+   * Analyze function node in detail
+   * @param {Object} node - AST function node
+   * @param {string} code - Source code for context
+   * @param {string} customName - Custom function name (for arrow functions)
+   * @param {Object} [context] - Where the function lives and how it was reached
+   * @param {Object} [context.path] - Babel path of the function (gives scope bindings)
+   * @param {string} [context.file] - File the function is defined in (for relative imports)
+   * @param {Object} [context.aliases] - Request/response aliases for a helper's parameters
+   * @param {Array} [context.patterns] - Destructured parameters bound to a request source
+   * @param {number} [context.depth] - Helper call depth
+   * @param {Set} [context.stack] - Functions on the current call chain
+   * @param {Object} [context.responseSettings] - Status, content type, headers and cookies
+   *   a helper's caller set on the response before the call
+   * @returns {Object} Detailed function analysis
+   * @private
+   */
+  _analyzeFunctionNode(node, code, customName = null, context = {}) {
+    const analysis = {
+      name: customName || (node.id ? node.id.name : 'anonymous'),
+      isAsync: node.async || false,
+      isArrow: t.isArrowFunctionExpression(node),
+      isClass: t.isClassMethod(node),
+      location: node.loc ? { line: node.loc.start.line, column: node.loc.start.column } : null,
+      // File the function is in (for resolving the models its responses come from)
+      file: context.file || null,
+      parameters: [],
+      requestUsage: {
+        body: [],
+        query: [],
+        params: [],
+        headers: [],
+        // Per-field details from destructuring: { body: { name: { binding, optional, default, properties } } }
+        fields: { body: {}, query: {}, params: {}, headers: {} },
+        // Binding that collects the remaining fields of a rest element, per source
+        rest: { body: null, query: null, params: null, headers: null },
+        // Guard clauses rejecting missing/invalid fields with an early 4xx return
+        guards: [],
+        // Files uploaded through multer: req.file, req.files and req.files.<field>
+        files: { single: false, multiple: false, fields: [] }
+      },
+      responseUsage: {
+        statusCodes: [],
+        jsonCalls: [],
+        sendCalls: [],
+        structures: [],
+        // One entry per response site: { statusCode, structure }
+        responses: [],
+        dynamicStatus: false
+      },
+      errors: {
+        thrown: [],
+        statusCodes: []
+      },
+      returnValues: [],
+      middlewareChecks: [],
+      // Names bound to the request/response (and, in helpers, to request sources,
+      // request fields and caller argument values)
+      aliases: context.aliases || this._handlerAliases(node.params, context.path),
+      // Response settings a helper inherits from its caller (res.set() before sendSuccess(res))
+      inheritedResponse: context.responseSettings || null,
+      // Helper/service functions followed from this one: { name, file, line, depth }
+      helpers: [],
+      // Tags from the JSDoc block above the function (null when it has none)
+      annotations: null,
+      // JSON schemas from TypeScript annotations (Request<...> generics and typed locals)
+      types: { params: null, body: null, query: null, headers: null, response: null },
+      // Mongoose models response values come from, by the schema name the structures
+      // refer to ('model:User', ['model:User.no_password']): { name, schema, projection, lean }
+      models: {}
+    };
+
+    // Module the function is in, for resolving type names
+    const typeModule = context.path
+      ? { program: context.path.scope.getProgramParent().path, file: context.file }
+      : null;
+
+    const docComment = context.path ? this._leadingDocComment(context.path) : null;
+    if (docComment) {
+      analysis.annotations = this._parseDocComment(docComment);
+    }
+
+    // Extract parameters
+    analysis.parameters = this._extractParameters(node.params);
+
+    // Helper parameters like ({ email, password }) called with req.body
+    (context.patterns || []).forEach(({ pattern, source }) => {
+      this._recordPatternFields(pattern, source, analysis);
+    });
+
+    // Handlers written as ({ body, params }, res)
+    const requestIndex = this._handlerOffset(node.params, context.path);
+    const requestParam = node.params[requestIndex];
+    if (!context.aliases && t.isObjectPattern(requestParam)) {
+      this._recordRequestPattern(requestParam, analysis);
+    }
+
+    // (req: Request<{ id: string }, UserResponse, CreateUserBody, ListQuery>, res: Response<UserResponse>)
+    if (!context.aliases && typeModule) {
+      this._recordHandlerTypes(context.path, requestParam, node.params[requestIndex + 1], analysis, typeModule);
+    }
+
+    const callContext = {
+      file: context.file,
+      depth: context.depth || 0,
+      functionNode: node,
+      stack: new Set(context.stack).add(node)
+    };
+
+    // Traverse function body to extract usage patterns
+    const visitors = {
+      // Detect req.body usage
+      MemberExpression: (path) => {
+        this._analyzeMemberExpression(path, analysis);
+        this._analyzeFieldUsage(path, analysis);
+      },
+
+      // Detect req.body?.field
+      OptionalMemberExpression: (path) => {
+        this._analyzeMemberExpression(path, analysis);
+        this._analyzeFieldUsage(path, analysis);
+      },
+
+      // Detect how destructured fields are used (parseInt(page), email.trim())
+      Identifier: (path) => {
+        this._analyzeFieldUsage(path, analysis);
+      },
+
+      // Detect const { name, email } = req.body and aliases like const body = req.body
+      VariableDeclarator: (path) => {
+        this._analyzeDestructuring(path.node.id, path.node.init, analysis);
+        this._analyzeAlias(path.node.id, path.node.init, analysis);
+        if (typeModule) {
+          this._analyzeTypedLocal(path, analysis, typeModule);
+        }
+      },
+
+      // Detect ({ name, email } = req.body)
+      AssignmentExpression: (path) => {
+        this._analyzeDestructuring(path.node.left, path.node.right, analysis);
+      },
+
+      // Detect response calls (res.json, res.status, etc.)
+      CallExpression: (path) => {
+        this._analyzeCallExpression(path, analysis);
+        this._analyzeHelperCall(path, analysis, callContext);
+      },
+
+      // Detect if (!email) return res.status(400).json(...)
+      IfStatement: (path) => {
+        this._analyzeGuardClause(path, analysis);
+      },
+
+      // Detect thrown errors
+      ThrowStatement: (path) => {
+        this._analyzeThrowStatement(path, analysis);
+      },
+
+      // Detect return statements
+      ReturnStatement: (path) => {
+        this._analyzeReturnStatement(path, analysis);
+      }
+    };
+
+    // With the function's own path, scope lookups reach module-level bindings
+    if (context.path) {
+      context.path.traverse(visitors);
+    } else {
+      traverse.default(node, visitors, node);
+    }
+
+    return analysis;
+  }
+
+  /**
+   * Extract parameter information from function params
+   * @param {Array} params - AST parameter nodes
+   * @returns {Array} Parameter information
+   * @private
+   */
+  _extractParameters(params) {
+    return params.map(param => {
+      if (t.isIdentifier(param)) {
+        return { name: param.name, type: 'identifier' };
+      } else if (t.isObjectPattern(param)) {
+        // Destructured parameters
+        return {
+          name: 'destructured',
+          type: 'object',
+          properties: param.properties.map(prop => {
+            if (t.isObjectProperty(prop)) {
+              return prop.key.name;
+            } else if (t.isRestElement(prop)) {
+              return `...${prop.argument.name}`;
+            }
+            return 'unknown';
+          })
+        };
+      } else if (t.isArrayPattern(param)) {
+        return {
+          name: 'destructured',
+          type: 'array',
+          elements: param.elements.length
+        };
+      } else if (t.isRestElement(param)) {
+        return {
+          name: param.argument.name,
+          type: 'rest'
+        };
+      }
+      return { name: 'unknown', type: 'unknown' };
+    });
+  }
+
+  /**
+   * Analyze member expressions (req.body, req.query, etc.)
+   * @param {Object} path - AST path
+   * @param {Object} analysis - Analysis object to populate
+   * @private
+   */
+  _analyzeMemberExpression(path, analysis) {
+    const node = path.node;
+    
+    // Check for req.body.field, req.body['x-y'], req.body?.field (or an alias of req.body)
+    const source = this._requestSource(node.object, analysis);
+    const field = this._propertyName(node);
+    if (source && field) {
+      analysis.requestUsage[source].push(field);
+    }
+
+    // Check for direct req.body, req.query (destructured fields are recorded separately)
+    if (this._isRequestObject(node.object, analysis) &&
+        !this._isDestructured(path)) {
+      const property = this._propertyName(node);
+      
+      if (property === 'body') {
+        analysis.requestUsage.body.push('__ALL__');
+      } else if (property === 'query') {
+        analysis.requestUsage.query.push('__ALL__');
+      } else if (property === 'params') {
+        analysis.requestUsage.params.push('__ALL__');
+      }
+    }
+
+    // Check for req.file, req.files and req.files.photos (upload.fields())
+    if (this._isRequestObject(node.object, analysis)) {
+      this._recordFileUsage(this._propertyName(node), analysis);
+    } else if (this._isMember(node.object) && this._isRequestObject(node.object.object, analysis) &&
+               this._propertyName(node.object) === 'files') {
+      this._recordFileUsage('files', analysis, this._propertyName(node));
+    }
+  }
+
+  /**
+   * Record an uploaded file read
+   * @param {string|null} property - Request property read (file or files)
+   * @param {Object} analysis - Analysis object to populate
+   * @param {string|null} [field] - File field read from req.files
+   * @private
+   */
+  _recordFileUsage(property, analysis, field = null) {
+    const files = analysis.requestUsage.files;
+    if (property === 'file') {
+      files.single = true;
+    } else if (property === 'files') {
+      files.multiple = true;
+      // Array methods and length belong to req.files itself (upload.array())
+      if (field && !/^(length|map|forEach|filter|some|every|reduce|find|slice)$/.test(field) &&
+          !files.fields.includes(field)) {
+        files.fields.push(field);
+      }
+    }
+  }
+
+  /**
+   * Analyze object-pattern destructuring of the request
+   * Handles both `const { name } = req.body` and `const { body: { name } } = req`
+   * @param {Object} pattern - Left-hand side of the declaration/assignment
+   * @param {Object} init - Right-hand side
+   * @param {Object} analysis - Analysis object to populate
+   * @private
+   */
+  _analyzeDestructuring(pattern, init, analysis) {
+    if (!t.isObjectPattern(pattern) || !init) {
+      return;
+    }
+
+    if (this._isRequestObject(init, analysis)) {
+      this._recordRequestPattern(pattern, analysis);
+      return;
+    }
+
+    const source = this._requestSource(init, analysis);
+    if (source) {
+      this._recordPatternFields(pattern, source, analysis);
+    }
+  }
+
+  /**
+   * Record a pattern destructured from the request itself
+   * `{ body: { name } }` reads body.name; `{ query }` makes query an alias of req.query
+   * @param {Object} pattern - ObjectPattern node
+   * @param {Object} analysis - Analysis object to populate
+   * @private
+   */
+  _recordRequestPattern(pattern, analysis) {
+    pattern.properties.forEach(prop => {
+      const source = t.isObjectProperty(prop) ? this._patternKey(prop) : null;
+      // const { file, body } = req
+      this._recordFileUsage(source, analysis);
+      if (!REQUEST_SOURCES.includes(source)) {
+        return;
+      }
+
+      const value = t.isAssignmentPattern(prop.value) ? prop.value.left : prop.value;
+      if (t.isObjectPattern(value)) {
+        this._recordPatternFields(value, source, analysis);
+        return;
+      }
+
+      if (t.isIdentifier(value)) {
+        analysis.aliases.sources[value.name] = source;
+      }
+      if (source !== 'headers') {
+        analysis.requestUsage[source].push('__ALL__');
+      }
+    });
+  }
+
+  /**
+   * Track a variable that holds the request, the response, a request source or a field
+   * e.g. const r = req, const body = req.body, const email = req.body.email
+   * @param {Object} id - Declared binding
+   * @param {Object} init - Initializer
+   * @param {Object} analysis - Analysis object to populate
+   * @private
+   */
+  _analyzeAlias(id, init, analysis) {
+    if (!t.isIdentifier(id) || !init) {
+      return;
+    }
+
+    const aliases = analysis.aliases;
+    if (this._isRequestObject(init, analysis)) {
+      aliases.request.push(id.name);
+      return;
+    }
+    if (this._isResponseObject(init, analysis)) {
+      aliases.response.push(id.name);
+      return;
+    }
+
+    const source = this._requestSource(init, analysis);
+    if (source) {
+      aliases.sources[id.name] = source;
+      return;
+    }
+
+    const field = this._isMember(init) ? this._requestField(init, analysis) : null;
+    if (field) {
+      aliases.fields[id.name] = field;
+    }
+  }
+
+  /**
+   * Default request/response names of a handler: its first two parameters,
+   * or the second and third for (err, req, res, next) error handlers
+   * @param {Array} params - Function parameter nodes
+   * @param {Object} path - Function path, used to tell error handlers from param callbacks
+   * @returns {Object} Aliases
+   * @private
+   */
+  _handlerAliases(params, path) {
+    const offset = this._handlerOffset(params, path);
+    const request = params[offset];
+    const response = params[offset + 1];
+
+    return {
+      request: t.isIdentifier(request) ? [request.name] : [],
+      response: t.isIdentifier(response) ? [response.name] : [],
+      sources: {},
+      fields: {},
+      values: {}
+    };
+  }
+
+  /**
+   * Position of the request parameter
+   * (err, req, res, next) error handlers and (req, res, next, id) param callbacks share
+   * an arity, so the response is whichever candidate has response methods called on it
+   * @param {Array} params - Function parameter nodes
+   * @param {Object} path - Function path
+   * @returns {number} 1 for error handlers, otherwise 0
+   * @private
+   */
+  _handlerOffset(params, path) {
+    if (params.length !== 4) {
+      return 0;
+    }
+
+    const responds = (param) => {
+      const binding = path && t.isIdentifier(param) ? path.scope.getBinding(param.name) : null;
+      return (binding ? binding.referencePaths : []).some(ref =>
+        this._isMember(ref.parent) && ref.parent.object === ref.node &&
+        RESPONSE_METHODS.includes(this._propertyName(ref.parent)));
+    };
+
+    return responds(params[1]) && !responds(params[2]) ? 0 : 1;
+  }
+
+  /**
+   * Check for a (possibly optional) member expression
+   * @param {Object} node - AST node
+   * @returns {boolean}
+   * @private
+   */
+  _isMember(node) {
+    return t.isMemberExpression(node) || t.isOptionalMemberExpression(node);
+  }
+
+  /**
+   * Statically known property name of a member expression
+   * Handles obj.name, obj?.name, obj['x-y'] and obj[`x-y`]
+   * @param {Object} node - (Optional) member expression
+   * @returns {string|null} Property name or null when computed at runtime
+   * @private
+   */
+  _propertyName(node) {
+    if (!node.computed) {
+      return t.isIdentifier(node.property) ? node.property.name : null;
+    }
+    if (t.isStringLiteral(node.property)) {
+      return node.property.value;
+    }
+    if (t.isTemplateLiteral(node.property) && node.property.expressions.length === 0) {
+      return node.property.quasis[0].value.cooked;
+    }
+    return null;
+  }
+
+  /**
+   * Record the fields an object pattern reads from a request source
+   * @param {Object} pattern - ObjectPattern node
+   * @param {string} source - body, query, params or headers
+   * @param {Object} analysis - Analysis object to populate
+   * @private
+   */
+  _recordPatternFields(pattern, source, analysis) {
+    const usage = analysis.requestUsage;
+    const { fields, rest } = this._describePattern(pattern);
+
+    Object.entries(fields).forEach(([name, details]) => {
+      if (!usage[source].includes(name)) {
+        usage[source].push(name);
+      }
+      usage.fields[source][name] = { ...usage.fields[source][name], ...details };
+    });
+
+    if (rest) {
+      usage.rest[source] = rest;
+    }
+  }
+
+  /**
+   * Describe the fields bound by an object pattern
+   * Fields are keyed by the source property, not the local binding, so
+   * `{ email: userEmail = '' }` documents `email`
+   * @param {Object} pattern - ObjectPattern node
+   * @returns {Object} { fields, rest } - field details and rest binding name (or null)
+   * @private
+   */
+  _describePattern(pattern) {
+    const fields = {};
+    let rest = null;
+
+    pattern.properties.forEach(prop => {
+      if (t.isRestElement(prop)) {
+        rest = t.isIdentifier(prop.argument) ? prop.argument.name : 'rest';
+        return;
+      }
+
+      const name = this._patternKey(prop);
+      if (name === null) {
+        return;
+      }
+
+      const details = {};
+      let value = prop.value;
+
+      if (t.isAssignmentPattern(value)) {
+        details.optional = true;
+        const defaultValue = this._extractDefaultValue(value.right);
+        if (defaultValue !== undefined) {
+          details.default = defaultValue;
+        }
+        // The default's type is what the handler expects
+        if (defaultValue !== undefined && defaultValue !== null) {
+          details.type = Array.isArray(defaultValue) ? 'array'
+            : Number.isInteger(defaultValue) ? 'integer' : typeof defaultValue;
+          details.confidence = 0.9;
+        }
+        value = value.left;
+      }
+
+      if (t.isIdentifier(value)) {
+        details.binding = value.name;
+      } else if (t.isObjectPattern(value)) {
+        const nested = this._describePattern(value);
+        details.properties = nested.fields;
+        if (nested.rest) {
+          details.rest = nested.rest;
+        }
+      }
+
+      fields[name] = details;
+    });
+
+    return { fields, rest };
+  }
+
+  /**
+   * Static key of a destructured property
+   * @param {Object} prop - ObjectProperty node
+   * @returns {string|null} Key name, or null for computed keys
+   * @private
+   */
+  _patternKey(prop) {
+    if (t.isStringLiteral(prop.key)) {
+      return prop.key.value;
+    }
+    if (t.isIdentifier(prop.key) && !prop.computed) {
+      return prop.key.name;
+    }
+    return null;
+  }
+
+  /**
+   * Extract a destructuring default that can be documented
+   * @param {Object} node - Default value node
+   * @returns {*} Default value, or undefined when it is computed at runtime
+   * @private
+   */
+  _extractDefaultValue(node) {
+    if (t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node)) {
+      return node.value;
+    } else if (t.isNullLiteral(node)) {
+      return null;
+    } else if (t.isUnaryExpression(node) && node.operator === '-' && t.isNumericLiteral(node.argument)) {
+      return -node.argument.value;
+    } else if (t.isTemplateLiteral(node) && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    } else if (t.isArrayExpression(node) || t.isObjectExpression(node)) {
+      return this._extractObjectStructure(node);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Check whether a node is the request object itself
+   * @param {Object} node - AST node
+   * @param {Object} analysis - Analysis object (for aliases)
+   * @returns {boolean}
+   * @private
+   */
+  _isRequestObject(node, analysis) {
+    return t.isIdentifier(node) && analysis.aliases.request.includes(node.name);
+  }
+
+  /**
+   * Check whether a node is the response object itself
+   * @param {Object} node - AST node
+   * @param {Object} analysis - Analysis object (for aliases)
+   * @returns {boolean}
+   * @private
+   */
+  _isResponseObject(node, analysis) {
+    return t.isIdentifier(node) && analysis.aliases.response.includes(node.name);
+  }
+
+  /**
+   * Resolve req.body / req['query'] (or a helper parameter holding one) to its source name
+   * @param {Object} node - AST node
+   * @param {Object} analysis - Analysis object (for aliases)
+   * @returns {string|null} body, query, params, headers or null
+   * @private
+   */
+  _requestSource(node, analysis) {
+    if (t.isIdentifier(node) && analysis.aliases.sources[node.name]) {
+      return analysis.aliases.sources[node.name];
+    }
+    if (!this._isMember(node) || !this._isRequestObject(node.object, analysis)) {
+      return null;
+    }
+
+    const name = this._propertyName(node);
+    return REQUEST_SOURCES.includes(name) ? name : null;
+  }
+
+  /**
+   * Check whether a req.* member expression is the source of an object pattern
+   * @param {Object} path - AST path of the member expression
+   * @returns {boolean}
+   * @private
+   */
+  _isDestructured(path) {
+    const parent = path.parent;
+    if (t.isVariableDeclarator(parent)) {
+      return parent.init === path.node && t.isObjectPattern(parent.id);
+    }
+    if (t.isAssignmentExpression(parent)) {
+      return parent.right === path.node && t.isObjectPattern(parent.left);
+    }
+    return false;
+  }
+
+  /**
+   * Analyze a guard clause that rejects a request with a 4xx early return
+   * Fields it checks (!email, typeof email !== 'string', password.length < 8,
+   * email === undefined) are marked required unless they have a default
+   * @param {Object} path - AST path of the if statement
+   * @param {Object} analysis - Analysis object to populate
+   * @private
+   */
+  _analyzeGuardClause(path, analysis) {
+    const response = this._earlyErrorResponse(path.get('consequent'), analysis);
+    if (!response) {
+      return;
+    }
+
+    const checks = this._guardChecks(path.node.test, analysis);
+    if (checks.length === 0) {
+      return;
+    }
+
+    const usage = analysis.requestUsage;
+    checks.forEach(check => {
+      const details = usage.fields[check.source][check.name] || (usage.fields[check.source][check.name] = {});
+      if (!details.optional) {
+        details.required = true;
+      }
+      if (!usage[check.source].includes(check.name)) {
+        usage[check.source].push(check.name);
+      }
+    });
+
+    usage.guards.push({ statusCode: response.statusCode, fields: checks, response: response.body });
+  }
+
+  /**
+   * Find the 4xx response an if-branch returns early with
+   * @param {Object} consequent - AST path of the branch
+   * @param {Object} analysis - Analysis object (for aliases)
+   * @returns {Object|null} { statusCode, body } or null when the branch doesn't return a 4xx
+   * @private
+   */
+  _earlyErrorResponse(consequent, analysis) {
+    const statements = t.isBlockStatement(consequent.node) ? consequent.node.body : [consequent.node];
+    if (!statements.some(statement => t.isReturnStatement(statement))) {
+      return null;
+    }
+
+    let response = null;
+    consequent.traverse({
+      CallExpression: (callPath) => {
+        const call = callPath.node;
+        if (response || !t.isMemberExpression(call.callee) || !this._isResponseObject(call.callee.object, analysis) ||
+            !['status', 'sendStatus'].includes(call.callee.property.name)) {
+          return;
+        }
+
+        const statusCode = t.isNumericLiteral(call.arguments[0]) ? call.arguments[0].value
+          : t.isIdentifier(call.arguments[0]) && typeof analysis.aliases.values[call.arguments[0].name] === 'number'
+            ? analysis.aliases.values[call.arguments[0].name] : null;
+        if (!statusCode || statusCode < 400 || statusCode >= 500) {
+          return;
+        }
+
+        // res.status(400).json({ ... })
+        const chained = callPath.parentPath.parentPath;
+        const body = t.isMemberExpression(callPath.parent) && t.isCallExpression(chained.node) &&
+          chained.node.arguments[0] ? this._responseStructure(chained.get('arguments.0'), analysis) : null;
+        response = { statusCode, body };
+      }
+    });
+
+    return response;
+  }
+
+  /**
+   * Collect the request field checks of a guard condition
+   * @param {Object} test - Condition node
+   * @param {Object} analysis - Analysis object (for destructured bindings)
+   * @returns {Array} Checks: { source, name, check, type?, minLength? }
+   * @private
+   */
+  _guardChecks(test, analysis) {
+    if (t.isLogicalExpression(test) && test.operator === '||') {
+      return [...this._guardChecks(test.left, analysis), ...this._guardChecks(test.right, analysis)];
+    }
+
+    const check = this._guardCheck(test, analysis);
+    return check ? [check] : [];
+  }
+
+  /**
+   * Describe a single guard condition on a request field
+   * @param {Object} test - Condition node
+   * @param {Object} analysis - Analysis object (for destructured bindings)
+   * @returns {Object|null} Check or null when the condition isn't about a request field
+   * @private
+   */
+  _guardCheck(test, analysis) {
+    // !email, !email.trim(), !password.length
+    if (t.isUnaryExpression(test) && test.operator === '!') {
+      // !emailRegex.test(email)
+      const argument = test.argument;
+      if (t.isCallExpression(argument) && t.isMemberExpression(argument.callee) &&
+          t.isIdentifier(argument.callee.property, { name: 'test' }) && argument.arguments.length === 1) {
+        const tested = this._guardedField(argument.arguments[0], analysis);
+        return tested ? this._fieldCheck(tested, 'format') : null;
+      }
+
+      const field = this._guardedField(argument, analysis);
+      return field ? this._fieldCheck(field, field.length ? 'length' : 'missing') : null;
+    }
+
+    if (!t.isBinaryExpression(test)) {
+      return null;
+    }
+
+    const equality = ['===', '=='].includes(test.operator);
+    for (const [subject, other] of [[test.left, test.right], [test.right, test.left]]) {
+      // typeof email !== 'string', typeof email === 'undefined'
+      if (t.isUnaryExpression(subject) && subject.operator === 'typeof' && t.isStringLiteral(other)) {
+        const field = this._guardedField(subject.argument, analysis);
+        if (field && other.value === 'undefined' && equality) {
+          return this._fieldCheck(field, 'missing');
+        }
+        if (field && other.value !== 'undefined' && !equality) {
+          return { ...this._fieldCheck(field, 'type'), type: other.value };
+        }
+        return null;
+      }
+
+      const field = this._guardedField(subject, analysis);
+      if (!field) {
+        continue;
+      }
+
+      // password.length < 8, name.length === 0
+      if (field.length && t.isNumericLiteral(other)) {
+        const check = this._fieldCheck(field, 'length');
+        const minLength = this._minLength(test.operator, other.value, subject === test.left);
+        if (minLength !== null) {
+          check.minLength = minLength;
+        }
+        return check;
+      }
+
+      // email === undefined, email == null
+      if (equality && (t.isNullLiteral(other) || t.isIdentifier(other, { name: 'undefined' }))) {
+        return this._fieldCheck(field, 'missing');
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Minimum length implied by a rejected length comparison
+   * @param {string} operator - Comparison operator
+   * @param {number} value - Compared length
+   * @param {boolean} lengthOnLeft - Whether the comparison reads `x.length <op> value`
+   * @returns {number|null} Minimum accepted length
+   * @private
+   */
+  _minLength(operator, value, lengthOnLeft) {
+    const flipped = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+    const op = lengthOnLeft ? operator : (flipped[operator] || operator);
+
+    if (op === '<') return value;
+    if (op === '<=') return value + 1;
+    if ((op === '===' || op === '==') && value === 0) return 1;
+    return null;
+  }
+
+  /**
+   * Build a guard check entry
+   * @param {Object} field - { source, name }
+   * @param {string} check - missing, type, length or format
+   * @returns {Object} Check entry
+   * @private
+   */
+  _fieldCheck(field, check) {
+    return { source: field.source, name: field.name, check };
+  }
+
+  /**
+   * Resolve the request field a guard expression reads
+   * Handles destructured bindings (email) and direct access (req.body.email),
+   * optionally through .length or a call such as .trim()
+   * @param {Object} node - Expression node
+   * @param {Object} analysis - Analysis object (for destructured bindings)
+   * @returns {Object|null} { source, name, length } or null
+   * @private
+   */
+  _guardedField(node, analysis) {
+    let length = false;
+
+    if (this._isMember(node) && this._propertyName(node) === 'length') {
+      length = true;
+      node = node.object;
+    }
+    if ((t.isCallExpression(node) || t.isOptionalCallExpression(node)) &&
+        this._isMember(node.callee) && node.arguments.length === 0) {
+      node = node.callee.object;
+    }
+
+    const field = this._requestField(node, analysis);
+    return field ? { ...field, length } : null;
+  }
+
+  /**
+   * Resolve a destructured binding (email) or direct access (req.body.email)
+   * to the request field it reads
+   * @param {Object} node - Expression node
+   * @param {Object} analysis - Analysis object (for destructured bindings)
+   * @returns {Object|null} { source, name } or null
+   * @private
+   */
+  _requestField(node, analysis) {
+    if (t.isIdentifier(node)) {
+      if (analysis.aliases.fields[node.name]) {
+        return analysis.aliases.fields[node.name];
+      }
+      const fields = analysis.requestUsage.fields;
+      for (const source of REQUEST_SOURCES) {
+        const name = Object.keys(fields[source]).find(key => fields[source][key].binding === node.name);
+        if (name) {
+          return { source, name };
+        }
+      }
+      return null;
+    }
+
+    if (this._isMember(node)) {
+      const source = this._requestSource(node.object, analysis);
+      const name = this._propertyName(node);
+      return source && name ? { source, name } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Infer a request field's type from the expression it appears in
+   * e.g. parseInt(page), price * 2, email.toLowerCase(), tags.map(...), active === true
+   * @param {Object} path - AST path of an identifier or member expression
+   * @param {Object} analysis - Analysis object to populate
+   * @private
+   */
+  _analyzeFieldUsage(path, analysis) {
+    if (path.isIdentifier() && !path.isReferencedIdentifier()) {
+      return;
+    }
+
+    const field = this._requestField(path.node, analysis);
+    if (!field) {
+      return;
+    }
+
+    const evidence = this._typeEvidence(path);
+    if (evidence) {
+      this._recordFieldType(analysis, field, evidence);
+    }
+  }
+
+  /**
+   * Type implied by the parent expression of a field reference
+   * @param {Object} path - AST path of the field reference
+   * @returns {Object|null} { type, confidence, format? } or null when the usage says nothing
+   * @private
+   */
+  _typeEvidence(path) {
+    const node = path.node;
+    const parent = path.parent;
+
+    if (t.isCallExpression(parent) && parent.arguments[0] === node) {
+      const callee = parent.callee;
+      const name = t.isIdentifier(callee) ? callee.name
+        : t.isMemberExpression(callee) && t.isIdentifier(callee.object) && t.isIdentifier(callee.property)
+          ? `${callee.object.name}.${callee.property.name}` : null;
+
+      if (CONVERSIONS[name]) {
+        return { type: CONVERSIONS[name], confidence: 0.8 };
+      }
+      // emailRegex.test(email)
+      if (t.isMemberExpression(callee) && t.isIdentifier(callee.property, { name: 'test' })) {
+        return { type: 'string', confidence: 0.7, format: this._regexFormat(path.parentPath.get('callee.object')) };
+      }
+      return null;
+    }
+
+    // email.toLowerCase(), tags.map(...)
+    const call = path.parentPath.parent;
+    if (this._isMember(parent) && parent.object === node && !parent.computed &&
+        (t.isCallExpression(call) || t.isOptionalCallExpression(call)) && call.callee === parent) {
+      const method = parent.property.name;
+      if (STRING_METHODS.includes(method)) {
+        return { type: 'string', confidence: 0.7 };
+      }
+      if (ARRAY_METHODS.includes(method)) {
+        return { type: 'array', confidence: 0.7 };
+      }
+      return null;
+    }
+
+    if (t.isUnaryExpression(parent)) {
+      // +price
+      if (parent.operator === '+' || parent.operator === '-') {
+        return { type: 'number', confidence: 0.7 };
+      }
+      // !!active
+      if (parent.operator === '!' && t.isUnaryExpression(path.parentPath.parent, { operator: '!' })) {
+        return { type: 'boolean', confidence: 0.5 };
+      }
+      // typeof email === 'string'
+      const comparison = path.parentPath.parent;
+      if (parent.operator === 'typeof' && t.isBinaryExpression(comparison)) {
+        const other = comparison.left === parent ? comparison.right : comparison.left;
+        if (t.isStringLiteral(other) && JSON_TYPES.includes(other.value)) {
+          return { type: other.value, confidence: 0.9 };
+        }
+      }
+      return null;
+    }
+
+    if (t.isBinaryExpression(parent)) {
+      const other = parent.left === node ? parent.right : parent.left;
+
+      if (['-', '*', '/', '%', '**'].includes(parent.operator)) {
+        return { type: 'number', confidence: 0.6 };
+      }
+      // price + 1 (but not name + ' suffix')
+      if (parent.operator === '+' && t.isNumericLiteral(other)) {
+        return { type: 'number', confidence: 0.5 };
+      }
+      if (['<', '>', '<=', '>='].includes(parent.operator)) {
+        return { type: 'number', confidence: 0.6 };
+      }
+      if (['===', '!==', '==', '!='].includes(parent.operator)) {
+        if (t.isBooleanLiteral(other)) {
+          return { type: 'boolean', confidence: 0.8 };
+        }
+        if (t.isNumericLiteral(other)) {
+          return { type: 'number', confidence: 0.6 };
+        }
+        // ?active=true
+        if (t.isStringLiteral(other) && ['true', 'false'].includes(other.value)) {
+          return { type: 'boolean', confidence: 0.6 };
+        }
+        if (t.isStringLiteral(other)) {
+          return { type: 'string', confidence: 0.6 };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Recognise email/URL regular expressions
+   * @param {Object} path - AST path of the regex (literal or identifier bound to one)
+   * @returns {string|undefined} 'email', 'uri' or undefined
+   * @private
+   */
+  _regexFormat(path) {
+    let node = path.node;
+
+    if (t.isIdentifier(node)) {
+      const binding = path.scope && path.scope.getBinding(node.name);
+      node = binding && t.isVariableDeclarator(binding.path.node) ? binding.path.node.init : null;
+    }
+    if (!t.isRegExpLiteral(node)) {
+      return undefined;
+    }
+
+    if (node.pattern.includes('@')) {
+      return 'email';
+    }
+    if (/https\?|:\\?\/\\?\//.test(node.pattern)) {
+      return 'uri';
+    }
+    return undefined;
+  }
+
+  /**
+   * Record type evidence for a field, keeping the most confident inference
+   * @param {Object} analysis - Analysis object to populate
+   * @param {Object} field - { source, name }
+   * @param {Object} evidence - { type, confidence, format? }
+   * @private
+   */
+  _recordFieldType(analysis, field, evidence) {
+    const fields = analysis.requestUsage.fields[field.source];
+    const details = fields[field.name] || (fields[field.name] = {});
+
+    if (details.confidence === undefined || evidence.confidence > details.confidence) {
+      details.type = evidence.type;
+      details.confidence = evidence.confidence;
+    }
+    if (evidence.format && details.type === evidence.type) {
+      details.format = evidence.format;
+    }
+  }
+
+  /**
+   * Analyze call expressions on the response (res.json, res.status().send(),
+   * res.redirect, res.sendFile, res.download, res.render, res.end, res.write) and
+   * streams piped into it
+   * Each call that sends the response records a site with its status, body structure,
+   * content type and headers; the status, content type and headers come from calls
+   * chained before it (res.status(201).type('csv')) or made in earlier statements of
+   * the enclosing blocks (res.attachment('report.csv'); res.send(csv))
+   * @param {Object} path - AST path
+   * @param {Object} analysis - Analysis object to populate
+   * @private
+   */
+  _analyzeCallExpression(path, analysis) {
+    const node = path.node;
+    const responses = analysis.responseUsage;
+
+    // stream.pipe(res), pipeline(source, gzip, res)
+    if (this._isPipedToResponse(node, analysis)) {
+      const settings = this._responseSettings(path, [], analysis);
+      const source = t.isMemberExpression(node.callee) ? node.callee.object : node.arguments[0];
+      const file = t.isCallExpression(source) && /createReadStream$/.test(this._calleeName(source.callee))
+        ? source.arguments[0]
+        : null;
+      this._recordStreamResponse(analysis, settings, file);
+      return;
+    }
+
+    if (!t.isMemberExpression(node.callee)) {
+      return;
+    }
+
+    const links = this._responseChain(node.callee.object, analysis);
+    if (!links) {
+      return;
+    }
+
+    const method = this._propertyName(node.callee);
+    const settings = this._responseSettings(path, links, analysis);
+    const statusCode = settings.statusCode === undefined ? 200 : settings.statusCode;
+    if (method === 'status' || method === 'writeHead') {
+      const code = this._extractStatusCode(node.arguments[0], analysis);
+      if (code) {
+        responses.statusCodes.push(code);
+      }
+    } else if (method === 'json') {
+      const structure = node.arguments[0] ? this._responseStructure(path.get('arguments.0'), analysis) : null;
+      if (links.length === 0) {
+        if (!node.arguments[0]) {
+          return;
+        }
+        responses.jsonCalls.push(structure);
+        responses.structures.push(structure);
+      } else {
+        responses.structures.push({ status: statusCode, ...structure });
+      }
+      this._recordResponse(analysis, { ...settings, statusCode, structure, contentType: 'application/json' });
+    } else if (method === 'send') {
+      const argument = node.arguments[0];
+      const structure = argument ? this._responseStructure(path.get('arguments.0'), analysis) : null;
+      if (argument) {
+        responses.sendCalls.push(structure);
+      }
+      // Objects and arrays go out as JSON, strings as text/html and Buffers as binary
+      const body = this._sentStructure(structure);
+      const contentType = body !== null ? 'application/json'
+        : argument ? settings.contentType || this._sentContentType(argument) : null;
+      this._recordResponse(analysis, { ...settings, statusCode, structure: body, contentType });
+    } else if (method === 'sendStatus') {
+      const code = this._extractStatusCode(node.arguments[0], analysis);
+      if (code) {
+        responses.statusCodes.push(code);
+        // The status text is sent as the body, except for statuses without one
+        const contentType = [204, 304].includes(code) ? null : 'text/plain';
+        this._recordResponse(analysis, { ...settings, statusCode: code, structure: null, contentType });
+      }
+    } else if (method === 'end') {
+      const contentType = node.arguments[0] ? settings.contentType || 'application/octet-stream' : null;
+      this._recordResponse(analysis, { ...settings, statusCode, structure: null, contentType });
+    } else if (method === 'redirect') {
+      // res.redirect(url) is a 302; res.redirect(301, url) sets the status
+      const [first, second] = node.arguments;
+      const withStatus = second && !t.isStringLiteral(first) && !t.isTemplateLiteral(first);
+      const code = withStatus ? this._extractStatusCode(first, analysis) : 302;
+      if (code) {
+        responses.statusCodes.push(code);
+      }
+      const headers = { ...settings.headers, Location: this._headerValue(withStatus ? second : first) };
+      this._recordResponse(analysis, { ...settings, statusCode: code, structure: null, contentType: null, headers });
+    } else if (method === 'sendFile' || method === 'download') {
+      // res.download(path, filename) names the file the client saves
+      const file = method === 'download' && (t.isStringLiteral(node.arguments[1]) || t.isTemplateLiteral(node.arguments[1]))
+        ? node.arguments[1]
+        : node.arguments[0];
+      const contentType = settings.contentType || this._fileContentType(file) || 'application/octet-stream';
+      const headers = method === 'download'
+        ? { ...settings.headers, 'Content-Disposition': this._disposition(file) }
+        : settings.headers;
+      this._recordResponse(analysis, { ...settings, statusCode, structure: null, contentType, headers });
+    } else if (method === 'render') {
+      this._recordResponse(analysis, { ...settings, statusCode, structure: null, contentType: 'text/html' });
+    } else if (method === 'write') {
+      this._recordStreamResponse(analysis, settings, null);
+    }
+  }
+
+  /**
+   * Calls chained on the response before a call: for res.status(201).type('csv').send()
+   * the callee object res.status(201).type('csv') gives [status(201), type('csv')]
+   * @param {Object} node - Callee object node
+   * @param {Object} analysis - Analysis object (for aliases)
+   * @returns {Array|null} Chained call nodes, or null when the chain doesn't start at the response
+   * @private
+   */
+  _responseChain(node, analysis) {
+    const links = [];
+    let current = node;
+    while (t.isCallExpression(current) && t.isMemberExpression(current.callee)) {
+      links.unshift(current);
+      current = current.callee.object;
+    }
+    return this._isResponseObject(current, analysis) ? links : null;
+  }
+
+  /**
+   * Status, content type, headers and cookies set on the response before a call sends it:
+   * by a helper's caller, in earlier statements of the enclosing blocks (outermost first),
+   * then in the chain
+   * @param {Object} path - Path of the sending call
+   * @param {Array} links - Calls chained before it
+   * @param {Object} analysis - Analysis object
+   * @returns {Object} { statusCode, contentType, headers, cookies }; statusCode is undefined
+   *   when not set and null when computed at runtime
+   * @private
+   */
+  _responseSettings(path, links, analysis) {
+    const settings = { statusCode: undefined, contentType: null, headers: {}, cookies: [], ...analysis.inheritedResponse };
+    const calls = [];
+
+    const functionPath = path.getFunctionParent();
+    for (let current = path; current && current !== functionPath; current = current.parentPath) {
+      if (current.isStatement() && Array.isArray(current.container) && typeof current.key === 'number') {
+        const earlier = current.container.slice(0, current.key).flatMap(statement => {
+          const expression = t.isExpressionStatement(statement) ? statement.expression : null;
+          const call = t.isAwaitExpression(expression) ? expression.argument : expression;
+          const chain = t.isCallExpression(call) && t.isMemberExpression(call.callee)
+            ? this._responseChain(call.callee.object, analysis)
+            : null;
+          return chain ? [...chain, call] : [];
+        });
+        calls.unshift(...earlier);
+      }
+    }
+
+    [...calls, ...links].forEach(call => {
+      const method = this._propertyName(call.callee);
+      const [first] = call.arguments;
+      if (method === 'status' || method === 'writeHead') {
+        settings.statusCode = this._extractStatusCode(first, analysis);
+      }
+      if ((method === 'type' || method === 'contentType') && t.isStringLiteral(first)) {
+        settings.contentType = this._contentType(first.value) || settings.contentType;
+      } else if (method === 'attachment') {
+        settings.contentType = (first && this._fileContentType(first)) || settings.contentType;
+        settings.headers = { ...settings.headers, 'Content-Disposition': this._disposition(first) };
+      } else if (method === 'location') {
+        settings.headers = { ...settings.headers, Location: this._headerValue(first) };
+      } else if (method === 'writeHead') {
+        // res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+        const headers = call.arguments.find(arg => t.isObjectExpression(arg));
+        if (headers) {
+          this._setHeaders(settings, headers);
+        }
+      } else if (['set', 'header', 'setHeader', 'append'].includes(method)) {
+        // res.set('Cache-Control', 'no-store') or res.set({ 'X-Total-Count': total })
+        if (t.isObjectExpression(first)) {
+          this._setHeaders(settings, first);
+        } else if (first) {
+          this._setHeader(settings, this._headerValue(first), call.arguments[1]);
+        }
+      } else if ((method === 'cookie' || method === 'clearCookie') && first) {
+        const optionsNode = call.arguments[method === 'cookie' ? 2 : 1];
+        settings.cookies = [...settings.cookies, {
+          name: this._headerValue(first),
+          cleared: method === 'clearCookie',
+          options: t.isObjectExpression(optionsNode) ? this._cookieOptions(optionsNode) : {}
+        }];
+      }
+    });
+
+    return settings;
+  }
+
+  /**
+   * Apply the literal keys of a header object to response settings
+   * @param {Object} settings - Response settings to update
+   * @param {Object} node - Object expression of header names and values
+   * @private
+   */
+  _setHeaders(settings, node) {
+    node.properties.forEach(prop => {
+      if (t.isObjectProperty(prop) && !prop.computed) {
+        this._setHeader(settings, prop.key.name || prop.key.value, prop.value);
+      }
+    });
+  }
+
+  /**
+   * Apply one header to response settings; Content-Type sets the content type instead
+   * @param {Object} settings - Response settings to update
+   * @param {string|null} name - Header name, null when computed at runtime
+   * @param {Object} [value] - Value node
+   * @private
+   */
+  _setHeader(settings, name, value) {
+    if (!name) {
+      return;
+    }
+    if (name.toLowerCase() === 'content-type') {
+      const type = this._headerValue(value);
+      settings.contentType = (type && this._contentType(type)) || settings.contentType;
+      return;
+    }
+    settings.headers = { ...settings.headers, [name]: value ? this._headerValue(value) : null };
+  }
+
+  /**
+   * Literal options of res.cookie()/res.clearCookie()
+   * @param {Object} node - Options object expression
+   * @returns {Object} Options with a literal value (httpOnly, secure, maxAge, sameSite, path...)
+   * @private
+   */
+  _cookieOptions(node) {
+    const options = {};
+    node.properties.forEach(prop => {
+      if (!t.isObjectProperty(prop) || prop.computed) {
+        return;
+      }
+      const value = this._constantValue(prop.value);
+      if (value !== undefined) {
+        options[prop.key.name || prop.key.value] = value;
+      }
+    });
+    return options;
+  }
+
+  /**
+   * Value of a constant expression: literals and arithmetic on them (7 * 24 * 60 * 60 * 1000)
+   * @param {Object} node - Expression node
+   * @returns {*} The value, or undefined when it isn't constant
+   * @private
+   */
+  _constantValue(node) {
+    if (t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node)) {
+      return node.value;
+    }
+    if (t.isTemplateLiteral(node) && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+    if (t.isUnaryExpression(node, { operator: '-' })) {
+      const value = this._constantValue(node.argument);
+      return typeof value === 'number' ? -value : undefined;
+    }
+    if (t.isBinaryExpression(node) && ['+', '-', '*', '/'].includes(node.operator)) {
+      const left = this._constantValue(node.left);
+      const right = this._constantValue(node.right);
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        return undefined;
+      }
+      return { '+': left + right, '-': left - right, '*': left * right, '/': left / right }[node.operator];
+    }
+    return undefined;
+  }
+
+  /**
+   * Record a response site
+   * @param {Object} analysis - Analysis object to populate
+   * @param {Object} response - { statusCode, structure, contentType, headers, cookies }
+   * @private
+   */
+  _recordResponse(analysis, { statusCode, structure, contentType, headers, cookies = [] }) {
+    analysis.responseUsage.responses.push({
+      statusCode,
+      structure,
+      contentType,
+      // Files, streams and Buffers are documented as binary strings
+      binary: Boolean(contentType) && !/^text\/|json|xml|javascript/.test(contentType),
+      headers: { ...headers },
+      cookies
+    });
+  }
+
+  /**
+   * Record a streamed response (res.write(), stream.pipe(res)) once per status and type
+   * @param {Object} analysis - Analysis object to populate
+   * @param {Object} settings - Status, content type and headers set before streaming
+   * @param {Object|null} file - Path node of a file stream (fs.createReadStream(path))
+   * @private
+   */
+  _recordStreamResponse(analysis, settings, file) {
+    const statusCode = settings.statusCode === undefined ? 200 : settings.statusCode;
+    const contentType = settings.contentType || (file && this._fileContentType(file)) || 'application/octet-stream';
+    const recorded = analysis.responseUsage.responses.some(response =>
+      response.statusCode === statusCode && response.contentType === contentType && response.structure === null);
+    if (!recorded) {
+      this._recordResponse(analysis, { ...settings, statusCode, structure: null, contentType });
+    }
+  }
+
+  /**
+   * Check for stream.pipe(res) or pipeline(..., res)
+   * @param {Object} node - Call expression node
+   * @param {Object} analysis - Analysis object (for aliases)
+   * @returns {boolean} True when a stream is piped into the response
+   * @private
+   */
+  _isPipedToResponse(node, analysis) {
+    const name = this._calleeName(node.callee);
+    if (name === 'pipe') {
+      return t.isMemberExpression(node.callee) && this._isResponseObject(node.arguments[0], analysis);
+    }
+    return name === 'pipeline' && node.arguments.some(arg => this._isResponseObject(arg, analysis));
+  }
+
+  /**
+   * Last name of a callee (pipeline, stream.pipeline -> pipeline)
+   * @param {Object} node - Callee node
+   * @returns {string|null} Name
+   * @private
+   */
+  _calleeName(node) {
+    if (t.isIdentifier(node)) {
+      return node.name;
+    }
+    return this._isMember(node) ? this._propertyName(node) : null;
+  }
+
+  /**
+   * Content type Express sends a non-object res.send() body with
+   * @param {Object} node - Body node
+   * @returns {string} application/octet-stream for Buffers, otherwise text/html
+   * @private
+   */
+  _sentContentType(node) {
+    const buffer = t.isCallExpression(node) && t.isMemberExpression(node.callee) &&
+      t.isIdentifier(node.callee.object, { name: 'Buffer' });
+    return buffer ? 'application/octet-stream' : 'text/html';
+  }
+
+  /**
+   * MIME type for res.type() shorthands, file extensions and full types
+   * @param {string} value - 'csv', '.pdf', 'report.xlsx' or 'text/csv; charset=utf-8'
+   * @returns {string|null} MIME type, or null when unknown
+   * @private
+   */
+  _contentType(value) {
+    if (value.includes('/')) {
+      return value.split(';')[0].trim();
+    }
+    return CONTENT_TYPES[value.split('.').pop().toLowerCase()] || null;
+  }
+
+  /**
+   * MIME type of a file from the extension of its path
+   * @param {Object} node - Path node ('report.pdf', `${dir}/${id}.csv`, path.join(dir, 'a.zip'))
+   * @returns {string|null} MIME type, or null when the extension isn't static or known
+   * @private
+   */
+  _fileContentType(node) {
+    const file = this._staticFileName(node);
+    return file && file.name.includes('.') ? this._contentType(file.name) : null;
+  }
+
+  /**
+   * Content-Disposition of a download or attachment
+   * @param {Object} [node] - File name or path node
+   * @returns {string} attachment, with the file name when it is static
+   * @private
+   */
+  _disposition(node) {
+    const file = node ? this._staticFileName(node) : null;
+    return file && file.complete ? `attachment; filename="${file.name}"` : 'attachment';
+  }
+
+  /**
+   * Statically known end of a file path
+   * @param {Object} node - Path node
+   * @returns {Object|null} { name, complete } where name is the base name (or, for a
+   *   template, the text after its last expression) and complete tells whether it is whole
+   * @private
+   */
+  _staticFileName(node) {
+    if (t.isStringLiteral(node)) {
+      return { name: path.basename(node.value), complete: true };
+    }
+    if (t.isTemplateLiteral(node)) {
+      const tail = node.quasis[node.quasis.length - 1].value.cooked;
+      const name = path.basename(tail);
+      return { name, complete: node.expressions.length === 0 || (tail.includes('/') && name.length > 0) };
+    }
+    // path.join(__dirname, 'files', 'report.pdf')
+    if (t.isCallExpression(node) && ['join', 'resolve'].includes(this._calleeName(node.callee))) {
+      return this._staticFileName(node.arguments[node.arguments.length - 1]);
+    }
+    return null;
+  }
+
+  /**
+   * Value of a header set from an expression
+   * @param {Object} node - Value node
+   * @returns {string|null} The literal value, or null when computed at runtime
+   * @private
+   */
+  _headerValue(node) {
+    if (t.isStringLiteral(node)) {
+      return node.value;
+    }
+    if (t.isTemplateLiteral(node) && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+    return null;
+  }
+
+  /**
+   * Extract a response body, substituting a helper's parameters with the caller's arguments
+   * @param {Object} argumentPath - AST path of the body argument
+   * @param {Object} analysis - Analysis object (for argument values)
+   * @returns {*} Structure
+   * @private
+   */
+  _responseStructure(argumentPath, analysis) {
+    const models = { file: analysis.file, found: analysis.models };
+    const structure = this._extractObjectStructure(argumentPath.node, argumentPath.scope, new Set(), models);
+    return this._bindArguments(structure, analysis.aliases.values);
+  }
+
+  /**
+   * Replace var:name placeholders for helper parameters with the caller's values
+   * @param {*} structure - Extracted structure
+   * @param {Object} values - Argument values by parameter name
+   * @returns {*} Structure with parameters substituted
+   * @private
+   */
+  _bindArguments(structure, values) {
+    if (typeof structure === 'string' && structure.startsWith('var:') &&
+        values[structure.substring(4)] !== undefined) {
+      return values[structure.substring(4)];
+    }
+    if (Array.isArray(structure)) {
+      return structure.map(item => this._bindArguments(item, values));
+    }
+    if (structure && typeof structure === 'object') {
+      return Object.fromEntries(
+        Object.entries(structure).map(([key, value]) => [key, this._bindArguments(value, values)])
+      );
+    }
+    return structure;
+  }
+
+  /**
+   * Structure of a res.send() body when it is a JSON object, array or model document
+   * @param {*} structure - Extracted structure
+   * @returns {Object|Array|string|null} Structure, or null for non-JSON bodies
+   * @private
+   */
+  _sentStructure(structure) {
+    if (typeof structure === 'string' && structure.startsWith('model:')) {
+      return structure;
+    }
+    return structure !== null && typeof structure === 'object' ? structure : null;
+  }
+
+  /**
+   * Follow a call to a locally defined or imported helper/service function
+   * Arguments holding req, res, a request source (req.body) or a request field are
+   * bound to the helper's parameters, and what the helper reads, sends and throws
+   * is attributed to this function
+   * @param {Object} path - AST path of the call expression
+   * @param {Object} analysis - Analysis object to populate
+   * @param {Object} context - { file, depth, functionNode, stack }
+   * @private
+   */
+  _analyzeHelperCall(path, analysis, context) {
+    if (context.depth >= this.maxCallDepth) {
+      return;
+    }
+
+    // res.json(), req.get() are not helpers
+    const callee = path.node.callee;
+    if (t.isMemberExpression(callee) &&
+        (this._isRequestObject(callee.object, analysis) || this._isResponseObject(callee.object, analysis))) {
+      return;
+    }
+
+    const target = this._resolveValue(path.get('callee'), context.file);
+    if (!target || !target.path.isFunction() ||
+        target.path.findParent(parent => parent.node === context.functionNode)) {
+      // Unknown, or nested in (and so already traversed with) this function
+      return;
+    }
+    if (context.stack.has(target.path.node)) {
+      // Recursive: what this analysis holds now depends on the call chain
+      this.truncatedAnalyses.add(analysis);
+      return;
+    }
+
+    const binding = this._bindParameters(path, target.path.node.params, analysis);
+    const name = t.isMemberExpression(callee) && t.isIdentifier(callee.object) && t.isIdentifier(callee.property)
+      ? `${callee.object.name}.${callee.property.name}`
+      : t.isIdentifier(callee) ? callee.name : 'anonymous';
+    // res.set(), res.cookie() and res.attachment() before sendSuccess(res, data) apply to what it sends
+    const responseSettings = binding.aliases.response.length > 0 ? this._responseSettings(path, [], analysis) : null;
+
+    const helper = this._helperAnalysis(target, name, binding, responseSettings, context);
+
+    this._mergeHelperAnalysis(analysis, helper, {
+      name,
+      file: target.file,
+      line: target.path.node.loc ? target.path.node.loc.start.line : null,
+      depth: context.depth + 1
+    });
+  }
+
+  /**
+   * Analyze a helper once per depth, argument binding and response state
+   * A helper called from many handlers, or many times along a service layer, is
+   * traversed once and the cached analysis merged into every caller. Analyses cut
+   * short by recursion depend on the call chain and are redone for each caller
+   * @param {Object} target - { path, file } of the helper function
+   * @param {string} name - Name the helper is called by
+   * @param {Object} binding - { aliases, patterns } from _bindParameters
+   * @param {Object|null} responseSettings - What the caller set on the response it passes
+   * @param {Object} context - Caller context: { depth, stack }
+   * @returns {Object} Helper analysis
+   * @private
+   */
+  _helperAnalysis(target, name, binding, responseSettings, context) {
+    const node = target.path.node;
+    if (!this.helperAnalyses.has(node)) {
+      this.helperAnalyses.set(node, new Map());
+    }
+
+    const key = JSON.stringify({
+      depth: context.depth,
+      aliases: binding.aliases,
+      patterns: binding.patterns.map(({ pattern, source }) => [pattern.start, source]),
+      responseSettings
+    });
+    const cache = this.helperAnalyses.get(node);
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+
+    const helper = this._analyzeFunctionNode(node, null, name, {
+      path: target.path,
+      file: target.file,
+      aliases: binding.aliases,
+      patterns: binding.patterns,
+      depth: context.depth + 1,
+      stack: context.stack,
+      responseSettings
+    });
+    if (!this.truncatedAnalyses.has(helper)) {
+      cache.set(key, helper);
+    }
+    return helper;
+  }
+
+  /**
+   * Bind a helper's parameters to the caller's arguments
+   * @param {Object} path - AST path of the call expression
+   * @param {Array} params - Helper parameter nodes
+   * @param {Object} analysis - Caller analysis (for its aliases)
+   * @returns {Object} { aliases, patterns } for the helper
+   * @private
+   */
+  _bindParameters(path, params, analysis) {
+    const aliases = { request: [], response: [], sources: {}, fields: {}, values: {} };
+    const patterns = [];
+
+    params.forEach((param, index) => {
+      const argumentPath = path.get(`arguments.${index}`);
+      const argument = argumentPath.node;
+      const target = t.isAssignmentPattern(param) ? param.left : param;
+      if (!argument) {
+        return;
+      }
+
+      const source = this._requestSource(argument, analysis);
+      if (t.isObjectPattern(target)) {
+        // validate({ email, password }) called with req.body
+        if (source) {
+          patterns.push({ pattern: target, source });
+        }
+        return;
+      }
+      if (!t.isIdentifier(target)) {
+        return;
+      }
+
+      const field = this._requestField(argument, analysis);
+      if (this._isRequestObject(argument, analysis)) {
+        aliases.request.push(target.name);
+      } else if (this._isResponseObject(argument, analysis)) {
+        aliases.response.push(target.name);
+      } else if (source) {
+        aliases.sources[target.name] = source;
+      } else if (field) {
+        aliases.fields[target.name] = field;
+      } else {
+        const value = this._responseStructure(argumentPath, analysis);
+        if (value !== 'complex_expression') {
+          aliases.values[target.name] = value;
+        }
+      }
+    });
+
+    return { aliases, patterns };
+  }
+
+  /**
+   * Attribute what a helper reads, sends and throws to the calling function
+   * @param {Object} analysis - Caller analysis
+   * @param {Object} helper - Helper analysis
+   * @param {Object} call - { name, file, line, depth } of the helper
+   * @private
+   */
+  _mergeHelperAnalysis(analysis, helper, call) {
+    const usage = analysis.requestUsage;
+    const helperUsage = helper.requestUsage;
+
+    REQUEST_SOURCES.forEach(source => {
+      helperUsage[source].forEach(field => {
+        if (!usage[source].includes(field)) {
+          usage[source].push(field);
+        }
+      });
+
+      Object.entries(helperUsage.fields[source]).forEach(([name, details]) => {
+        // The helper's local binding names mean nothing in the caller
+        const { binding, ...found } = details;
+        const existing = usage.fields[source][name];
+        if (!existing) {
+          usage.fields[source][name] = found;
+          return;
+        }
+        if (found.required && !existing.optional) {
+          existing.required = true;
+        }
+        if (found.type && (existing.confidence === undefined || found.confidence > existing.confidence)) {
+          existing.type = found.type;
+          existing.confidence = found.confidence;
+        }
+        if (found.format && existing.type === found.type) {
+          existing.format = found.format;
+        }
+      });
+
+      usage.rest[source] = usage.rest[source] || helperUsage.rest[source];
+    });
+    usage.guards.push(...helperUsage.guards);
+    usage.files.single = usage.files.single || helperUsage.files.single;
+    usage.files.multiple = usage.files.multiple || helperUsage.files.multiple;
+    helperUsage.files.fields.forEach(field => this._recordFileUsage('files', analysis, field));
+
+    const responses = analysis.responseUsage;
+    ['statusCodes', 'jsonCalls', 'sendCalls', 'structures', 'responses'].forEach(key => {
+      responses[key].push(...helper.responseUsage[key]);
+    });
+    responses.dynamicStatus = responses.dynamicStatus || helper.responseUsage.dynamicStatus;
+
+    analysis.errors.thrown.push(...helper.errors.thrown);
+    analysis.errors.statusCodes.push(...helper.errors.statusCodes);
+    analysis.middlewareChecks.push(...helper.middlewareChecks);
+    analysis.helpers.push(call, ...helper.helpers);
+    Object.assign(analysis.models, helper.models);
+    if (this.truncatedAnalyses.has(helper)) {
+      this.truncatedAnalyses.add(analysis);
+    }
+  }
+
+  /**
+   * Resolve an expression to the function, object literal, class or Mongoose
+   * model/schema definition it refers to, following local bindings, object/class
+   * members and relative imports
+   * @param {Object} valuePath - AST path of the expression
+   * @param {string} file - File the expression is in
+   * @param {number} [hops=0] - Resolution steps taken (guards against cycles)
+   * @returns {Object|null} { path, file, namespace? } or null when it can't be resolved
+   * @private
+   */
+  _resolveValue(valuePath, file, hops = 0) {
+    if (!valuePath || !valuePath.node || hops > 10) {
+      return null;
+    }
+
+    if (valuePath.isFunction() || valuePath.isObjectExpression() || valuePath.isClass() ||
+        this.modelExtractor.isModelCall(valuePath.node) || this.modelExtractor.isSchema(valuePath.node)) {
+      return { path: valuePath, file };
+    }
+    // mongoose.models.User || mongoose.model('User', userSchema)
+    if (valuePath.isLogicalExpression() && ['||', '??'].includes(valuePath.node.operator)) {
+      return this._resolveValue(valuePath.get('right'), file, hops + 1);
+    }
+    // require('./userService') - its module.exports, or the module itself when it
+    // assigns exports.x (or is an ES module)
+    const required = this._requiredImport(valuePath.node);
+    if (required && required.imported === 'default') {
+      const module = this._loadModule(required.source, file);
+      if (!module) {
+        return null;
+      }
+      const namespace = { path: module.program, file: module.file, namespace: true };
+      const esm = module.program.node.body.some(statement => t.isExportDeclaration(statement));
+      return esm ? namespace : (this._resolveExport(module, 'default', hops + 1) || namespace);
+    }
+    // const userService = new UserService() - methods live on the class
+    if (valuePath.isNewExpression()) {
+      return this._resolveValue(valuePath.get('callee'), file, hops + 1);
+    }
+    if (valuePath.isIdentifier()) {
+      const binding = valuePath.scope.getBinding(valuePath.node.name);
+      return binding ? this._resolveBindingValue(binding, file, hops + 1) : null;
+    }
+    if (valuePath.isMemberExpression()) {
+      const name = this._propertyName(valuePath.node);
+      const object = name ? this._resolveValue(valuePath.get('object'), file, hops + 1) : null;
+      return object ? this._resolveMember(object, name, hops + 1) : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve what a scope binding holds
+   * @param {Object} binding - Babel binding
+   * @param {string} file - File the binding is in
+   * @param {number} hops - Resolution steps taken
+   * @returns {Object|null} { path, file, namespace? } or null
+   * @private
+   */
+  _resolveBindingValue(binding, file, hops) {
+    const bindingPath = binding.path;
+
+    if (bindingPath.isFunctionDeclaration() || bindingPath.isClassDeclaration()) {
+      return { path: bindingPath, file };
+    }
+    if (bindingPath.isVariableDeclarator()) {
+      if (binding.constantViolations.length > 0) {
+        return null;
+      }
+      if (!bindingPath.get('id').isObjectPattern()) {
+        return this._resolveValue(bindingPath.get('init'), file, hops);
+      }
+
+      // const { create } = require('./userService')
+      const property = bindingPath.node.id.properties.find(prop =>
+        t.isObjectProperty(prop) && t.isIdentifier(prop.value, { name: binding.identifier.name }));
+      const key = property ? this._patternKey(property) : null;
+      const object = key ? this._resolveValue(bindingPath.get('init'), file, hops) : null;
+      return object ? this._resolveMember(object, key, hops + 1) : null;
+    }
+    if (binding.kind === 'module') {
+      const module = this._loadModule(bindingPath.parent.source.value, file);
+      if (!module) {
+        return null;
+      }
+      if (bindingPath.isImportNamespaceSpecifier()) {
+        return { path: module.program, file: module.file, namespace: true };
+      }
+      const imported = bindingPath.isImportDefaultSpecifier()
+        ? 'default'
+        : (bindingPath.node.imported.name || bindingPath.node.imported.value);
+      return this._resolveExport(module, imported, hops);
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a member of a resolved object literal, class or module namespace
+   * @param {Object} object - { path, file, namespace? }
+   * @param {string} name - Member name
+   * @param {number} hops - Resolution steps taken
+   * @returns {Object|null} { path, file } or null
+   * @private
+   */
+  _resolveMember(object, name, hops) {
+    const objectPath = object.path;
+
+    if (object.namespace) {
+      return this._resolveExport({ program: objectPath, file: object.file }, name, hops);
+    }
+    if (objectPath.isObjectExpression()) {
+      const member = objectPath.get('properties').find(prop =>
+        (prop.isObjectMethod() || prop.isObjectProperty()) && !prop.node.computed &&
+        (prop.node.key.name || prop.node.key.value) === name);
+      if (!member) {
+        return null;
+      }
+      return member.isObjectMethod()
+        ? { path: member, file: object.file }
+        : this._resolveValue(member.get('value'), object.file, hops);
+    }
+    if (objectPath.isClass()) {
+      const method = objectPath.get('body.body').find(member =>
+        member.isClassMethod() && !member.node.computed && member.node.key.name === name);
+      return method ? { path: method, file: object.file } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve an export of a parsed module
+   * @param {Object} module - { program, file }
+   * @param {string} name - Export name ('default' for the default export)
+   * @param {number} hops - Resolution steps taken
+   * @returns {Object|null} { path, file, namespace? } or null
+   * @private
+   */
+  _resolveExport(module, name, hops) {
+    let moduleExports = null;
+
+    for (const statement of module.program.get('body')) {
+      if (name === 'default' && statement.isExportDefaultDeclaration()) {
+        return this._resolveValue(statement.get('declaration'), module.file, hops + 1);
+      }
+
+      // module.exports = ..., exports.create = ...
+      const assignment = statement.isExpressionStatement() ? statement.get('expression') : null;
+      if (assignment && assignment.isAssignmentExpression({ operator: '=' })) {
+        const exported = this._commonJSExport(assignment.node.left);
+        if (exported === name) {
+          return this._resolveValue(assignment.get('right'), module.file, hops + 1);
+        }
+        if (exported === 'default') {
+          moduleExports = assignment.get('right');
+        }
+      }
+
+      if (!statement.isExportNamedDeclaration()) {
+        continue;
+      }
+
+      const declaration = statement.get('declaration');
+      if ((declaration.isFunctionDeclaration() || declaration.isClassDeclaration()) &&
+          declaration.node.id.name === name) {
+        return { path: declaration, file: module.file };
+      }
+      if (declaration.isVariableDeclaration()) {
+        const declarator = declaration.get('declarations').find(d => t.isIdentifier(d.node.id, { name }));
+        if (declarator) {
+          return this._resolveValue(declarator.get('init'), module.file, hops + 1);
+        }
+      }
+
+      // export { create, remove as destroy } [from './other.js']
+      const specifier = statement.node.specifiers.find(spec =>
+        t.isExportSpecifier(spec) && (spec.exported.name || spec.exported.value) === name);
+      if (specifier && statement.node.source) {
+        const source = this._loadModule(statement.node.source.value, module.file);
+        return source ? this._resolveExport(source, specifier.local.name, hops + 1) : null;
+      }
+      if (specifier) {
+        const binding = module.program.scope.getBinding(specifier.local.name);
+        return binding ? this._resolveBindingValue(binding, module.file, hops + 1) : null;
+      }
+    }
+
+    // module.exports = { create, remove }
+    const object = moduleExports ? this._resolveValue(moduleExports, module.file, hops + 1) : null;
+    return object ? this._resolveMember(object, name, hops + 1) : null;
+  }
+
+  /**
+   * Parse a relatively imported module once
+   * @param {string} source - Import source ('./services/userService.js')
+   * @param {string} fromFile - Importing file
+   * @returns {Object|null} { program, file } or null for packages and unreadable files
+   * @private
+   */
+  _loadModule(source, fromFile) {
+    // fromFile may be a label (a handler name) when only the function source is known
+    if (!source.startsWith('.') || !fromFile || (!path.isAbsolute(fromFile) && !existsSync(fromFile))) {
+      return null;
+    }
+
+    const base = path.resolve(path.dirname(fromFile), source);
+    // TypeScript sources import './types.js' for what is types.ts on disk
+    const file = [...MODULE_SUFFIXES.map(suffix => base + suffix), base.replace(/\.js$/, '.ts')]
+      .find(candidate => existsSync(candidate) && statSync(candidate).isFile());
+    if (!file) {
+      return null;
+    }
+
+    if (!this.modules.has(file)) {
+      let module = null;
+      try {
+        const ast = parse(readFileSync(file, 'utf-8'), this.parserOptions);
+        traverse.default(ast, {
+          Program: (programPath) => {
+            module = { program: programPath, file };
+            programPath.stop();
+          }
+        });
+      } catch (error) {
+        // Unparseable helper module - calls into it stay opaque
+      }
+      this.modules.set(file, module);
+    }
+
+    return this.modules.get(file);
+  }
+
+  /**
+   * Analyze throw statements
+   * @param {Object} path - AST path
+   * @param {Object} analysis - Analysis object to populate
+   * @private
+   */
+  _analyzeThrowStatement(path, analysis) {
+    const argument = path.node.argument;
+    
+    if (t.isNewExpression(argument) && argument.callee.name === 'Error') {
+      const message = this._extractLiteralValue(argument.arguments[0]);
+      analysis.errors.thrown.push({
+        type: 'Error',
+        message: message || 'unknown'
+      });
+    } else if (t.isIdentifier(argument)) {
+      analysis.errors.thrown.push({
+        type: argument.name,
+        message: 'unknown'
+      });
+    }
+  }
+
+  /**
+   * Analyze return statements
+   * @param {Object} path - AST path
+   * @param {Object} analysis - Analysis object to populate
+   * @private
+   */
+  _analyzeReturnStatement(path, analysis) {
+    const argument = path.node.argument;
+    if (argument) {
+      const structure = this._extractObjectStructure(argument, path.scope);
+      analysis.returnValues.push(structure);
+    }
+  }
+
+  /**
+   * Extract object structure from AST node
+   * With a scope, identifiers are followed to the const/let/var binding (or its
+   * latest simple reassignment) they hold, and object spreads are merged in.
+   * With models, documents loaded through a Mongoose model become 'model:<name>'
+   * (a list of them ['model:<name>']) and the model is recorded
+   * @param {Object} node - AST node
+   * @param {Object} [scope] - Babel scope the node is evaluated in
+   * @param {Set} [seen] - Bindings already being resolved (guards against cycles)
+   * @param {Object} [models] - { file, found } file of the scope and the models found so far
+   * @returns {Object} Object structure
+   * @private
+   */
+  _extractObjectStructure(node, scope = null, seen = new Set(), models = null) {
+    const model = models && scope ? this._modelReference(node, scope, models) : null;
+    if (model) {
+      return model;
+    }
+
+    if (t.isObjectExpression(node)) {
+      const obj = {};
+      node.properties.forEach(prop => {
+        if (t.isObjectProperty(prop) || t.isObjectMethod(prop)) {
+          const key = prop.key.name || prop.key.value;
+          const value = t.isObjectProperty(prop) ? this._extractObjectStructure(prop.value, scope, seen, models) : null;
+          obj[key] = value !== null ? value : 'unknown';
+        } else if (t.isSpreadElement(prop)) {
+          const spread = this._extractObjectStructure(prop.argument, scope, seen, models);
+          if (spread && typeof spread === 'object' && !Array.isArray(spread)) {
+            Object.assign(obj, spread);
+          } else {
+            obj['...spread'] = 'object';
+          }
+        }
+      });
+      return obj;
+    } else if (t.isArrayExpression(node)) {
+      return node.elements.flatMap(el => {
+        if (t.isSpreadElement(el)) {
+          const spread = this._extractObjectStructure(el.argument, scope, seen, models);
+          return Array.isArray(spread) ? spread : [];
+        }
+        return [this._extractObjectStructure(el, scope, seen, models)];
+      });
+    } else if (t.isIdentifier(node) && scope) {
+      const resolved = this._resolveBinding(node, scope, seen);
+      if (resolved) {
+        const structure = this._extractObjectStructure(resolved.node, resolved.scope, resolved.seen, models);
+        if (structure !== 'complex_expression') {
+          return structure;
+        }
+      }
+      return this._extractLiteralValue(node);
+    } else {
+      return this._extractLiteralValue(node);
+    }
+  }
+
+  /**
+   * Find the expression a local variable holds where it is used
+   * @param {Object} node - Identifier node
+   * @param {Object} scope - Babel scope of the use
+   * @param {Set} seen - Bindings already being resolved
+   * @returns {Object|null} { node, scope, seen } or null when it can't be followed
+   * @private
+   */
+  _resolveBinding(node, scope, seen) {
+    const binding = scope.getBinding(node.name);
+    if (!binding || seen.has(binding) || !['const', 'let', 'var'].includes(binding.kind) ||
+        !t.isVariableDeclarator(binding.path.node)) {
+      return null;
+    }
+
+    let valuePath = binding.path;
+    let value = binding.path.node.init;
+
+    // The latest plain reassignment before the use wins; anything else (+=, ++) is unknown
+    for (const violation of binding.constantViolations) {
+      if (violation.node.start > node.start) {
+        continue;
+      }
+      if (!t.isAssignmentExpression(violation.node, { operator: '=' }) || !t.isIdentifier(violation.node.left)) {
+        return null;
+      }
+      valuePath = violation;
+      value = violation.node.right;
+    }
+
+    if (!value) {
+      return null;
+    }
+
+    return { node: value, scope: valuePath.scope, seen: new Set(seen).add(binding) };
+  }
+
+  /**
+   * Structure of a value loaded through a Mongoose model (await User.findById(id),
+   * User.find().select('-password').lean(), new User(body).save())
+   * The model is resolved to its mongoose.model() definition locally or through relative
+   * imports. A capitalised name imported from a relative module that can't be read, or
+   * one the app registered with Mongoose, is recorded by name without a schema for the
+   * registered model to describe; other package imports (Stripe, Decimal) are not models
+   * @param {Object} node - Expression node
+   * @param {Object} scope - Babel scope the node is evaluated in
+   * @param {Object} models - { file, found } file of the scope and the models found so far
+   * @returns {string|Array|null} 'model:<name>', ['model:<name>'] for lists, or null
+   * @private
+   */
+  _modelReference(node, scope, models) {
+    const query = this.modelExtractor.query(node);
+    const binding = query ? scope.getBinding(query.model.name) : null;
+    if (!binding) {
+      return null;
+    }
+
+    const resolved = this._resolveBindingValue(binding, models.file, 1);
+    let entry;
+    if (resolved && this.modelExtractor.isModelCall(resolved.path.node)) {
+      entry = this.modelExtractor.extractModel(resolved.path.node, this._modelScope(resolved.path.scope, resolved.file));
+    } else if (!resolved && binding.kind === 'module' && !query.constructed && /^[A-Z]/.test(query.model.name) &&
+               (binding.path.parent.source.value.startsWith('.') || this.isRegisteredModel(query.model.name))) {
+      entry = { name: query.model.name, schema: null };
+    } else {
+      return null;
+    }
+
+    const transformed = !entry.schema || this.modelExtractor.hasTransform(entry);
+    const name = this.modelExtractor.schemaName(entry.name, query, transformed);
+    if (!models.found[name]) {
+      models.found[name] = {
+        name: entry.name,
+        schema: entry.schema ? this.modelExtractor.project(entry, query) : null,
+        projection: query.projection,
+        lean: query.lean
+      };
+    }
+
+    return query.many ? [`model:${name}`] : `model:${name}`;
+  }
+
+  /**
+   * Scope the model schema extractor reads a module through
+   * @param {Object} scope - Babel scope
+   * @param {string} file - File the scope is in
+   * @returns {Object} { resolve(name) }
+   * @private
+   */
+  _modelScope(scope, file) {
+    return {
+      resolve: (name) => {
+        const binding = scope.getBinding(name);
+        const resolved = binding ? this._resolveBindingValue(binding, file, 1) : null;
+        if (!resolved) {
+          return null;
+        }
+
+        // Statements using the variable that holds the value (userSchema.set('toJSON', ...))
+        const declarator = resolved.path.parentPath;
+        const holder = declarator && declarator.isVariableDeclarator() && t.isIdentifier(declarator.node.id)
+          ? declarator.scope.getBinding(declarator.node.id.name)
+          : null;
+        const uses = holder
+          ? holder.referencePaths
+            .map(reference => reference.getStatementParent())
+            .filter(statement => statement && statement.isExpressionStatement())
+            .map(statement => statement.node.expression)
+          : [];
+
+        return { node: resolved.path.node, scope: this._modelScope(resolved.path.scope, resolved.file), uses };
+      }
+    };
+  }
+
+  /**
+   * Extract a status code passed to res.status()
+   * Codes computed at runtime (err.statusCode || 500) mark the response status as
+   * dynamic and contribute only their literal fallback
+   * @param {Object} node - AST node
+   * @param {Object} analysis - Analysis object to populate
+   * @returns {number|null} Status code or null when not statically known
+   * @private
+   */
+  _extractStatusCode(node, analysis) {
+    if (t.isNumericLiteral(node)) {
+      return node.value;
+    }
+    // A helper's statusCode parameter the caller passed a literal for
+    if (t.isIdentifier(node) && typeof analysis.aliases.values[node.name] === 'number') {
+      return analysis.aliases.values[node.name];
+    }
+
+    analysis.responseUsage.dynamicStatus = true;
+    const value = this._extractLiteralValue(node);
+    return typeof value === 'number' ? value : null;
   }
 
   /**
@@ -430,6 +3138,10 @@ class ASTAnalyzer {
       return `var:${node.name}`;
     } else if (t.isNullLiteral(node)) {
       return null;
+    } else if (t.isLogicalExpression(node) && ['||', '??'].includes(node.operator) &&
+               (t.isStringLiteral(node.right) || t.isNumericLiteral(node.right) || t.isBooleanLiteral(node.right))) {
+      // value || 'default' - the fallback is the statically known value
+      return node.right.value;
     }
     
     return 'complex_expression';
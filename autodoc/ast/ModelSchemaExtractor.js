@@ -0,0 +1,823 @@
+import * as t from '@babel/types';
+
+// Model methods that load or create documents, and whether they resolve to a list
+const MODEL_QUERIES = {
+  find: true,
+  findById: false,
+  findOne: false,
+  findByIdAndUpdate: false,
+  findOneAndUpdate: false,
+  findByIdAndDelete: false,
+  findOneAndDelete: false,
+  findOneAndReplace: false,
+  create: false,
+  insertMany: true
+};
+
+// Query methods whose second argument is a projection
+const PROJECTION_ARGUMENTS = ['find', 'findById', 'findOne'];
+
+// Chained query methods that keep the documents' shape (select/lean change what is sent)
+const QUERY_MODIFIERS = ['select', 'lean', 'populate', 'sort', 'limit', 'skip', 'exec', 'orFail', 'where',
+  'equals', 'in', 'session', 'collation', 'hint', 'maxTimeMS', 'setOptions', 'read', 'save'];
+
+const OBJECT_ID = { type: 'string', pattern: '^[a-fA-F0-9]{24}$' };
+
+// Mongoose schema types (constructor or type name) mapped onto JSON schemas
+const SCHEMA_TYPES = {
+  String: { type: 'string' },
+  Number: { type: 'number' },
+  Boolean: { type: 'boolean' },
+  Date: { type: 'string', format: 'date-time' },
+  ObjectId: OBJECT_ID,
+  ObjectID: OBJECT_ID,
+  Buffer: { type: 'string', format: 'binary' },
+  Decimal128: { type: 'string' },
+  UUID: { type: 'string', format: 'uuid' },
+  BigInt: { type: 'integer' },
+  Int32: { type: 'integer' },
+  Double: { type: 'number' },
+  Map: { type: 'object', additionalProperties: true },
+  Object: { type: 'object' },
+  Mixed: {},
+  Array: { type: 'array', items: {} }
+};
+
+/**
+ * Mongoose Model Schema Extractor
+ * Describes the documents a Mongoose model sends as JSON: reads the schema passed
+ * to mongoose.model('User', userSchema) from source (field types and options,
+ * timestamps, versionKey, select: false) or takes it from a registered model, and
+ * applies the toJSON options and transform (delete ret.password) the documents are
+ * serialized with
+ *
+ * Static extraction reads through a scope the caller provides:
+ *   resolve(name) - { node, scope, uses } for the value a local or imported name holds,
+ *                   where uses are the expressions of statements using that binding
+ *                   (userSchema.set('toJSON', ...)), or null
+ *
+ * A model is described by an entry: { name, schema, selectHidden, toJSON } where
+ * toJSON is { removed, added, virtuals }; project() turns it into the schema of a query
+ */
+class ModelSchemaExtractor {
+  /**
+   * Whether a node defines a model: mongoose.model('User', userSchema) or model('User', schema)
+   * @param {Object} node - AST node
+   * @returns {boolean} True for model definitions
+   */
+  isModelCall(node) {
+    return t.isCallExpression(node) && this._calleeName(node.callee) === 'model' &&
+      t.isStringLiteral(node.arguments[0]);
+  }
+
+  /**
+   * Whether a node constructs a schema: new Schema({...}) or new mongoose.Schema({...})
+   * @param {Object} node - AST node
+   * @returns {boolean} True for schema constructors
+   */
+  isSchema(node) {
+    return t.isNewExpression(node) && this._calleeName(node.callee) === 'Schema';
+  }
+
+  /**
+   * Read a model query: User.find().select('-password').lean(), User.findById(id, 'name'),
+   * User.create(body) or new User(body).save(), optionally awaited
+   * @param {Object} node - Expression node
+   * @returns {Object|null} { model, many, projection, lean, constructed } where model is
+   *   the model's Identifier node, or null when the expression is not a model query
+   */
+  query(node) {
+    let current = t.isAwaitExpression(node) ? node.argument : node;
+    const modifiers = [];
+
+    // Unwind .select().lean().exec() down to the model call
+    while (t.isCallExpression(current) && t.isMemberExpression(current.callee) &&
+           !current.callee.computed && QUERY_MODIFIERS.includes(current.callee.property.name)) {
+      modifiers.unshift(current);
+      current = current.callee.object;
+    }
+
+    let base;
+    if (t.isNewExpression(current) && t.isIdentifier(current.callee) && !this.isSchema(current)) {
+      base = { model: current.callee, many: false, projection: [], constructed: true };
+    } else if (t.isCallExpression(current) && t.isMemberExpression(current.callee) &&
+               !current.callee.computed && t.isIdentifier(current.callee.object) &&
+               Object.hasOwn(MODEL_QUERIES, current.callee.property.name)) {
+      const method = current.callee.property.name;
+      base = {
+        model: current.callee.object,
+        many: MODEL_QUERIES[method] || (method === 'create' && t.isArrayExpression(current.arguments[0])),
+        projection: PROJECTION_ARGUMENTS.includes(method) ? this._projection(current.arguments[1]) : [],
+        constructed: false
+      };
+    } else {
+      return null;
+    }
+
+    // A new document can only be saved; a query can't be
+    const saved = modifiers.some(call => call.callee.property.name === 'save');
+    if (base.constructed ? modifiers.length > (saved ? 1 : 0) : saved) {
+      return null;
+    }
+
+    let lean = false;
+    modifiers.forEach(call => {
+      const method = call.callee.property.name;
+      if (method === 'select') {
+        base.projection.push(...this._projection(call.arguments[0]));
+      } else if (method === 'lean') {
+        lean = !t.isBooleanLiteral(call.arguments[0], { value: false });
+      }
+    });
+
+    return { ...base, lean };
+  }
+
+  /**
+   * Describe the model a definition creates
+   * @param {Object} node - mongoose.model('User', userSchema) call node
+   * @param {Object} scope - Scope of the module containing the definition
+   * @returns {Object} Model entry; schema is null when the schema can't be read statically
+   */
+  extractModel(node, scope) {
+    const name = node.arguments[0].value;
+    let schemaNode = node.arguments[1];
+    let schemaScope = scope;
+    let uses = [];
+
+    if (t.isIdentifier(schemaNode)) {
+      const resolved = scope.resolve(schemaNode.name);
+      schemaNode = resolved ? resolved.node : null;
+      schemaScope = resolved ? resolved.scope : scope;
+      uses = resolved ? resolved.uses : [];
+    }
+    if (!this.isSchema(schemaNode)) {
+      return { name, schema: null };
+    }
+
+    const entry = this._schemaEntry(name, schemaNode, schemaScope, 0);
+    uses.forEach(use => this._readSchemaUse(entry, use));
+    return entry;
+  }
+
+  /**
+   * Describe a model registered with Mongoose
+   * @param {Object} model - Mongoose model (mongoose.models.User)
+   * @returns {Object} Model entry
+   */
+  fromModel(model) {
+    const entry = {
+      name: model.modelName,
+      schema: null,
+      selectHidden: [],
+      toJSON: { removed: [], added: {}, virtuals: false }
+    };
+    entry.schema = this._runtimeSchema(model.schema, entry, '');
+
+    const options = model.schema.options.toJSON;
+    if (options) {
+      entry.toJSON.virtuals = Boolean(options.virtuals) && model.schema.options.id !== false;
+      if (options.versionKey === false) {
+        entry.toJSON.removed.push(model.schema.options.versionKey || '__v');
+      }
+      if (typeof options.transform === 'function') {
+        this._runTransform(entry, (ret) => options.transform({ toObject: () => ({ ...ret }) }, ret, options));
+      }
+    }
+
+    const toJSON = model.schema.methods.toJSON;
+    if (typeof toJSON === 'function') {
+      this._runTransform(entry, (ret) => toJSON.call({ ...ret, toObject: () => ({ ...ret }) }));
+    }
+
+    return entry;
+  }
+
+  /**
+   * Schema of the documents a query sends
+   * select: false fields are left out unless selected, projections keep or drop fields,
+   * and the toJSON options apply unless the query is lean (plain objects skip toJSON)
+   * @param {Object} entry - Model entry with a schema
+   * @param {Object} [query] - { projection, lean } from query()
+   * @returns {Object} JSON schema titled with the model name
+   */
+  project(entry, query = {}) {
+    const schema = structuredClone(entry.schema);
+    const projection = query.projection || [];
+    const forced = projection.filter(field => field.startsWith('+')).map(field => field.substring(1));
+    const excluded = projection.filter(field => field.startsWith('-')).map(field => field.substring(1));
+    const included = projection.filter(field => !/^[+-]/.test(field));
+
+    entry.selectHidden
+      .filter(field => !forced.includes(field) && !included.includes(field))
+      .forEach(field => this._removePath(schema, field));
+
+    // An inclusion projection keeps the listed fields and _id
+    if (included.length > 0) {
+      const kept = new Set([...included.map(field => field.split('.')[0]), '_id']);
+      Object.keys(schema.properties)
+        .filter(name => !kept.has(name))
+        .forEach(name => this._removePath(schema, name));
+    }
+    excluded.forEach(field => this._removePath(schema, field));
+
+    if (!query.lean) {
+      const { removed, added, virtuals } = entry.toJSON;
+      if (virtuals && schema.properties._id) {
+        schema.properties.id = { type: 'string' };
+      }
+      Object.entries(added).forEach(([name, source]) => {
+        schema.properties[name] = source && schema.properties[source] ? { ...schema.properties[source] } : {};
+      });
+      removed.forEach(field => this._removePath(schema, field));
+    }
+
+    return { title: entry.name, ...schema };
+  }
+
+  /**
+   * Whether serializing a model's documents with toJSON changes their shape
+   * @param {Object} entry - Model entry
+   * @returns {boolean} True when toJSON removes or adds fields
+   */
+  hasTransform(entry) {
+    const { removed, added, virtuals } = entry.toJSON;
+    return removed.length > 0 || Object.keys(added).length > 0 || virtuals;
+  }
+
+  /**
+   * Name a query's document schema: the model name, extended with its projection
+   * (User.name.email, User.no_password, User.with_password) and .lean when that skips toJSON
+   * @param {string} name - Model name
+   * @param {Object} query - { projection, lean }
+   * @param {boolean} transformed - Whether toJSON changes the documents (lean then matters)
+   * @returns {string} Schema name
+   */
+  schemaName(name, query, transformed) {
+    const fields = (query.projection || []).map(field =>
+      field.replace(/^-/, 'no_').replace(/^\+/, 'with_').replace(/[^\w.-]/g, '_'));
+    return [name, ...fields, ...(query.lean && transformed ? ['lean'] : [])].join('.');
+  }
+
+  /**
+   * Build an entry from a schema constructor
+   * @param {string} name - Model name
+   * @param {Object} node - new Schema(definition, options) node
+   * @param {Object} scope - Module scope
+   * @param {number} hops - Nested schemas followed (guards against cycles)
+   * @returns {Object} Model entry
+   * @private
+   */
+  _schemaEntry(name, node, scope, hops) {
+    const entry = { name, schema: null, selectHidden: [], toJSON: { removed: [], added: {}, virtuals: false } };
+    const options = this._options(node.arguments[1]);
+    const definition = t.isObjectExpression(node.arguments[0])
+      ? this._definitionSchema(node.arguments[0], scope, entry, '', hops)
+      : { type: 'object', properties: {}, required: [] };
+
+    const properties = {};
+    if (!t.isBooleanLiteral(options._id, { value: false })) {
+      properties._id = { ...OBJECT_ID };
+    }
+    Object.assign(properties, definition.properties);
+
+    // timestamps: true, or { createdAt: 'created_at', updatedAt: false }
+    const timestamps = options.timestamps;
+    if (t.isBooleanLiteral(timestamps, { value: true }) || t.isObjectExpression(timestamps)) {
+      const names = t.isObjectExpression(timestamps) ? this._options(timestamps) : {};
+      ['createdAt', 'updatedAt'].forEach(field => {
+        const renamed = names[field];
+        if (!t.isBooleanLiteral(renamed, { value: false })) {
+          properties[t.isStringLiteral(renamed) ? renamed.value : field] = { type: 'string', format: 'date-time' };
+        }
+      });
+    }
+
+    const versionKey = options.versionKey;
+    if (!t.isBooleanLiteral(versionKey, { value: false })) {
+      properties[t.isStringLiteral(versionKey) ? versionKey.value : '__v'] = { type: 'integer' };
+    }
+
+    entry.schema = { type: 'object', properties };
+    if (definition.required.length > 0) {
+      entry.schema.required = definition.required;
+    }
+    if (t.isObjectExpression(options.toJSON)) {
+      this._readToJSONOptions(entry, options.toJSON, !t.isBooleanLiteral(options.id, { value: false }));
+    }
+
+    return entry;
+  }
+
+  /**
+   * Convert a schema definition object to an object schema
+   * @param {Object} node - Definition ObjectExpression
+   * @param {Object} scope - Module scope
+   * @param {Object} entry - Model entry (collects select: false fields)
+   * @param {string} prefix - Dotted path of the definition within the document
+   * @param {number} hops - Nested schemas followed
+   * @returns {Object} { type: 'object', properties, required }
+   * @private
+   */
+  _definitionSchema(node, scope, entry, prefix, hops) {
+    const schema = { type: 'object', properties: {}, required: [] };
+
+    node.properties.forEach(prop => {
+      if (!t.isObjectProperty(prop) || prop.computed) {
+        return;
+      }
+      const name = prop.key.name || prop.key.value;
+      const field = this._fieldSchema(prop.value, scope, entry, `${prefix}${name}`, hops);
+      schema.properties[name] = field.schema;
+      if (field.required) {
+        schema.required.push(name);
+      }
+      if (field.hidden) {
+        entry.selectHidden.push(`${prefix}${name}`);
+      }
+    });
+
+    return schema;
+  }
+
+  /**
+   * Convert one field definition: a type (String, [String], Schema.Types.ObjectId),
+   * an options object ({ type: String, required: true, enum: [...] }), a nested
+   * definition or a nested schema
+   * @param {Object} node - Field definition node
+   * @param {Object} scope - Module scope
+   * @param {Object} entry - Model entry
+   * @param {string} path - Dotted path of the field
+   * @param {number} hops - Nested schemas followed
+   * @returns {Object} { schema, required, hidden }
+   * @private
+   */
+  _fieldSchema(node, scope, entry, path, hops) {
+    if (t.isArrayExpression(node)) {
+      const element = node.elements[0];
+      if (!element) {
+        return { schema: { type: 'array', items: {} }, required: false, hidden: false };
+      }
+      const item = this._fieldSchema(element, scope, entry, `${path}.`, hops).schema;
+      // Array elements defined as objects are subdocuments with their own _id
+      const subdocument = t.isObjectExpression(element) && !this._typeProperty(element);
+      return {
+        schema: { type: 'array', items: subdocument ? this._withId(item) : item },
+        required: false,
+        hidden: false
+      };
+    }
+
+    if (t.isObjectExpression(node)) {
+      const typeProperty = this._typeProperty(node);
+      if (!typeProperty) {
+        return { schema: this._compact(this._definitionSchema(node, scope, entry, `${path}.`, hops)), required: false, hidden: false };
+      }
+      const field = this._fieldSchema(typeProperty.value, scope, entry, path, hops);
+      return this._applyOptions(field.schema, this._options(node));
+    }
+
+    if (this.isSchema(node)) {
+      return { schema: this._nestedSchema(node, scope, hops), required: false, hidden: false };
+    }
+
+    const typeName = t.isStringLiteral(node) ? node.value : this._calleeName(node);
+    const known = Object.keys(SCHEMA_TYPES).find(name => name.toLowerCase() === String(typeName).toLowerCase());
+    if (known) {
+      return { schema: structuredClone(SCHEMA_TYPES[known]), required: false, hidden: false };
+    }
+
+    // A schema declared in a variable (or imported) and used as a field type
+    if (t.isIdentifier(node) && hops < 5) {
+      const resolved = scope.resolve(node.name);
+      if (resolved && this.isSchema(resolved.node)) {
+        return { schema: this._nestedSchema(resolved.node, resolved.scope, hops + 1), required: false, hidden: false };
+      }
+    }
+
+    return { schema: {}, required: false, hidden: false };
+  }
+
+  /**
+   * Schema of a single nested schema (it is a subdocument with its own _id)
+   * @param {Object} node - new Schema(...) node
+   * @param {Object} scope - Module scope
+   * @param {number} hops - Nested schemas followed
+   * @returns {Object} Object schema
+   * @private
+   */
+  _nestedSchema(node, scope, hops) {
+    const { schema } = this._schemaEntry(null, node, scope, hops + 1);
+    delete schema.properties.__v;
+    return schema;
+  }
+
+  /**
+   * Apply field options to a field's schema
+   * @param {Object} schema - Schema of the field's type
+   * @param {Object} options - Option nodes by name
+   * @returns {Object} { schema, required, hidden }
+   * @private
+   */
+  _applyOptions(schema, options) {
+    // Options of an array field ({ type: [String], enum: [...] }) describe its items
+    const target = schema.type === 'array' && schema.items ? schema.items : schema;
+    const numeric = target.type === 'number' || target.type === 'integer';
+
+    const enumValues = t.isObjectExpression(options.enum) ? this._options(options.enum).values : options.enum;
+    const values = this._literal(enumValues);
+    if (Array.isArray(values)) {
+      target.enum = values;
+    }
+
+    [['min', 'minimum'], ['max', 'maximum']].forEach(([option, keyword]) => {
+      const value = this._optionValue(options[option]);
+      if (numeric && typeof value === 'number') {
+        target[keyword] = value;
+      }
+    });
+    [['minlength', 'minLength'], ['minLength', 'minLength'], ['maxlength', 'maxLength'], ['maxLength', 'maxLength']]
+      .forEach(([option, keyword]) => {
+        const value = this._optionValue(options[option]);
+        if (typeof value === 'number') {
+          target[keyword] = value;
+        }
+      });
+
+    const match = t.isArrayExpression(options.match) ? options.match.elements[0] : options.match;
+    if (t.isRegExpLiteral(match)) {
+      target.pattern = match.pattern;
+    }
+
+    const defaultValue = this._literal(options.default);
+    if (defaultValue !== undefined) {
+      schema.default = defaultValue;
+    }
+    if (t.isStringLiteral(options.ref)) {
+      target.description = `${options.ref.value} id`;
+    }
+
+    // required: true or [true, 'message']; a function makes it conditional
+    const required = this._optionValue(options.required);
+    return {
+      schema,
+      required: required === true,
+      hidden: t.isBooleanLiteral(options.select, { value: false })
+    };
+  }
+
+  /**
+   * Read what a statement using the schema variable changes about serialization:
+   * userSchema.set('toJSON', {...}), userSchema.options.toJSON = {...},
+   * userSchema.methods.toJSON = function () {...} or userSchema.method('toJSON', fn)
+   * @param {Object} entry - Model entry
+   * @param {Object} node - Expression of the statement
+   * @private
+   */
+  _readSchemaUse(entry, node) {
+    if (t.isCallExpression(node) && t.isMemberExpression(node.callee) &&
+        t.isStringLiteral(node.arguments[0], { value: 'toJSON' })) {
+      const method = this._calleeName(node.callee);
+      if (method === 'set' && t.isObjectExpression(node.arguments[1])) {
+        this._readToJSONOptions(entry, node.arguments[1], true);
+      } else if (method === 'method' && t.isFunction(node.arguments[1])) {
+        this._readTransform(entry, node.arguments[1]);
+      }
+      return;
+    }
+
+    if (t.isAssignmentExpression(node, { operator: '=' }) && t.isMemberExpression(node.left) &&
+        this._calleeName(node.left) === 'toJSON' && t.isMemberExpression(node.left.object)) {
+      const holder = this._calleeName(node.left.object);
+      if (holder === 'methods' && t.isFunction(node.right)) {
+        this._readTransform(entry, node.right);
+      } else if (holder === 'options' && t.isObjectExpression(node.right)) {
+        this._readToJSONOptions(entry, node.right, true);
+      }
+    }
+  }
+
+  /**
+   * Read toJSON options: { virtuals, versionKey, transform }
+   * @param {Object} entry - Model entry
+   * @param {Object} node - Options ObjectExpression
+   * @param {boolean} idVirtual - Whether the schema has the id virtual
+   * @private
+   */
+  _readToJSONOptions(entry, node, idVirtual) {
+    const options = this._options(node);
+    if (t.isBooleanLiteral(options.virtuals, { value: true }) && idVirtual) {
+      entry.toJSON.virtuals = true;
+    }
+    if (t.isBooleanLiteral(options.versionKey, { value: false })) {
+      entry.toJSON.removed.push('__v');
+    }
+    const transform = options.transform;
+    if (t.isFunction(transform)) {
+      this._readTransform(entry, transform);
+    }
+  }
+
+  /**
+   * Read the fields a transform or toJSON method removes (delete ret.password,
+   * const { password, ...rest } = ret) and copies (ret.id = ret._id)
+   * @param {Object} entry - Model entry
+   * @param {Object} node - Function node
+   * @private
+   */
+  _readTransform(entry, node) {
+    const { removed, added } = entry.toJSON;
+
+    t.traverseFast(node.body, child => {
+      if (t.isUnaryExpression(child, { operator: 'delete' }) && t.isMemberExpression(child.argument)) {
+        const name = this._calleeName(child.argument);
+        if (name) {
+          removed.push(name);
+        }
+      } else if (t.isAssignmentExpression(child, { operator: '=' }) && t.isMemberExpression(child.left) &&
+                 t.isIdentifier(child.left.object)) {
+        const name = this._calleeName(child.left);
+        if (name) {
+          added[name] = t.isMemberExpression(child.right) ? this._calleeName(child.right) : null;
+        }
+      } else if (t.isVariableDeclarator(child) && t.isObjectPattern(child.id) &&
+                 child.id.properties.some(prop => t.isRestElement(prop))) {
+        child.id.properties
+          .filter(prop => t.isObjectProperty(prop) && !prop.computed)
+          .forEach(prop => removed.push(prop.key.name || prop.key.value));
+      }
+    });
+  }
+
+  /**
+   * Convert a registered schema's paths to an object schema
+   * @param {Object} schema - Mongoose Schema
+   * @param {Object} entry - Model entry (collects select: false fields)
+   * @param {string} prefix - Dotted path of the schema within the document
+   * @returns {Object} Object schema
+   * @private
+   */
+  _runtimeSchema(schema, entry, prefix) {
+    const root = { type: 'object', properties: {} };
+
+    Object.entries(schema.paths).forEach(([path, schemaType]) => {
+      // Nested objects are flattened into dotted paths ('address.city')
+      const segments = path.split('.');
+      const name = segments.pop();
+      let parent = root;
+      segments.forEach(segment => {
+        parent.properties[segment] = parent.properties[segment] || { type: 'object', properties: {} };
+        parent = parent.properties[segment];
+      });
+
+      parent.properties[name] = this._runtimeField(schemaType, entry, `${prefix}${path}`);
+      if (schemaType.isRequired) {
+        parent.required = [...(parent.required || []), name];
+      }
+      if (schemaType.options && schemaType.options.select === false) {
+        entry.selectHidden.push(`${prefix}${path}`);
+      }
+    });
+
+    return root;
+  }
+
+  /**
+   * Convert a registered schema type
+   * @param {Object} schemaType - Mongoose SchemaType
+   * @param {Object} entry - Model entry
+   * @param {string} path - Dotted path of the field
+   * @returns {Object} JSON schema
+   * @private
+   */
+  _runtimeField(schemaType, entry, path) {
+    const instance = schemaType.instance;
+
+    if (instance === 'Array') {
+      const item = schemaType.schema
+        ? this._runtimeSchema(schemaType.schema, entry, `${path}.`)
+        : (schemaType.caster ? this._runtimeField(schemaType.caster, entry, `${path}.`) : {});
+      return { type: 'array', items: item };
+    }
+    if (schemaType.schema) {
+      return this._runtimeSchema(schemaType.schema, entry, `${path}.`);
+    }
+
+    const schema = structuredClone(SCHEMA_TYPES[instance] || {});
+    const options = schemaType.options || {};
+    const numeric = schema.type === 'number' || schema.type === 'integer';
+
+    const values = schemaType.enumValues && schemaType.enumValues.length > 0 ? schemaType.enumValues : options.enum;
+    if (Array.isArray(values)) {
+      schema.enum = [...values];
+    }
+    [['min', 'minimum'], ['max', 'maximum']].forEach(([option, keyword]) => {
+      const value = Array.isArray(options[option]) ? options[option][0] : options[option];
+      if (numeric && typeof value === 'number') {
+        schema[keyword] = value;
+      }
+    });
+    [['minlength', 'minLength'], ['maxlength', 'maxLength']].forEach(([option, keyword]) => {
+      const value = Array.isArray(options[option]) ? options[option][0] : options[option];
+      if (typeof value === 'number') {
+        schema[keyword] = value;
+      }
+    });
+    const match = Array.isArray(options.match) ? options.match[0] : options.match;
+    if (match instanceof RegExp) {
+      schema.pattern = match.source;
+    }
+    if (options.default !== undefined && typeof options.default !== 'function') {
+      schema.default = options.default;
+    }
+    if (typeof options.ref === 'string') {
+      schema.description = `${options.ref} id`;
+    }
+
+    return schema;
+  }
+
+  /**
+   * Run a registered transform on a stand-in document to see which top-level
+   * fields it removes and adds (a field holding another field's stand-in is a copy)
+   * @param {Object} entry - Model entry
+   * @param {Function} transform - Called with the stand-in, returns the result (or undefined)
+   * @private
+   */
+  _runTransform(entry, transform) {
+    const fields = Object.keys(entry.schema.properties);
+    const values = new Map(fields.map(field => [{ toString: () => field }, field]));
+    const ret = Object.fromEntries([...values].map(([value, field]) => [field, value]));
+
+    try {
+      const result = transform(ret);
+      const output = result && typeof result === 'object' ? result : ret;
+      fields.filter(field => !(field in output)).forEach(field => entry.toJSON.removed.push(field));
+      Object.keys(output).filter(field => !fields.includes(field)).forEach(field => {
+        entry.toJSON.added[field] = values.get(output[field]) || null;
+      });
+    } catch (error) {
+      // Transforms that need a real document are left out
+    }
+  }
+
+  /**
+   * Read a projection: 'name email -password', { password: 0 } or ['name', 'email']
+   * @param {Object} node - Projection node
+   * @returns {Array} Fields, prefixed with - when excluded and + when forced in
+   * @private
+   */
+  _projection(node) {
+    if (t.isStringLiteral(node)) {
+      return node.value.split(/\s+/).filter(Boolean);
+    }
+    if (t.isArrayExpression(node)) {
+      return node.elements.filter(element => t.isStringLiteral(element)).map(element => element.value);
+    }
+    if (t.isObjectExpression(node)) {
+      return node.properties
+        .filter(prop => t.isObjectProperty(prop) && !prop.computed)
+        .map(prop => {
+          const name = prop.key.name || prop.key.value;
+          const value = this._literal(prop.value);
+          return value === 0 || value === false ? `-${name}` : name;
+        });
+    }
+    return [];
+  }
+
+  /**
+   * Remove a dotted path from an object schema
+   * @param {Object} schema - Object schema
+   * @param {string} path - Dotted path
+   * @private
+   */
+  _removePath(schema, path) {
+    const segments = path.split('.');
+    const name = segments.pop();
+    let parent = schema;
+    for (const segment of segments) {
+      parent = parent.properties && parent.properties[segment];
+      parent = parent && parent.type === 'array' ? parent.items : parent;
+      if (!parent) {
+        return;
+      }
+    }
+    if (!parent.properties || !(name in parent.properties)) {
+      return;
+    }
+
+    delete parent.properties[name];
+    if (parent.required) {
+      parent.required = parent.required.filter(field => field !== name);
+      if (parent.required.length === 0) {
+        delete parent.required;
+      }
+    }
+  }
+
+  /**
+   * Option nodes of an object literal by key
+   * @param {Object} node - ObjectExpression (anything else gives no options)
+   * @returns {Object} Value nodes by key
+   * @private
+   */
+  _options(node) {
+    if (!t.isObjectExpression(node)) {
+      return {};
+    }
+    return Object.fromEntries(node.properties
+      .filter(prop => (t.isObjectProperty(prop) || t.isObjectMethod(prop)) && !prop.computed)
+      .map(prop => [prop.key.name || prop.key.value, t.isObjectMethod(prop) ? prop : prop.value]));
+  }
+
+  /**
+   * The type property of a field options object ({ type: String, ... })
+   * A nested definition with a field called type ({ type: { type: String } }) is not one
+   * @param {Object} node - ObjectExpression
+   * @returns {Object|null} The property, or null
+   * @private
+   */
+  _typeProperty(node) {
+    const prop = node.properties.find(p =>
+      t.isObjectProperty(p) && !p.computed && (p.key.name || p.key.value) === 'type');
+    return prop && !(t.isObjectExpression(prop.value) && this._typeProperty(prop.value)) ? prop : null;
+  }
+
+  /**
+   * Value of an option given as value or [value, message]
+   * @param {Object} node - Option node
+   * @returns {*} Literal value, or undefined
+   * @private
+   */
+  _optionValue(node) {
+    return this._literal(t.isArrayExpression(node) ? node.elements[0] : node);
+  }
+
+  /**
+   * Add _id to a subdocument schema
+   * @param {Object} schema - Object schema
+   * @returns {Object} Schema with _id first
+   * @private
+   */
+  _withId(schema) {
+    return { ...schema, properties: { _id: { ...OBJECT_ID }, ...schema.properties } };
+  }
+
+  /**
+   * Drop an empty required list
+   * @param {Object} schema - Object schema
+   * @returns {Object} The schema
+   * @private
+   */
+  _compact(schema) {
+    if (schema.required && schema.required.length === 0) {
+      delete schema.required;
+    }
+    return schema;
+  }
+
+  /**
+   * Last name in an identifier or member expression (Schema.Types.ObjectId -> ObjectId)
+   * @param {Object} node - Identifier or MemberExpression
+   * @returns {string|null} Name
+   * @private
+   */
+  _calleeName(node) {
+    if (t.isIdentifier(node)) {
+      return node.name;
+    }
+    if (t.isMemberExpression(node) && !node.computed && t.isIdentifier(node.property)) {
+      return node.property.name;
+    }
+    if (t.isMemberExpression(node) && t.isStringLiteral(node.property)) {
+      return node.property.value;
+    }
+    return null;
+  }
+
+  /**
+   * Literal value of a node (arrays of literals included)
+   * @param {Object} node - AST node
+   * @returns {*} Value, or undefined when not a literal
+   * @private
+   */
+  _literal(node) {
+    if (t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node)) {
+      return node.value;
+    }
+    if (t.isNullLiteral(node)) {
+      return null;
+    }
+    if (t.isUnaryExpression(node, { operator: '-' }) && t.isNumericLiteral(node.argument)) {
+      return -node.argument.value;
+    }
+    if (t.isArrayExpression(node)) {
+      const values = node.elements.map(element => this._literal(element));
+      return values.every(value => value !== undefined) ? values : undefined;
+    }
+    return undefined;
+  }
+}
+
+export default ModelSchemaExtractor;
@@ -0,0 +1,211 @@
+import * as t from '@babel/types';
+
+// multer instance methods that create upload middleware
+const UPLOAD_METHODS = ['single', 'array', 'fields', 'none', 'any'];
+
+// multer limits that describe the request body
+const UPLOAD_LIMITS = ['fileSize', 'files', 'fields', 'fieldSize', 'parts'];
+
+/**
+ * Upload Middleware Extractor
+ * Reads the file fields a multer middleware accepts from a route registration -
+ * upload.single('avatar'), upload.array('photos', 5), upload.fields([{ name, maxCount }]),
+ * upload.none() and upload.any() - and the limits of the multer() instance, without
+ * loading multer
+ *
+ * Uses the same scope as ValidationExtractor:
+ *   library(name)  - { specifier, imported } when name is imported from a package, else null
+ *   resolve(name)  - Promise<{ node, scope } | null> for the value a local or imported name holds
+ */
+class UploadExtractor {
+  /**
+   * Extract upload fields from middleware argument nodes
+   * @param {Array} nodes - Middleware argument nodes of a route registration
+   * @param {Object} scope - Scope of the module containing the registration
+   * @returns {Promise<Object|null>} { library, fields: [{ name, maxCount, multiple }], anyFiles, limits },
+   *   or null when no multer middleware was recognised
+   */
+  async extract(nodes, scope) {
+    let result = null;
+
+    for (const node of nodes) {
+      const upload = await this._extractNode(node, scope);
+      if (upload) {
+        result = result
+          ? { ...result, fields: [...result.fields, ...upload.fields], anyFiles: result.anyFiles || upload.anyFiles }
+          : upload;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Extract from one middleware argument
+   * @param {Object} node - Argument node
+   * @param {Object} scope - Module scope
+   * @param {number} [hops=0] - Names followed (guards against cycles)
+   * @returns {Promise<Object|null>} Upload description or null
+   * @private
+   */
+  async _extractNode(node, scope, hops = 0) {
+    if (hops > 5 || !node) {
+      return null;
+    }
+
+    // const uploadAvatar = upload.single('avatar') declared elsewhere
+    if (t.isIdentifier(node)) {
+      const resolved = await scope.resolve(node.name);
+      return resolved ? this._extractNode(resolved.node, resolved.scope, hops + 1) : null;
+    }
+
+    if (!t.isCallExpression(node) || !t.isMemberExpression(node.callee)) {
+      return null;
+    }
+
+    const method = this._propertyName(node.callee);
+    if (!UPLOAD_METHODS.includes(method)) {
+      return null;
+    }
+
+    const instance = await this._multerInstance(node.callee.object, scope, hops);
+    if (!instance) {
+      return null;
+    }
+
+    const limits = this._limits(instance.arguments[0]);
+    const [first, second] = node.arguments;
+    const upload = { library: 'multer', fields: [], anyFiles: method === 'any', limits };
+
+    if (method === 'single' && this._string(first)) {
+      upload.fields.push({ name: this._string(first), maxCount: 1, multiple: false });
+    } else if (method === 'array' && this._string(first)) {
+      const maxCount = this._number(second) ?? limits.files ?? null;
+      upload.fields.push({ name: this._string(first), maxCount, multiple: true });
+    } else if (method === 'fields' && t.isArrayExpression(first)) {
+      // upload.fields([{ name: 'avatar', maxCount: 1 }, { name: 'gallery', maxCount: 8 }])
+      first.elements.filter(element => t.isObjectExpression(element)).forEach(element => {
+        const name = this._string(this._property(element, 'name'));
+        if (name) {
+          const maxCount = this._number(this._property(element, 'maxCount')) ?? null;
+          upload.fields.push({ name, maxCount, multiple: maxCount !== 1 });
+        }
+      });
+    }
+
+    return upload;
+  }
+
+  /**
+   * Follow an instance expression to the multer() call that created it
+   * @param {Object} node - Instance expression (upload, multer({ dest }))
+   * @param {Object} scope - Module scope
+   * @param {number} hops - Names followed
+   * @returns {Promise<Object|null>} The multer() call node, or null when it isn't one
+   * @private
+   */
+  async _multerInstance(node, scope, hops) {
+    if (hops > 5) {
+      return null;
+    }
+
+    if (t.isIdentifier(node)) {
+      const resolved = await scope.resolve(node.name);
+      return resolved ? this._multerInstance(resolved.node, resolved.scope, hops + 1) : null;
+    }
+
+    if (t.isCallExpression(node) && t.isIdentifier(node.callee)) {
+      const library = scope.library(node.callee.name);
+      return library && library.specifier === 'multer' ? node : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Literal limits of multer({ limits: { fileSize: 5 * 1024 * 1024, files: 5 } })
+   * @param {Object} [options] - Options object expression
+   * @returns {Object} Limits by name
+   * @private
+   */
+  _limits(options) {
+    const limits = {};
+    const node = t.isObjectExpression(options) ? this._property(options, 'limits') : null;
+    if (!t.isObjectExpression(node)) {
+      return limits;
+    }
+
+    UPLOAD_LIMITS.forEach(name => {
+      const value = this._number(this._property(node, name));
+      if (value !== null) {
+        limits[name] = value;
+      }
+    });
+    return limits;
+  }
+
+  /**
+   * Value of a non-computed property of an object expression
+   * @param {Object} node - Object expression
+   * @param {string} name - Property name
+   * @returns {Object|null} Value node
+   * @private
+   */
+  _property(node, name) {
+    const prop = node.properties.find(p =>
+      t.isObjectProperty(p) && !p.computed && (p.key.name || p.key.value) === name);
+    return prop ? prop.value : null;
+  }
+
+  /**
+   * Value of a string literal or a template literal without expressions
+   * @param {Object} node - AST node
+   * @returns {string|null} String value
+   * @private
+   */
+  _string(node) {
+    if (t.isStringLiteral(node)) {
+      return node.value;
+    }
+    if (t.isTemplateLiteral(node) && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+    return null;
+  }
+
+  /**
+   * Value of a numeric literal or arithmetic on numeric literals
+   * @param {Object} node - AST node
+   * @returns {number|null} Number value
+   * @private
+   */
+  _number(node) {
+    if (t.isNumericLiteral(node)) {
+      return node.value;
+    }
+    if (t.isBinaryExpression(node) && ['+', '-', '*', '/'].includes(node.operator)) {
+      const left = this._number(node.left);
+      const right = this._number(node.right);
+      if (left === null || right === null) {
+        return null;
+      }
+      return { '+': left + right, '-': left - right, '*': left * right, '/': left / right }[node.operator];
+    }
+    return null;
+  }
+
+  /**
+   * Name of a member expression property
+   * @param {Object} member - Member expression
+   * @returns {string|null} Property name
+   * @private
+   */
+  _propertyName(member) {
+    if (t.isIdentifier(member.property) && !member.computed) {
+      return member.property.name;
+    }
+    return t.isStringLiteral(member.property) ? member.property.value : null;
+  }
+}
+
+export default UploadExtractor;
@@ -0,0 +1,803 @@
+import * as t from '@babel/types';
+
+// express-validator chain starters and the request source they validate
+const VALIDATOR_LOCATIONS = {
+  body: 'body',
+  check: 'body',
+  query: 'query',
+  param: 'params',
+  header: 'headers'
+};
+
+// Segment keys of celebrate({ body, query, params, headers }) and Segments.BODY
+const SEGMENTS = ['body', 'query', 'params', 'headers'];
+
+// express-validator validators that fix the field's type and format
+const VALIDATOR_FORMATS = {
+  isEmail: { type: 'string', format: 'email' },
+  isURL: { type: 'string', format: 'uri' },
+  isUUID: { type: 'string', format: 'uuid' },
+  isISO8601: { type: 'string', format: 'date-time' },
+  isDate: { type: 'string', format: 'date' },
+  isMongoId: { type: 'string', pattern: '^[a-fA-F0-9]{24}$' },
+  isString: { type: 'string' },
+  isAlpha: { type: 'string' },
+  isAlphanumeric: { type: 'string' },
+  isJWT: { type: 'string' },
+  isStrongPassword: { type: 'string', minLength: 8 },
+  isBoolean: { type: 'boolean' },
+  isObject: { type: 'object' },
+  toInt: { type: 'integer' },
+  toFloat: { type: 'number' },
+  toBoolean: { type: 'boolean' },
+  toDate: { type: 'string', format: 'date-time' }
+};
+
+// Joi/Zod string refinements that set a format
+const STRING_FORMATS = {
+  email: 'email',
+  uri: 'uri',
+  url: 'uri',
+  uuid: 'uuid',
+  guid: 'uuid',
+  isoDate: 'date-time',
+  datetime: 'date-time',
+  ip: 'ipv4'
+};
+
+/**
+ * Validation Middleware Extractor
+ * Reads request schemas from the validation middleware in a route registration -
+ * express-validator chains (body('email').isEmail()) and checkSchema(), Joi schemas
+ * (celebrate({ body: Joi.object(...) }), validate(joiSchema)) and Zod schemas
+ * (validate(z.object(...))) - without loading the libraries
+ *
+ * Libraries are recognised by import, so the caller provides a scope:
+ *   library(name)  - { specifier, imported } when name is imported from a package, else null
+ *   resolve(name)  - Promise<{ node, scope } | null> for the value a local or imported name holds
+ */
+class ValidationExtractor {
+  /**
+   * Extract request schemas from middleware argument nodes
+   * @param {Array} nodes - Middleware argument nodes of a route registration
+   * @param {Object} scope - Scope of the module containing the registration
+   * @returns {Promise<Object|null>} { libraries, params, query, body, headers } with an
+   *   object schema per validated source, or null when no validation was recognised
+   */
+  async extract(nodes, scope) {
+    const result = { libraries: [], params: null, query: null, body: null, headers: null };
+
+    for (const node of nodes) {
+      await this._extractNode(node, scope, result);
+    }
+
+    return result.libraries.length > 0 ? result : null;
+  }
+
+  /**
+   * Extract from one middleware argument
+   * @param {Object} node - Argument node
+   * @param {Object} scope - Module scope
+   * @param {Object} result - Schemas being collected
+   * @param {number} [hops=0] - Names followed (guards against cycles)
+   * @private
+   */
+  async _extractNode(node, scope, result, hops = 0) {
+    if (hops > 5 || !node) {
+      return;
+    }
+
+    // [body('email').isEmail(), body('password').isLength({ min: 8 })]
+    if (t.isArrayExpression(node)) {
+      for (const element of node.elements) {
+        await this._extractNode(element, scope, result, hops);
+      }
+      return;
+    }
+
+    // const createUserRules = [...] declared elsewhere
+    if (t.isIdentifier(node)) {
+      const resolved = await scope.resolve(node.name);
+      if (resolved && (t.isArrayExpression(resolved.node) || t.isCallExpression(resolved.node))) {
+        await this._extractNode(resolved.node, resolved.scope, result, hops + 1);
+      }
+      return;
+    }
+
+    const chain = this._unwindChain(node);
+    if (!chain) {
+      return;
+    }
+
+    const library = scope.library(chain.root.name);
+    const starter = chain.links[0];
+
+    if (library && library.specifier === 'express-validator') {
+      if (library.imported === 'checkSchema' && starter.method === null) {
+        this._addLibrary(result, 'express-validator');
+        this._extractCheckSchema(starter.args[0], result);
+      } else if (VALIDATOR_LOCATIONS[library.imported] && starter.method === null) {
+        this._addLibrary(result, 'express-validator');
+        this._extractValidatorChain(VALIDATOR_LOCATIONS[library.imported], chain.links, result);
+      }
+      return;
+    }
+
+    // celebrate({ body: ... }), validate(schema), validateRequest(schema, 'query')
+    if (t.isCallExpression(node)) {
+      for (const arg of node.arguments) {
+        await this._extractSchemaArgument(arg, scope, result, library, hops);
+      }
+    }
+  }
+
+  /**
+   * Extract a schema passed to a validation middleware factory
+   * An object keyed by request segments maps each segment to a schema; a schema
+   * whose keys are all segments is split the same way; any other schema is the body
+   * @param {Object} node - Argument node
+   * @param {Object} scope - Module scope
+   * @param {Object} result - Schemas being collected
+   * @param {Object|null} factory - Import of the factory (celebrate) if any
+   * @param {number} hops - Names followed
+   * @private
+   */
+  async _extractSchemaArgument(node, scope, result, factory, hops) {
+    if (t.isIdentifier(node)) {
+      const resolved = await scope.resolve(node.name);
+      if (resolved) {
+        await this._extractSchemaArgument(resolved.node, resolved.scope, result, factory, hops + 1);
+      }
+      return;
+    }
+
+    const celebrate = factory && factory.specifier === 'celebrate' && factory.imported === 'celebrate';
+    if (t.isObjectExpression(node) && (celebrate || this._segmentKeys(node, scope))) {
+      for (const prop of node.properties) {
+        const segment = this._segmentKey(prop, scope);
+        if (segment) {
+          const schema = await this._schemaFor(prop.value, scope, 'joi', hops);
+          if (schema) {
+            this._addLibrary(result, schema.library);
+            this._mergeSource(result, segment, schema.schema);
+          }
+        }
+      }
+      return;
+    }
+
+    const schema = await this._schemaFor(node, scope, null, hops);
+    if (!schema) {
+      return;
+    }
+
+    this._addLibrary(result, schema.library);
+    const segmented = schema.schema.properties &&
+      Object.keys(schema.schema.properties).length > 0 &&
+      Object.keys(schema.schema.properties).every(key => SEGMENTS.includes(key));
+    if (segmented) {
+      // z.object({ body: z.object(...), params: z.object(...) })
+      Object.entries(schema.schema.properties).forEach(([segment, segmentSchema]) => {
+        this._mergeSource(result, segment, segmentSchema);
+      });
+    } else {
+      this._mergeSource(result, 'body', schema.schema);
+    }
+  }
+
+  /**
+   * Convert a Joi or Zod schema expression
+   * @param {Object} node - Schema expression (or a name holding one)
+   * @param {Object} scope - Module scope
+   * @param {string|null} plainObject - Library assumed for a plain object of field schemas
+   * @param {number} hops - Names followed
+   * @returns {Promise<Object|null>} { library, schema, required } or null when not a schema
+   * @private
+   */
+  async _schemaFor(node, scope, plainObject, hops) {
+    if (hops > 5 || !node) {
+      return null;
+    }
+
+    if (t.isIdentifier(node)) {
+      const resolved = await scope.resolve(node.name);
+      return resolved ? this._schemaFor(resolved.node, resolved.scope, plainObject, hops + 1) : null;
+    }
+
+    // celebrate accepts { email: Joi.string() } for a segment
+    if (t.isObjectExpression(node) && plainObject) {
+      return { library: plainObject, schema: await this._objectSchema(node, scope, plainObject, hops), required: false };
+    }
+
+    const chain = this._unwindChain(node);
+    const library = chain ? this._schemaLibrary(scope.library(chain.root.name)) : null;
+    if (!library) {
+      return null;
+    }
+
+    const { schema, required } = library === 'joi'
+      ? await this._joiSchema(chain.links, scope, hops)
+      : await this._zodSchema(chain.links, scope, hops);
+    return { library, schema, required };
+  }
+
+  /**
+   * Library a schema builder is imported from
+   * @param {Object|null} imported - { specifier, imported }
+   * @returns {string|null} 'joi', 'zod' or null
+   * @private
+   */
+  _schemaLibrary(imported) {
+    if (!imported) {
+      return null;
+    }
+    if (['joi', '@hapi/joi'].includes(imported.specifier) ||
+        (imported.specifier === 'celebrate' && imported.imported === 'Joi')) {
+      return 'joi';
+    }
+    return imported.specifier === 'zod' ? 'zod' : null;
+  }
+
+  /**
+   * Convert a Joi chain: Joi.string().email().max(50).required()
+   * Joi fields are optional unless .required()
+   * @param {Array} links - Chain links from the Joi root
+   * @param {Object} scope - Module scope
+   * @param {number} hops - Names followed
+   * @returns {Promise<Object>} { schema, required }
+   * @private
+   */
+  async _joiSchema(links, scope, hops) {
+    const schema = {};
+    let required = false;
+
+    for (const { method, args } of links) {
+      const [first] = args || [];
+      switch (method) {
+        case 'string':
+        case 'number':
+        case 'boolean':
+        case 'array':
+          schema.type = method;
+          break;
+        case 'date':
+          Object.assign(schema, { type: 'string', format: 'date-time' });
+          break;
+        case 'object':
+        case 'keys':
+          schema.type = 'object';
+          if (t.isObjectExpression(first)) {
+            Object.assign(schema, await this._objectSchema(first, scope, 'joi', hops));
+          }
+          break;
+        case 'integer':
+          schema.type = 'integer';
+          break;
+        case 'positive':
+          Object.assign(schema, { minimum: 0, exclusiveMinimum: true });
+          break;
+        case 'min':
+        case 'max':
+        case 'length':
+          this._applyBound(schema, method, this._literal(first));
+          break;
+        case 'pattern':
+        case 'regex':
+          this._applyPattern(schema, first);
+          break;
+        case 'valid':
+        case 'allow': {
+          const values = args.map(arg => this._literal(arg));
+          if (values.includes(null)) {
+            schema.nullable = true;
+          }
+          if (method === 'valid' && values.some(value => value !== null)) {
+            schema.enum = values.filter(value => value !== null);
+          }
+          break;
+        }
+        case 'items': {
+          const item = await this._schemaFor(first, scope, null, hops + 1);
+          schema.items = item ? item.schema : {};
+          break;
+        }
+        case 'default':
+          schema.default = this._literal(first);
+          break;
+        case 'description':
+          schema.description = this._literal(first);
+          break;
+        case 'required':
+          required = true;
+          break;
+        case 'optional':
+          required = false;
+          break;
+        default:
+          if (STRING_FORMATS[method]) {
+            Object.assign(schema, { type: 'string', format: STRING_FORMATS[method] });
+          }
+          break;
+      }
+    }
+
+    return { schema, required };
+  }
+
+  /**
+   * Convert a Zod chain: z.string().email().max(50).optional()
+   * Zod fields are required unless .optional(), .nullish() or .default()
+   * @param {Array} links - Chain links from the z root
+   * @param {Object} scope - Module scope
+   * @param {number} hops - Names followed
+   * @returns {Promise<Object>} { schema, required }
+   * @private
+   */
+  async _zodSchema(links, scope, hops) {
+    let schema = {};
+    let required = true;
+
+    for (const { method, args } of links) {
+      const [first] = args || [];
+      switch (method) {
+        case 'string':
+        case 'number':
+        case 'boolean':
+          schema.type = method;
+          break;
+        case 'bigint':
+        case 'int':
+          schema.type = 'integer';
+          break;
+        case 'date':
+          Object.assign(schema, { type: 'string', format: 'date-time' });
+          break;
+        case 'object':
+          if (t.isObjectExpression(first)) {
+            Object.assign(schema, await this._objectSchema(first, scope, 'zod', hops));
+          }
+          break;
+        case 'array': {
+          const item = await this._schemaFor(first, scope, null, hops + 1);
+          Object.assign(schema, { type: 'array', items: item ? item.schema : {} });
+          break;
+        }
+        case 'enum':
+          if (t.isArrayExpression(first)) {
+            Object.assign(schema, { type: 'string', enum: first.elements.map(element => this._literal(element)) });
+          }
+          break;
+        case 'literal': {
+          const value = this._literal(first);
+          Object.assign(schema, { type: typeof value, enum: [value] });
+          break;
+        }
+        case 'union':
+          if (t.isArrayExpression(first)) {
+            const options = [];
+            for (const element of first.elements) {
+              const option = await this._schemaFor(element, scope, null, hops + 1);
+              options.push(option ? option.schema : {});
+            }
+            schema = { oneOf: options };
+          }
+          break;
+        case 'positive':
+          Object.assign(schema, { minimum: 0, exclusiveMinimum: true });
+          break;
+        case 'nonnegative':
+          schema.minimum = 0;
+          break;
+        case 'nonempty':
+          this._applyBound(schema, 'min', 1);
+          break;
+        case 'min':
+        case 'max':
+        case 'length':
+        case 'gte':
+        case 'lte':
+          this._applyBound(schema, { gte: 'min', lte: 'max' }[method] || method, this._literal(first));
+          break;
+        case 'regex':
+          this._applyPattern(schema, first);
+          break;
+        case 'nullable':
+          schema.nullable = true;
+          break;
+        case 'nullish':
+          schema.nullable = true;
+          required = false;
+          break;
+        case 'optional':
+          required = false;
+          break;
+        case 'default':
+          schema.default = this._literal(first);
+          required = false;
+          break;
+        case 'describe':
+          schema.description = this._literal(first);
+          break;
+        default:
+          if (STRING_FORMATS[method]) {
+            Object.assign(schema, { type: 'string', format: STRING_FORMATS[method] });
+          }
+          break;
+      }
+    }
+
+    return { schema, required };
+  }
+
+  /**
+   * Object schema from a shape of field schemas ({ email: Joi.string().required() })
+   * @param {Object} node - ObjectExpression
+   * @param {Object} scope - Module scope
+   * @param {string} library - Library of the field schemas
+   * @param {number} hops - Names followed
+   * @returns {Promise<Object>} Object schema
+   * @private
+   */
+  async _objectSchema(node, scope, library, hops) {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    for (const prop of node.properties) {
+      const name = t.isObjectProperty(prop) && !prop.computed ? (prop.key.name || prop.key.value) : null;
+      if (!name) {
+        continue;
+      }
+
+      const field = await this._schemaFor(prop.value, scope, null, hops + 1);
+      schema.properties[name] = field ? field.schema : {};
+      if (field && field.required) {
+        required.push(name);
+      }
+    }
+
+    if (required.length > 0) {
+      schema.required = required;
+    }
+    return schema;
+  }
+
+  /**
+   * Apply an express-validator chain: body('email').optional().isEmail()
+   * Fields are required unless .optional()
+   * @param {string} source - Request source of the chain starter
+   * @param {Array} links - Chain links; the first is the starter call
+   * @param {Object} result - Schemas being collected
+   * @private
+   */
+  _extractValidatorChain(source, links, result) {
+    const [starter, ...validators] = links;
+    const fieldArg = starter.args[0];
+    const fields = t.isArrayExpression(fieldArg)
+      ? fieldArg.elements.map(element => this._literal(element))
+      : [this._literal(fieldArg)];
+
+    const rule = { schema: {}, required: true };
+    let negate = false;
+    validators.forEach(({ method, args }) => {
+      if (method === 'not') {
+        negate = true;
+        return;
+      }
+      // .not().isEmpty() is notEmpty(); other negated validators say nothing about the shape
+      if (negate && method === 'isEmpty') {
+        this._applyValidator(rule, 'notEmpty', []);
+      } else if (!negate) {
+        this._applyValidator(rule, method, args || []);
+      }
+      negate = false;
+    });
+
+    fields.filter(field => typeof field === 'string').forEach(field => {
+      this._mergeField(result, source, field, rule.schema, rule.required);
+    });
+  }
+
+  /**
+   * Apply express-validator checkSchema({ field: { in: ['query'], isInt: { options: { min: 1 } } } })
+   * @param {Object} node - Schema object literal
+   * @param {Object} result - Schemas being collected
+   * @private
+   */
+  _extractCheckSchema(node, result) {
+    if (!t.isObjectExpression(node)) {
+      return;
+    }
+
+    node.properties.forEach(prop => {
+      const field = t.isObjectProperty(prop) ? (prop.key.name || prop.key.value) : null;
+      if (!field || !t.isObjectExpression(prop.value)) {
+        return;
+      }
+
+      const rule = { schema: {}, required: true };
+      let source = 'body';
+      prop.value.properties.forEach(entry => {
+        const key = t.isObjectProperty(entry) ? (entry.key.name || entry.key.value) : null;
+        const value = this._literal(entry.value);
+        if (key === 'in') {
+          source = Array.isArray(value) ? value[0] : value;
+        } else if (key && value !== false) {
+          // isInt: { options: { min: 1 } } takes the options as the validator argument
+          const options = t.isObjectExpression(entry.value)
+            ? entry.value.properties.find(p => t.isObjectProperty(p) && (p.key.name || p.key.value) === 'options')
+            : null;
+          this._applyValidator(rule, key, options ? [options.value] : []);
+        }
+      });
+
+      if (SEGMENTS.includes(source)) {
+        this._mergeField(result, source, field, rule.schema, rule.required);
+      }
+    });
+  }
+
+  /**
+   * Apply one express-validator validator or sanitizer to a field rule
+   * @param {Object} rule - { schema, required }
+   * @param {string} method - Validator name
+   * @param {Array} args - Validator argument nodes
+   * @private
+   */
+  _applyValidator(rule, method, args) {
+    const schema = rule.schema;
+    const options = this._literal(args[0]) || {};
+
+    if (VALIDATOR_FORMATS[method]) {
+      Object.assign(schema, VALIDATOR_FORMATS[method]);
+      return;
+    }
+
+    switch (method) {
+      case 'optional':
+        rule.required = false;
+        break;
+      case 'exists':
+        rule.required = true;
+        break;
+      case 'notEmpty':
+        rule.required = true;
+        if (!schema.type || schema.type === 'string') {
+          schema.minLength = Math.max(schema.minLength || 0, 1);
+        }
+        break;
+      case 'isInt':
+        schema.type = 'integer';
+        this._applyRange(schema, options);
+        break;
+      case 'isFloat':
+      case 'isDecimal':
+      case 'isNumeric':
+        schema.type = 'number';
+        this._applyRange(schema, options);
+        break;
+      case 'isArray':
+        schema.type = 'array';
+        this._applyBound(schema, 'min', options.min);
+        this._applyBound(schema, 'max', options.max);
+        break;
+      case 'isLength':
+        schema.type = schema.type || 'string';
+        this._applyBound(schema, 'min', options.min);
+        this._applyBound(schema, 'max', options.max);
+        break;
+      case 'isIn':
+        if (Array.isArray(options)) {
+          schema.enum = options;
+        }
+        break;
+      case 'matches':
+        this._applyPattern(schema, args[0]);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Apply { min, max } options of isInt()/isFloat()
+   * @param {Object} schema - Field schema
+   * @param {Object} options - Literal options
+   * @private
+   */
+  _applyRange(schema, options) {
+    if (typeof options.min === 'number') {
+      schema.minimum = options.min;
+    }
+    if (typeof options.max === 'number') {
+      schema.maximum = options.max;
+    }
+  }
+
+  /**
+   * Apply min/max/length to the keyword matching the schema type
+   * (minLength for strings, minItems for arrays, minimum for numbers)
+   * @param {Object} schema - Field schema
+   * @param {string} bound - 'min', 'max' or 'length'
+   * @param {*} value - Bound value
+   * @private
+   */
+  _applyBound(schema, bound, value) {
+    if (typeof value !== 'number') {
+      return;
+    }
+
+    const keywords = schema.type === 'array' ? ['minItems', 'maxItems']
+      : ['number', 'integer'].includes(schema.type) ? ['minimum', 'maximum']
+        : ['minLength', 'maxLength'];
+    if (bound !== 'max') {
+      schema[keywords[0]] = value;
+    }
+    if (bound !== 'min') {
+      schema[keywords[1]] = value;
+    }
+  }
+
+  /**
+   * Apply a regex literal as a pattern
+   * @param {Object} schema - Field schema
+   * @param {Object} node - Regex literal node
+   * @private
+   */
+  _applyPattern(schema, node) {
+    if (t.isRegExpLiteral(node)) {
+      schema.type = schema.type || 'string';
+      schema.pattern = node.pattern;
+    }
+  }
+
+  /**
+   * Add a field schema to a source's object schema
+   * @param {Object} result - Schemas being collected
+   * @param {string} source - Request source
+   * @param {string} field - Field name
+   * @param {Object} schema - Field schema
+   * @param {boolean} required - Whether the field is required
+   * @private
+   */
+  _mergeField(result, source, field, schema, required) {
+    this._mergeSource(result, source, {
+      type: 'object',
+      properties: { [field]: schema },
+      ...(required ? { required: [field] } : {})
+    });
+  }
+
+  /**
+   * Merge an object schema into the schema collected for a source
+   * Rules for the same field from several chains are combined
+   * @param {Object} result - Schemas being collected
+   * @param {string} source - Request source
+   * @param {Object} schema - Object schema for the source
+   * @private
+   */
+  _mergeSource(result, source, schema) {
+    const current = result[source];
+    if (!current || !current.properties || !schema.properties) {
+      result[source] = schema;
+      return;
+    }
+
+    Object.entries(schema.properties).forEach(([name, property]) => {
+      current.properties[name] = { ...(current.properties[name] || {}), ...property };
+    });
+    const required = [...new Set([...(current.required || []), ...(schema.required || [])])];
+    if (required.length > 0) {
+      current.required = required;
+    }
+  }
+
+  /**
+   * Record a recognised library
+   * @param {Object} result - Schemas being collected
+   * @param {string} library - Library name
+   * @private
+   */
+  _addLibrary(result, library) {
+    if (!result.libraries.includes(library)) {
+      result.libraries.push(library);
+    }
+  }
+
+  /**
+   * Check whether every key of an object literal is a request segment
+   * @param {Object} node - ObjectExpression
+   * @param {Object} scope - Module scope
+   * @returns {boolean}
+   * @private
+   */
+  _segmentKeys(node, scope) {
+    return node.properties.length > 0 && node.properties.every(prop => this._segmentKey(prop, scope));
+  }
+
+  /**
+   * Request segment named by an object key: body, or [Segments.BODY] from celebrate
+   * @param {Object} prop - Object property
+   * @param {Object} scope - Module scope
+   * @returns {string|null} Segment or null
+   * @private
+   */
+  _segmentKey(prop, scope) {
+    if (!t.isObjectProperty(prop)) {
+      return null;
+    }
+
+    let key = null;
+    if (!prop.computed) {
+      key = prop.key.name || prop.key.value;
+    } else if (t.isMemberExpression(prop.key) && t.isIdentifier(prop.key.object) && t.isIdentifier(prop.key.property)) {
+      const imported = scope.library(prop.key.object.name);
+      key = imported && imported.imported === 'Segments' ? prop.key.property.name.toLowerCase() : null;
+    }
+
+    return SEGMENTS.includes(key) ? key : null;
+  }
+
+  /**
+   * Flatten a call chain into its root identifier and links
+   * body('email').isEmail() -> root body, links [{ method: null, args: ['email'] }, { method: 'isEmail', args: [] }]
+   * Joi.string().email() -> root Joi, links [{ method: 'string' }, { method: 'email' }]
+   * Property steps without a call (z.coerce.number()) have args null
+   * @param {Object} node - Expression node
+   * @returns {Object|null} { root, links } or null when the chain doesn't start at an identifier
+   * @private
+   */
+  _unwindChain(node) {
+    const links = [];
+    let current = node;
+
+    while (t.isCallExpression(current) || t.isMemberExpression(current)) {
+      if (t.isCallExpression(current)) {
+        const callee = current.callee;
+        const method = t.isMemberExpression(callee) && !callee.computed ? callee.property.name : null;
+        links.unshift({ method, args: current.arguments });
+        current = t.isMemberExpression(callee) ? callee.object : callee;
+      } else {
+        links.unshift({ method: current.computed ? null : current.property.name, args: null });
+        current = current.object;
+      }
+    }
+
+    return t.isIdentifier(current) && links.length > 0 ? { root: current, links } : null;
+  }
+
+  /**
+   * Value of a literal node (strings, numbers, booleans, null, arrays and objects of those)
+   * @param {Object} node - AST node
+   * @returns {*} Value, or undefined when not a literal
+   * @private
+   */
+  _literal(node) {
+    if (!node) {
+      return undefined;
+    }
+    if (t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node)) {
+      return node.value;
+    }
+    if (t.isNullLiteral(node)) {
+      return null;
+    }
+    if (t.isUnaryExpression(node, { operator: '-' }) && t.isNumericLiteral(node.argument)) {
+      return -node.argument.value;
+    }
+    if (t.isArrayExpression(node)) {
+      return node.elements.map(element => this._literal(element));
+    }
+    if (t.isObjectExpression(node)) {
+      const value = {};
+      node.properties.forEach(prop => {
+        if (t.isObjectProperty(prop) && !prop.computed) {
+          value[prop.key.name || prop.key.value] = this._literal(prop.value);
+        }
+      });
+      return value;
+    }
+    return undefined;
+  }
+}
+
+export default ValidationExtractor;
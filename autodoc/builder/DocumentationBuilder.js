@@ -1,7 +1,19 @@
 import fs from 'fs/promises';
 import path from 'path';
 import RouteReflector from '../reflect/RouteReflector.js';
+import StaticRouteReflector from '../reflect/StaticRouteReflector.js';
 import ASTAnalyzer from '../ast/ASTAnalyzer.js';
+import ModelSchemaExtractor from '../ast/ModelSchemaExtractor.js';
+
+// Where each request source is documented
+const PARAMETER_LOCATIONS = { body: 'body', query: 'query', params: 'path', headers: 'header' };
+
+// Description prefixes of inferred parameters, by OpenAPI location
+const PARAMETER_LABELS = { body: 'Body parameter', query: 'Query parameter', path: 'Path parameter', header: 'Header' };
+
+// Names express.urlencoded()/bodyParser.urlencoded() middleware has when discovered
+// statically (express.urlencoded) and at runtime (urlencodedParser)
+const URLENCODED_PARSER = /(^|\.)urlencoded(Parser)?$/;
 
 /**
  * Documentation Builder
@@ -10,15 +22,24 @@ import ASTAnalyzer from '../ast/ASTAnalyzer.js';
  */
 class DocumentationBuilder {
   constructor(options = {}) {
-    this.reflector = new RouteReflector();
-    this.analyzer = new ASTAnalyzer();
+    // Static mode reads the app's source instead of importing it
+    this.reflector = options.static ? new StaticRouteReflector() : new RouteReflector();
+    // The app's own mongoose copy; its registered models describe models that can't be read from source
+    this.mongoose = options.mongoose || null;
+    // Helper/service calls are followed this many levels deep (ASTAnalyzer default when unset)
+    this.analyzer = new ASTAnalyzer({
+      maxCallDepth: options.maxCallDepth,
+      isRegisteredModel: name => Boolean(this.mongoose && this.mongoose.models[name])
+    });
+    this.modelExtractor = new ModelSchemaExtractor();
     this.schemaDir = options.schemaDir || './schemas';
     this.controllerDir = options.controllerDir || './src/controllers';
+    this.sourceCache = new Map();
   }
 
   /**
    * Build documentation for entire Express app
-   * @param {express.Application} app - Express application
+   * @param {express.Application|string} app - Express application, or path to its entry file in static mode
    * @param {Object} options - Build options
    * @returns {Array} Array of documentation objects
    */
@@ -27,8 +48,9 @@ class DocumentationBuilder {
     
     // Step 1: Reflect routes
     console.log('  → Reflecting routes...');
-    const routes = this.reflector.extractRoutes(app);
+    const routes = await this.reflector.extractRoutes(app);
     console.log(`  ✓ Found ${routes.length} routes`);
+    this.reflector.warnings.forEach(warning => console.warn(`  ⚠ ${warning}`));
 
     // Step 2: Analyze each route
     console.log('  → Analyzing route handlers...');
@@ -57,63 +79,481 @@ class DocumentationBuilder {
    * @private
    */
   async _buildRouteDocumentation(route, options = {}) {
+    const doc = this._routeDocumentation(route);
+
+    // Add path parameters
+    const pathParameters = route.pathParameters ||
+      (route.routeParameters || []).map(name => ({ name, optional: false, pattern: null, wildcard: false }));
+    pathParameters.forEach(param => {
+      doc.parameters.push(this._describePathParameter(param, doc));
+    });
+
+    // Analyze handler code if source is available
+    const functionAnalysis = await this._analyzeHandler(route);
+    if (functionAnalysis) {
+      // Extract request body parameters
+      this._extractRequestParameters(functionAnalysis, doc);
+      this._documentValidation(functionAnalysis, doc);
+      
+      // Extract response structure
+      this._extractResponseStructure(functionAnalysis, doc);
+      
+      // Extract status codes
+      if (functionAnalysis.responseUsage.statusCodes.length > 0) {
+        doc.statusCodes = [...new Set(functionAnalysis.responseUsage.statusCodes)];
+      }
+
+      // Helpers whose responses and request reads were attributed to this endpoint
+      if (functionAnalysis.helpers.length > 0) {
+        doc.metadata.helpers = functionAnalysis.helpers.map(helper => ({
+          name: helper.name,
+          file: this._relativePath(helper.file),
+          line: helper.line
+        }));
+      }
+
+      // TypeScript types of the handler signature override what was inferred
+      this._applySchemas(functionAnalysis.types, doc);
+    }
+
+    // Validation middleware in front of the handler (static discovery only)
+    if (route.validation) {
+      this._applySchemas(route.validation, doc);
+      doc.metadata.validation = route.validation.libraries;
+    }
+
+    // multipart/form-data for file uploads, form bodies behind express.urlencoded()
+    this._documentContentTypes(route, functionAnalysis, doc);
+
+    // JSDoc tags above the handler take precedence over everything else
+    this._applyAnnotations(functionAnalysis?.annotations, doc);
+
+    await this._documentParamHandlers(route, doc);
+    await this._documentErrorHandlers(route, doc);
+
+    // Try to load schemas from filesystem
+    await this._loadSchemas(doc);
+
+    return doc;
+  }
+
+  /**
+   * Use explicit request/response schemas (TypeScript types, validation middleware)
+   * Object schemas for params, query, headers and body document one parameter per
+   * property (optional properties are not required); other body schemas become the
+   * request schema, and a response schema replaces the inferred success schema
+   * @param {Object} types - { params, body, query, headers, response? } schemas
+   * @param {Object} doc - Documentation object to update
+   * @private
+   */
+  _applySchemas(types, doc) {
+    if (!types) {
+      return;
+    }
+
+    ['params', 'query', 'headers', 'body'].forEach(source => {
+      const schema = types[source];
+      if (!schema) {
+        return;
+      }
+      if (!schema.properties) {
+        if (source === 'body') {
+          doc.requestSchema = schema;
+        }
+        return;
+      }
+
+      const location = PARAMETER_LOCATIONS[source];
+      Object.entries(schema.properties).forEach(([name, property]) => {
+        let parameter = doc.parameters.find(p => p.in === location && p.name === name);
+        if (!parameter) {
+          parameter = { name, in: location, description: `${PARAMETER_LABELS[location]}: ${name}` };
+          doc.parameters.push(parameter);
+        }
+
+        parameter.type = property.type || 'object';
+        parameter.schema = {
+          ...property,
+          ...(parameter.pattern ? { pattern: parameter.pattern } : {}),
+          ...(parameter.default !== undefined ? { default: parameter.default } : {})
+        };
+        parameter.required = location === 'path' || (schema.required || []).includes(name);
+        delete parameter.typeConfidence;
+      });
+    });
+
+    if (types.response) {
+      doc.responseSchema = types.response;
+      const primary = doc.responses
+        .filter(r => r.statusCode >= 200 && r.statusCode < 300)
+        .sort((a, b) => a.statusCode - b.statusCode)[0];
+      if (primary) {
+        primary.schema = types.response;
+      }
+    }
+  }
+
+  /**
+   * Document the content types the request body is accepted in
+   * A multer middleware or a handler reading req.file/req.files makes the body
+   * multipart/form-data, with the file fields the middleware accepts (or, when its
+   * configuration can't be read, the ones the handler reads); routes behind
+   * express.urlencoded() also accept form-encoded bodies
+   * @param {Object} route - Route object from reflector
+   * @param {Object|null} analysis - Handler analysis
+   * @param {Object} doc - Documentation object to update
+   * @private
+   */
+  _documentContentTypes(route, analysis, doc) {
+    const middleware = route.middleware || [];
+    const files = analysis ? analysis.requestUsage.files : null;
+    const readsFiles = Boolean(files && (files.single || files.multiple));
+
+    if (route.upload || readsFiles || middleware.includes('multerMiddleware')) {
+      doc.uploads = route.upload
+        ? { fields: route.upload.fields, anyFiles: route.upload.anyFiles, limits: route.upload.limits }
+        : { fields: readsFiles ? this._usedFiles(files) : [], anyFiles: false, limits: {} };
+      doc.requestContentTypes = ['multipart/form-data'];
+      return;
+    }
+
+    if (middleware.some(name => URLENCODED_PARSER.test(name))) {
+      doc.requestContentTypes = ['application/json', 'application/x-www-form-urlencoded'];
+    }
+  }
+
+  /**
+   * File fields described by the handler's req.file/req.files reads
+   * @param {Object} files - { single, multiple, fields } from the analyzer
+   * @returns {Array<{name, maxCount, multiple}>} File fields, named as multer exposes them
+   * @private
+   */
+  _usedFiles(files) {
+    if (files.fields.length > 0) {
+      return files.fields.map(name => ({ name, maxCount: null, multiple: true }));
+    }
+    return [
+      ...(files.single ? [{ name: 'file', maxCount: 1, multiple: false }] : []),
+      ...(files.multiple ? [{ name: 'files', maxCount: null, multiple: true }] : [])
+    ];
+  }
+
+  /**
+   * Merge a handler's JSDoc annotations into its documentation
+   * Explicit summary, description, parameter types and descriptions, responses,
+   * deprecation and examples replace the inferred values; tags are added
+   * @param {Object|null} annotations - Annotations from the analyzer
+   * @param {Object} doc - Documentation object to update
+   * @private
+   */
+  _applyAnnotations(annotations, doc) {
+    if (!annotations) {
+      return;
+    }
+
+    if (annotations.summary) {
+      doc.summary = annotations.summary;
+    }
+    if (annotations.description) {
+      doc.description = annotations.description;
+    }
+    if (annotations.tags.length > 0) {
+      doc.tags = [...new Set([...(doc.tags || []), ...annotations.tags])];
+    }
+
+    annotations.params.forEach(param => {
+      const location = PARAMETER_LOCATIONS[param.source];
+      let parameter = doc.parameters.find(p => p.in === location && p.name === param.name);
+      if (!parameter) {
+        parameter = { name: param.name, in: location, type: 'string', required: location === 'path', description: '' };
+        doc.parameters.push(parameter);
+      }
+
+      if (param.type) {
+        parameter.type = param.type;
+        if (parameter.schema) {
+          parameter.schema = { ...parameter.schema, type: param.type };
+        }
+        delete parameter.typeConfidence;
+      }
+      if (param.description) {
+        parameter.description = param.description;
+      }
+      if (location !== 'path') {
+        parameter.required = !param.optional;
+      }
+      if ('default' in param) {
+        parameter.default = param.default;
+      }
+    });
+
+    annotations.responses.forEach(({ statusCode, description }) => {
+      // @returns {Type} describes the primary success response
+      const code = statusCode ?? doc.responses
+        .map(r => r.statusCode)
+        .filter(c => c >= 200 && c < 300)
+        .sort((a, b) => a - b)[0];
+      if (!code) {
+        return;
+      }
+
+      const response = doc.responses.find(r => r.statusCode === code);
+      if (response) {
+        response.description = description || response.description;
+      } else {
+        doc.responses.push({ statusCode: code, schema: null, example: null, description });
+      }
+      doc.statusCodes = [...new Set([...doc.statusCodes, code])];
+    });
+
+    if (annotations.deprecated) {
+      doc.deprecated = true;
+      doc.deprecationNote = annotations.deprecationNote;
+    }
+    doc.examples = { ...doc.examples, ...annotations.examples };
+  }
+
+  /**
+   * Describe the effective middleware chain with the level each entry was attached at
+   * @param {Object} route - Route object from reflector
+   * @returns {Array<{name: string, level: string}>} Ordered middleware chain
+   * @private
+   */
+  _describeMiddleware(route) {
+    return (route.middlewareHandlers || []).map(m => ({
+      name: m.name || 'anonymous',
+      level: m.level || 'route',
+      filePath: this._relativePath(m.filePath),
+      line: m.line ?? null,
+      column: m.column ?? null
+    }));
+  }
+
+  /**
+   * Document a path parameter
+   * Optional params (:id?) are not required, regex-constrained params (:id(\d+))
+   * carry the constraint as a pattern, and wildcards match across slashes
+   * @param {Object} param - { name, optional, pattern, wildcard } from the reflector
+   * @param {Object} doc - Documentation object (for inherited params)
+   * @returns {Object} Parameter documentation
+   * @private
+   */
+  _describePathParameter(param, doc) {
+    let description = `Path parameter: ${param.name}`;
+    if (param.wildcard) {
+      description = `Wildcard path: ${param.name} (matches the rest of the path, including slashes)`;
+    }
+    if (doc.inheritedParams.includes(param.name)) {
+      description += ' (inherited from parent router via mergeParams)';
+    }
+
+    const parameter = {
+      name: param.name,
+      in: 'path',
+      type: 'string',
+      required: !param.optional,
+      description
+    };
+
+    if (param.pattern) {
+      parameter.pattern = `^(?:${param.pattern})$`;
+    }
+    if (param.wildcard) {
+      parameter.greedy = true;
+    }
+
+    return parameter;
+  }
+
+  /**
+   * Route-level documentation that needs no handler analysis: identification, middleware,
+   * sub-app tags and shadowing. Shared with the minimal doc of a route whose analysis fails
+   * @param {Object} route - Route object from reflector
+   * @returns {Object} Documentation object without parameters or responses
+   * @private
+   */
+  _routeDocumentation(route) {
     const doc = {
       method: route.method,
       path: route.path,
       handlerName: route.handlerName,
       handlerType: route.handlerType,
+      controllerFile: this._relativePath(route.filePath),
+      controllerFunction: route.handlerName,
+      sourceLocation: this._sourceLocation(route),
+      catchAll: Boolean(route.catchAll),
       middleware: route.middleware,
+      middlewareChain: this._describeMiddleware(route),
+      inheritedParams: route.inheritedParams || [],
+      paramHandlers: [],
+      errorResponses: [],
       parameters: [],
+      additionalRequestFields: [],
+      validationResponses: [],
       requestSchema: null,
       responseSchema: null,
+      responses: [],
       statusCodes: [],
       examples: {},
+      warnings: [],
       metadata: {
         isAsync: route.isAsync,
         parameterCount: route.parameterCount
       }
     };
 
-    // Add path parameters
-    if (route.routeParameters && route.routeParameters.length > 0) {
-      route.routeParameters.forEach(param => {
-        doc.parameters.push({
-          name: param,
-          in: 'path',
-          type: 'string',
-          required: true,
-          description: `Path parameter: ${param}`
-        });
-      });
+    // Tag operations of a mounted sub-app with the sub-app they came from
+    if (route.subApp) {
+      doc.subApp = route.subApp;
+      doc.tags = [route.subApp.name];
     }
 
-    // Analyze handler code if source is available
-    if (route.functionSource) {
-      const astAnalysis = this.analyzer.analyzeCode(
-        route.functionSource,
-        route.handlerName
+    // Flag routes an earlier route makes unreachable
+    if (route.shadowedBy) {
+      doc.shadowedBy = `${route.shadowedBy.method} ${route.shadowedBy.path}`;
+      doc.warnings.push(
+        `Unreachable: ${doc.shadowedBy} is registered earlier and matches this path`
       );
+    }
 
-      if (astAnalysis.functions.length > 0) {
-        const functionAnalysis = astAnalysis.functions[0];
-        
-        // Extract request body parameters
-        this._extractRequestParameters(functionAnalysis, doc);
-        
-        // Extract response structure
-        this._extractResponseStructure(functionAnalysis, doc);
-        
-        // Extract status codes
-        if (functionAnalysis.responseUsage.statusCodes.length > 0) {
-          doc.statusCodes = [...new Set(functionAnalysis.responseUsage.statusCodes)];
+    return doc;
+  }
+
+  /**
+   * Analyze a route handler, preferring its defining module over the bare function source
+   * so module-level context (imports, helpers, constants) stays available to later passes
+   * @param {Object} target - Route object or param callback entry from reflector
+   * @returns {Promise<Object|null>} Function analysis or null
+   * @private
+   */
+  async _analyzeHandler(target) {
+    if (target.filePath && target.line) {
+      const code = await this._readSource(target.filePath);
+      if (code) {
+        const analysis = this.analyzer.analyzeFunctionAt(
+          code,
+          target.line,
+          target.column,
+          target.filePath
+        );
+        if (analysis) {
+          return analysis;
         }
       }
     }
 
-    // Try to load schemas from filesystem
-    await this._loadSchemas(doc);
+    if (target.functionSource) {
+      const astAnalysis = this.analyzer.analyzeCode(
+        target.functionSource,
+        target.handlerName || target.name
+      );
+      return astAnalysis.functions[0] || null;
+    }
 
-    return doc;
+    return null;
+  }
+
+  /**
+   * Analyze router.param()/app.param() callbacks that run for the route's params
+   * Their responses (typically 404 for a missing resource, 400 for a malformed id)
+   * are added to the operation and noted on the path parameter
+   * @param {Object} route - Route object from reflector
+   * @param {Object} doc - Documentation object to populate
+   * @private
+   */
+  async _documentParamHandlers(route, doc) {
+    for (const entry of route.paramHandlers || []) {
+      const analysis = await this._analyzeHandler(entry);
+      const statusCodes = analysis ? [...new Set(analysis.responseUsage.statusCodes)] : [];
+
+      doc.paramHandlers.push({
+        param: entry.param,
+        name: entry.name,
+        level: entry.level,
+        filePath: this._relativePath(entry.filePath),
+        line: entry.line ?? null,
+        statusCodes,
+        responses: analysis ? analysis.responseUsage.structures : []
+      });
+      doc.statusCodes = [...new Set([...doc.statusCodes, ...statusCodes])];
+      if (analysis) {
+        this._mergeResponses(doc, analysis.responseUsage.responses, this._modelSchemas(analysis.models));
+      }
+
+      const parameter = doc.parameters.find(p => p.in === 'path' && p.name === entry.param);
+      if (parameter) {
+        const responds = statusCodes.length > 0 ? ` (responds ${statusCodes.join(', ')})` : '';
+        parameter.description += `. Preprocessed by ${entry.name}${responds}`;
+      }
+    }
+  }
+
+  /**
+   * Analyze the error handlers and terminal catch-alls that cover the route
+   * Their response shapes replace the generic error schema in the generated spec
+   * @param {Object} route - Route object from reflector
+   * @param {Object} doc - Documentation object to populate
+   * @private
+   */
+  async _documentErrorHandlers(route, doc) {
+    for (const entry of route.errorHandlers || []) {
+      const analysis = await this._analyzeHandler(entry);
+      const site = analysis ? analysis.responseUsage.responses.find(r => r.structure) : null;
+      const schema = site ? this._structureToSchema(site.structure, this._modelSchemas(analysis.models)) : null;
+
+      doc.errorResponses.push({
+        kind: entry.kind,
+        name: entry.name,
+        level: entry.level,
+        filePath: this._relativePath(entry.filePath),
+        line: entry.line ?? null,
+        statusCodes: analysis ? [...new Set(analysis.responseUsage.statusCodes)] : [],
+        dynamicStatus: analysis ? analysis.responseUsage.dynamicStatus : false,
+        schema
+      });
+    }
+  }
+
+  /**
+   * Read a source file once per build
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<string|null>} File contents or null if unreadable
+   * @private
+   */
+  async _readSource(filePath) {
+    if (!this.sourceCache.has(filePath)) {
+      const code = await fs.readFile(filePath, 'utf-8').catch(() => null);
+      this.sourceCache.set(filePath, code);
+    }
+    return this.sourceCache.get(filePath);
+  }
+
+  /**
+   * Build the source location of a route handler
+   * @param {Object} route - Route object from reflector
+   * @returns {Object|null} { file, line, column } or null when unknown
+   * @private
+   */
+  _sourceLocation(route) {
+    if (!route.filePath) {
+      return null;
+    }
+
+    return {
+      file: this._relativePath(route.filePath),
+      line: route.line,
+      column: route.column
+    };
+  }
+
+  /**
+   * Make a path relative to the working directory
+   * @param {string|null} filePath - Absolute path
+   * @returns {string|null} Relative path
+   * @private
+   */
+  _relativePath(filePath) {
+    return filePath ? path.relative(process.cwd(), filePath) : null;
   }
 
   /**
@@ -123,21 +563,23 @@ class DocumentationBuilder {
    * @private
    */
   _extractRequestParameters(analysis, doc) {
+    const usage = analysis.requestUsage;
+
     // Extract from req.body usage
-    if (analysis.requestUsage.body.length > 0) {
-      const bodyFields = analysis.requestUsage.body.filter(f => f !== '__ALL__');
+    if (usage.body.length > 0) {
+      const bodyFields = this._usedFields(usage.body);
       bodyFields.forEach(field => {
-        doc.parameters.push({
+        doc.parameters.push(this._applyFieldDetails({
           name: field,
           in: 'body',
           type: 'unknown',
           required: false,
           description: `Body parameter: ${field}`
-        });
+        }, usage.fields?.body[field]));
       });
 
       // If only __ALL__ detected, mark that entire body is used
-      if (bodyFields.length === 0 && analysis.requestUsage.body.includes('__ALL__')) {
+      if (bodyFields.length === 0 && usage.body.includes('__ALL__')) {
         doc.requestSchema = {
           type: 'object',
           description: 'Request body (structure not auto-detected)'
@@ -146,50 +588,161 @@ class DocumentationBuilder {
     }
 
     // Extract from req.query usage
-    if (analysis.requestUsage.query.length > 0) {
-      const queryFields = analysis.requestUsage.query.filter(f => f !== '__ALL__');
+    if (usage.query.length > 0) {
+      const queryFields = this._usedFields(usage.query);
       queryFields.forEach(field => {
-        doc.parameters.push({
+        doc.parameters.push(this._applyFieldDetails({
           name: field,
           in: 'query',
           type: 'string',
           required: false,
           description: `Query parameter: ${field}`
-        });
+        }, usage.fields?.query[field]));
       });
     }
 
     // Extract from req.params usage
-    if (analysis.requestUsage.params.length > 0) {
-      const paramFields = analysis.requestUsage.params.filter(f => f !== '__ALL__');
+    if (usage.params.length > 0) {
+      const paramFields = this._usedFields(usage.params);
       paramFields.forEach(field => {
         // Only add if not already in path parameters
         const existing = doc.parameters.find(p => p.name === field && p.in === 'path');
-        if (!existing) {
-          doc.parameters.push({
+        const details = usage.fields?.params[field];
+        if (existing && details?.type) {
+          existing.type = details.type;
+          existing.typeConfidence = details.confidence;
+        } else if (!existing) {
+          doc.parameters.push(this._applyFieldDetails({
             name: field,
             in: 'path',
             type: 'string',
             required: true,
             description: `Path parameter: ${field}`
-          });
+          }, usage.fields?.params[field]));
         }
       });
     }
 
     // Extract from req.headers usage
-    if (analysis.requestUsage.headers.length > 0) {
-      const headerFields = analysis.requestUsage.headers.filter(f => f !== '__ALL__');
+    if (usage.headers.length > 0) {
+      const headerFields = this._usedFields(usage.headers);
       headerFields.forEach(field => {
-        doc.parameters.push({
+        doc.parameters.push(this._applyFieldDetails({
           name: field,
           in: 'header',
           type: 'string',
           required: false,
           description: `Header: ${field}`
-        });
+        }, usage.fields?.headers[field]));
+      });
+    }
+
+    // ...rest elements collect fields the handler never names
+    if (usage.rest) {
+      doc.additionalRequestFields = Object.keys(usage.rest).filter(source => usage.rest[source]);
+    }
+  }
+
+  /**
+   * Link the 4xx responses of guard clauses to the fields that trigger them
+   * @param {Object} analysis - AST analysis result
+   * @param {Object} doc - Documentation object to populate
+   * @private
+   */
+  _documentValidation(analysis, doc) {
+    (analysis.requestUsage.guards || []).forEach(guard => {
+      const fields = guard.fields.map(({ source, name, check, type, minLength }) => ({
+        name,
+        in: PARAMETER_LOCATIONS[source],
+        check,
+        ...(type ? { type } : {}),
+        ...(minLength !== undefined ? { minLength } : {})
+      }));
+
+      doc.validationResponses.push({ statusCode: guard.statusCode, fields, example: guard.response });
+      fields.forEach(field => {
+        const parameter = doc.parameters.find(p => p.name === field.name && p.in === field.in);
+        if (parameter && !(parameter.rejectedWith || []).includes(guard.statusCode)) {
+          parameter.rejectedWith = [...(parameter.rejectedWith || []), guard.statusCode];
+        }
       });
+    });
+  }
+
+  /**
+   * Distinct named fields of a request source
+   * @param {Array} fields - Field names recorded by the analyzer
+   * @returns {Array} Field names without duplicates or __ALL__
+   * @private
+   */
+  _usedFields(fields) {
+    return [...new Set(fields)].filter(f => f !== '__ALL__');
+  }
+
+  /**
+   * Apply destructuring details (defaults, nested patterns) to a parameter
+   * @param {Object} parameter - Parameter being documented
+   * @param {Object} [details] - Field details from the analyzer
+   * @returns {Object} The parameter
+   * @private
+   */
+  _applyFieldDetails(parameter, details) {
+    if (!details) {
+      return parameter;
+    }
+
+    // A guard clause rejecting the request without it makes the field required,
+    // a destructuring default means the client may leave it out
+    if (details.required) {
+      parameter.required = true;
+    } else if (details.optional) {
+      parameter.required = false;
+    }
+    if (details.default !== undefined) {
+      parameter.default = details.default;
     }
+    // Type inferred from usage; schema files and declared types override it
+    if (details.type) {
+      parameter.type = details.type;
+      parameter.typeConfidence = details.confidence;
+    }
+    if (details.format) {
+      parameter.format = details.format;
+    }
+    if (details.properties) {
+      parameter.type = 'object';
+      parameter.schema = this._fieldsToSchema(details.properties, details.rest);
+    }
+
+    return parameter;
+  }
+
+  /**
+   * Build an object schema from nested destructured fields
+   * @param {Object} fields - Field details keyed by name
+   * @param {string|null} rest - Rest binding collecting the other fields
+   * @returns {Object} JSON schema
+   * @private
+   */
+  _fieldsToSchema(fields, rest) {
+    const properties = {};
+
+    Object.entries(fields).forEach(([name, details]) => {
+      if (details.properties) {
+        properties[name] = this._fieldsToSchema(details.properties, details.rest);
+      } else {
+        properties[name] = {
+          ...(details.type ? { type: details.type } : {}),
+          ...(details.default !== undefined ? { default: details.default } : {})
+        };
+      }
+    });
+
+    const schema = { type: 'object', properties };
+    if (rest) {
+      schema.additionalProperties = true;
+    }
+    return schema;
   }
 
   /**
@@ -199,17 +752,19 @@ class DocumentationBuilder {
    * @private
    */
   _extractResponseStructure(analysis, doc) {
-    if (analysis.responseUsage.structures.length > 0) {
-      // Use the first response structure as the primary example
-      const primaryStructure = analysis.responseUsage.structures[0];
-      
-      doc.responseSchema = {
-        type: 'object',
-        properties: this._convertToSchemaProperties(primaryStructure),
-        example: primaryStructure
-      };
+    const models = this._modelSchemas(analysis.models);
+    this._mergeResponses(doc, analysis.responseUsage.responses || [], models);
+    if (Object.keys(models).length > 0) {
+      doc.metadata.models = [...new Set(Object.values(analysis.models).map(model => model.name))];
+    }
 
-      doc.examples.response = primaryStructure;
+    // The lowest 2xx response is the primary (success) schema
+    const success = doc.responses
+      .filter(r => r.statusCode >= 200 && r.statusCode < 300 && r.schema)
+      .sort((a, b) => a.statusCode - b.statusCode)[0];
+    if (success) {
+      doc.responseSchema = success.schema;
+      doc.examples.response = success.example;
     }
 
     // Also capture from return values
@@ -222,13 +777,162 @@ class DocumentationBuilder {
     }
   }
 
+  /**
+   * Schemas of the Mongoose models a handler's responses come from
+   * Models the analyzer could not read statically are described by the model
+   * registered under that name with the app's mongoose, when there is one
+   * @param {Object} models - Models by schema name, from the analyzer
+   * @returns {Object} Schemas by name, tagged with x-model for the OpenAPI components
+   * @private
+   */
+  _modelSchemas(models = {}) {
+    const schemas = {};
+
+    Object.entries(models).forEach(([name, model]) => {
+      let schema = model.schema;
+      const registered = this.mongoose && this.mongoose.models[model.name];
+      if (!schema && registered) {
+        schema = this.modelExtractor.project(this.modelExtractor.fromModel(registered), model);
+      }
+      schema = schema || { type: 'object', title: model.name, description: `${model.name} document` };
+      schemas[name] = { ...schema, 'x-model': name };
+    });
+
+    return schemas;
+  }
+
+  /**
+   * Merge (status, structure) response sites into the documented responses
+   * Identical shapes under one status are merged; different shapes become oneOf, and
+   * a different content type under one status (CSV next to JSON) an alternate content
+   * @param {Object} doc - Documentation object to populate
+   * @param {Array} sites - Response sites: { statusCode, structure, contentType?, binary?, headers?, cookies? }
+   * @param {Object} [models] - Schemas of the models the structures refer to
+   * @private
+   */
+  _mergeResponses(doc, sites, models = {}) {
+    sites.forEach(({ statusCode, structure, contentType = 'application/json', binary = false, headers = {}, cookies = [] }) => {
+      // Status only known at runtime
+      if (!statusCode) {
+        return;
+      }
+
+      const json = contentType === 'application/json';
+      const schema = json ? this._structureToSchema(structure, models) : this._bodySchema(contentType, binary);
+      // A structure holding documents has no literal example
+      const example = json && schema && typeof structure === 'object' && !this._refersToModel(structure)
+        ? structure
+        : null;
+      const response = doc.responses.find(r => r.statusCode === statusCode);
+      if (!response) {
+        doc.responses.push({ statusCode, schema, example, contentType, headers: { ...headers }, cookies: [...cookies] });
+        return;
+      }
+      response.headers = { ...headers, ...response.headers };
+      // Cookies set on any path to this status
+      response.cookies = [...(response.cookies || [])];
+      cookies.forEach(cookie => {
+        if (!response.cookies.some(c => c.name === cookie.name && c.cleared === cookie.cleared)) {
+          response.cookies.push(cookie);
+        }
+      });
+      if (!schema) {
+        return;
+      }
+
+      // The first site with a body decides the response's content type
+      if (!response.schema) {
+        Object.assign(response, { schema, example, contentType });
+        return;
+      }
+      if (response.contentType !== contentType) {
+        response.alternateContent = { [contentType]: schema, ...response.alternateContent };
+        return;
+      }
+
+      const variants = response.schema.oneOf || [response.schema];
+      const shape = this._shapeKey(schema);
+      if (variants.some(variant => this._shapeKey(variant) === shape)) {
+        return;
+      }
+
+      variants.push(schema);
+      response.schema = variants.length > 1 ? { oneOf: variants } : schema;
+      if (response.example === null) {
+        response.example = example;
+      }
+    });
+  }
+
+  /**
+   * Schema of a non-JSON body
+   * @param {string|null} contentType - Content type, null when nothing is sent
+   * @param {boolean} binary - Whether the body is a file, stream or Buffer
+   * @returns {Object|null} String schema (binary format for files), or null without a body
+   * @private
+   */
+  _bodySchema(contentType, binary) {
+    if (!contentType) {
+      return null;
+    }
+    return binary ? { type: 'string', format: 'binary' } : { type: 'string' };
+  }
+
+  /**
+   * Convert a response structure to a JSON schema
+   * @param {*} structure - Structure extracted from res.json()/res.send()
+   * @param {Object} [models] - Schemas of the models the structure refers to
+   * @returns {Object|null} Schema, or null when there is no JSON body
+   * @private
+   */
+  _structureToSchema(structure, models = {}) {
+    if (structure === null || structure === undefined) {
+      return null;
+    }
+    // A document sent as is: res.json(user)
+    if (typeof structure === 'string' && structure.startsWith('model:')) {
+      return this._valueToSchema(structure, models);
+    }
+    if (typeof structure === 'object') {
+      const schema = this._valueToSchema(structure, models);
+      return this._refersToModel(structure) ? schema : { ...schema, example: structure };
+    }
+    return null;
+  }
+
+  /**
+   * Whether a structure holds a document loaded through a model ('model:<name>'),
+   * a marker of the analyzer's that must not be published as an example
+   * @param {*} structure - Structure extracted from res.json()/res.send()
+   * @returns {boolean} True when a model marker appears anywhere in it
+   * @private
+   */
+  _refersToModel(structure) {
+    if (typeof structure === 'string') {
+      return structure.startsWith('model:');
+    }
+    return structure !== null && typeof structure === 'object' &&
+      Object.values(structure).some(value => this._refersToModel(value));
+  }
+
+  /**
+   * Shape of a schema, ignoring example values and descriptions
+   * @param {Object} schema - JSON schema
+   * @returns {string} Comparable key
+   * @private
+   */
+  _shapeKey(schema) {
+    return JSON.stringify(schema, (key, value) => (key === 'example' || key === 'description' ? undefined : value));
+  }
+
   /**
    * Convert object structure to JSON schema properties
    * @param {Object} obj - Object structure
+   * @param {Object} [models] - Schemas of the models the structure refers to
    * @returns {Object} Schema properties
    * @private
    */
-  _convertToSchemaProperties(obj) {
+  _convertToSchemaProperties(obj, models = {}) {
     if (typeof obj !== 'object' || obj === null) {
       return {};
     }
@@ -236,29 +940,43 @@ class DocumentationBuilder {
     const properties = {};
     
     for (const [key, value] of Object.entries(obj)) {
-      if (key === 'status') continue; // Skip status code field
-
-      if (typeof value === 'string' && value.startsWith('var:')) {
-        properties[key] = { type: 'unknown', description: `Variable: ${value.substring(4)}` };
-      } else if (value === 'template_string') {
-        properties[key] = { type: 'string', description: 'Template string' };
-      } else if (value === 'complex_expression') {
-        properties[key] = { type: 'unknown', description: 'Complex expression' };
-      } else if (Array.isArray(value)) {
-        properties[key] = { type: 'array', items: {} };
-      } else if (typeof value === 'object') {
-        properties[key] = { 
-          type: 'object', 
-          properties: this._convertToSchemaProperties(value) 
-        };
-      } else {
-        properties[key] = { type: typeof value, example: value };
-      }
+      properties[key] = this._valueToSchema(value, models);
     }
 
     return properties;
   }
 
+  /**
+   * Convert an extracted value to a JSON schema, nesting objects and array items
+   * @param {*} value - Value from the analyzer's object structure
+   * @param {Object} [models] - Schemas of the models the structure refers to
+   * @returns {Object} Schema
+   * @private
+   */
+  _valueToSchema(value, models = {}) {
+    if (typeof value === 'string' && value.startsWith('model:')) {
+      return models[value.substring(6)] || { type: 'object', description: `Document: ${value.substring(6)}` };
+    } else if (typeof value === 'string' && value.startsWith('var:')) {
+      return { type: 'unknown', description: `Variable: ${value.substring(4)}` };
+    } else if (value === 'template_string') {
+      return { type: 'string', description: 'Template string' };
+    } else if (value === 'complex_expression') {
+      return { type: 'unknown', description: 'Complex expression' };
+    } else if (Array.isArray(value)) {
+      const item = value.find(element => element !== null && element !== 'unknown');
+      return { type: 'array', items: item !== undefined ? this._valueToSchema(item, models) : {} };
+    } else if (value === null) {
+      return {};
+    } else if (typeof value === 'object') {
+      return {
+        type: 'object',
+        properties: this._convertToSchemaProperties(value, models)
+      };
+    }
+
+    return { type: Number.isInteger(value) ? 'integer' : typeof value, example: value };
+  }
+
   /**
    * Load schemas from filesystem
    * @param {Object} doc - Documentation object
@@ -329,21 +1047,13 @@ class DocumentationBuilder {
    */
   _createMinimalDoc(route, error) {
     return {
-      method: route.method,
-      path: route.path,
-      handlerName: route.handlerName,
-      handlerType: route.handlerType,
-      middleware: route.middleware,
-      parameters: route.routeParameters.map(param => ({
-        name: param,
+      ...this._routeDocumentation(route),
+      parameters: (route.pathParameters || []).map(param => ({
+        name: param.name,
         in: 'path',
         type: 'string',
-        required: true
+        required: !param.optional
       })),
-      requestSchema: null,
-      responseSchema: null,
-      statusCodes: [],
-      examples: {},
       metadata: {
         error: error.message,
         partial: true
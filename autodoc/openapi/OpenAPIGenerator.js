@@ -1,6 +1,16 @@
 import fs from 'fs/promises';
 import path from 'path';
 
+// Descriptions of the response headers handlers set
+const HEADER_DESCRIPTIONS = {
+  Location: 'URL the client is redirected to',
+  'Content-Disposition': 'Marks the body as a file download',
+  'Cache-Control': 'Caching directives for the response',
+  ETag: 'Version identifier of the returned resource',
+  'Last-Modified': 'When the returned resource last changed',
+  'Retry-After': 'When the client may retry the request'
+};
+
 /**
  * OpenAPI Specification Generator
  * Generates OpenAPI 3.0 compatible documentation from MongoDB stored docs
@@ -36,17 +46,22 @@ class OpenAPIGenerator {
       tags: []
     };
 
-    // Group documents by path
-    const pathGroups = this._groupByPath(docs);
+    // Group documents by path, one variant per combination of optional path params
+    const pathGroups = this._groupByPath(docs.flatMap(doc => this._expandOptionalParams(doc)));
 
     // Generate paths
     for (const [pathKey, pathDocs] of Object.entries(pathGroups)) {
-      spec.paths[pathKey] = this._generatePathItem(pathDocs);
+      spec.paths[this._toOpenAPIPath(pathKey)] = this._generatePathItem(pathDocs);
     }
 
     // Extract and generate component schemas
     this._extractSchemas(docs, spec.components.schemas);
 
+    // Mongoose model schemas become shared components referenced by $ref
+    const models = {};
+    spec.paths = this._referenceModels(spec.paths, models);
+    spec.components.schemas = { ...this._referenceModels(spec.components.schemas, models), ...models };
+
     // Generate tags
     spec.tags = this._generateTags(docs);
 
@@ -142,6 +157,63 @@ class OpenAPIGenerator {
     return groups;
   }
 
+  /**
+   * Convert an Express path to an OpenAPI path template
+   * e.g., /api/:tenant/users/:id(\d+) => /api/{tenant}/users/{id}, /files/* => /files/{0}
+   * @param {string} expressPath - Express route path
+   * @returns {string} OpenAPI path
+   * @private
+   */
+  _toOpenAPIPath(expressPath) {
+    // Unnamed wildcards are numbered like Express 4 numbers them in req.params
+    let unnamed = 0;
+    return expressPath
+      .replace(/[{}]/g, '')
+      .replace(/:(\w+)(\([^)]*\))?\??/g, '{$1}')
+      .replace(/\*(\w*)/g, (match, name) => `{${name || unnamed++}}`);
+  }
+
+  /**
+   * Split a doc with optional path params (:id?, {/:id}) into one doc per path
+   * OpenAPI path params are always required, so /users/:id? becomes /users and /users/:id
+   * @param {Object} doc - Documentation object
+   * @returns {Array} Documentation objects with only required path params
+   * @private
+   */
+  _expandOptionalParams(doc) {
+    const optional = (doc.parameters || []).filter(p => p.in === 'path' && p.required === false);
+    let variants = [{ path: doc.path, omitted: [] }];
+
+    optional.forEach(param => {
+      const name = param.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const express5 = new RegExp(`\\{([^{}]*[:*]${name}(?!\\w)[^{}]*)\\}`);
+      const express4 = new RegExp(`(/?)([:*]${name}(?!\\w)(?:\\([^)]*\\))?)\\?`);
+
+      variants = variants.flatMap(variant => [
+        {
+          path: variant.path.replace(express5, '$1').replace(express4, '$1$2'),
+          omitted: variant.omitted
+        },
+        {
+          path: variant.path.replace(express5, '').replace(express4, ''),
+          omitted: [...variant.omitted, param.name]
+        }
+      ]);
+    });
+
+    if (optional.length === 0) {
+      return [doc];
+    }
+
+    return variants.map(variant => ({
+      ...doc,
+      path: variant.path || '/',
+      parameters: doc.parameters
+        .filter(p => !(p.in === 'path' && variant.omitted.includes(p.name)))
+        .map(p => (p.in === 'path' ? { ...p, required: true } : p))
+    }));
+  }
+
   /**
    * Generate path item for a specific path
    * @param {Array} pathDocs - Documents for this path
@@ -188,6 +260,21 @@ class OpenAPIGenerator {
       operation.deprecated = true;
     }
 
+    // Handlers registered with all() answer every verb
+    if (doc.catchAll) {
+      operation['x-catch-all'] = true;
+    }
+
+    // Mark operations an earlier route makes unreachable
+    if (doc.shadowedBy) {
+      operation['x-shadowed-by'] = doc.shadowedBy;
+    }
+
+    // Point back to the handler definition
+    if (doc.sourceLocation) {
+      operation['x-source-location'] = `${doc.sourceLocation.file}:${doc.sourceLocation.line}`;
+    }
+
     return operation;
   }
 
@@ -199,10 +286,10 @@ class OpenAPIGenerator {
    */
   _generateOperationId(doc) {
     // Convert path to camelCase operation ID
-    const pathParts = doc.path
+    const pathParts = this._toOpenAPIPath(doc.path)
       .replace(/^\//, '')
       .replace(/\/$/, '')
-      .replace(/:(\w+)/g, 'By$1')
+      .replace(/\{(\w+)\}/g, 'By$1')
       .split('/')
       .map((part, index) => {
         if (index === 0) return part.toLowerCase();
@@ -225,16 +312,34 @@ class OpenAPIGenerator {
 
     return parameters
       .filter(param => param.in !== 'body') // Body params go in requestBody
-      .map(param => ({
-        name: param.name,
-        in: param.in,
-        description: param.description || '',
-        required: param.required || false,
-        schema: param.schema || {
-          type: param.type || 'string'
-        },
-        example: param.example
-      }));
+      .map(param => {
+        const parameter = {
+          name: param.name,
+          in: param.in,
+          description: param.description || '',
+          required: param.required || false,
+          schema: param.schema || {
+            type: param.type || 'string'
+          },
+          example: param.example
+        };
+
+        if (param.pattern && !param.schema) {
+          parameter.schema.pattern = param.pattern;
+        }
+        if (param.default !== undefined && !param.schema) {
+          parameter.schema.default = param.default;
+        }
+        if (param.format && !param.schema) {
+          parameter.schema.format = param.format;
+        }
+        // OpenAPI path params can't span segments; flag wildcards for readers
+        if (param.greedy) {
+          parameter['x-greedy'] = true;
+        }
+
+        return parameter;
+      });
   }
 
   /**
@@ -244,41 +349,92 @@ class OpenAPIGenerator {
    * @private
    */
   _generateRequestBody(doc) {
-    if (!doc.requestSchema && !doc.parameters.some(p => p.in === 'body')) {
+    if (!doc.requestSchema && !doc.parameters.some(p => p.in === 'body') && !doc.uploads) {
       return null;
     }
 
     const schema = doc.requestSchema || this._buildSchemaFromParams(
-      doc.parameters.filter(p => p.in === 'body')
+      doc.parameters.filter(p => p.in === 'body'),
+      (doc.additionalRequestFields || []).includes('body')
     );
 
+    // One entry per accepted content type; JSON carries the example
+    const content = {};
+    const contentTypes = doc.requestContentTypes && doc.requestContentTypes.length > 0
+      ? doc.requestContentTypes
+      : ['application/json'];
+    contentTypes.forEach(type => {
+      if (type === 'multipart/form-data') {
+        content[type] = { schema: this._buildMultipartSchema(schema, doc.uploads) };
+      } else if (type === 'application/json') {
+        content[type] = { schema, example: doc.examples?.request || {} };
+      } else {
+        content[type] = { schema };
+      }
+    });
+
     return {
       description: 'Request payload',
       required: true,
-      content: {
-        'application/json': {
-          schema: schema,
-          example: doc.examples?.request || {}
-        }
-      }
+      content
     };
   }
 
+  /**
+   * Build a multipart/form-data schema: the body fields as text parts plus the
+   * uploaded files as binary parts
+   * @param {Object} schema - Body schema
+   * @param {Object} [uploads] - { fields: [{ name, maxCount, multiple }], anyFiles, limits }
+   * @returns {Object} Schema object
+   * @private
+   */
+  _buildMultipartSchema(schema, uploads = { fields: [], anyFiles: false, limits: {} }) {
+    const binary = { type: 'string', format: 'binary' };
+    // Text parts arrive as strings whatever the handler does with them
+    const properties = Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => [
+      name,
+      !property.type || property.type === 'unknown' ? { ...property, type: 'string' } : property
+    ]));
+
+    uploads.fields.forEach(field => {
+      properties[field.name] = field.multiple
+        ? { type: 'array', items: binary, ...(field.maxCount ? { maxItems: field.maxCount } : {}) }
+        : binary;
+    });
+
+    const multipart = { ...schema, type: 'object', properties };
+    // upload.any() accepts files under any field name
+    if (uploads.anyFiles) {
+      multipart.additionalProperties = binary;
+    }
+    if (uploads.limits && Object.keys(uploads.limits).length > 0) {
+      multipart['x-upload-limits'] = uploads.limits;
+    }
+    return multipart;
+  }
+
   /**
    * Build schema from body parameters
    * @param {Array} bodyParams - Body parameters
+   * @param {boolean} [additionalProperties=false] - Whether a rest element accepts other fields
    * @returns {Object} Schema object
    * @private
    */
-  _buildSchemaFromParams(bodyParams) {
+  _buildSchemaFromParams(bodyParams, additionalProperties = false) {
     const properties = {};
     const required = [];
 
     bodyParams.forEach(param => {
       properties[param.name] = {
-        type: param.type || 'string',
+        ...(param.schema || { type: param.type || 'string' }),
         description: param.description || ''
       };
+      if (param.default !== undefined) {
+        properties[param.name].default = param.default;
+      }
+      if (param.format && !param.schema) {
+        properties[param.name].format = param.format;
+      }
 
       if (param.required) {
         required.push(param.name);
@@ -288,7 +444,8 @@ class OpenAPIGenerator {
     return {
       type: 'object',
       properties,
-      required: required.length > 0 ? required : undefined
+      required: required.length > 0 ? required : undefined,
+      additionalProperties: additionalProperties || undefined
     };
   }
 
@@ -300,28 +457,64 @@ class OpenAPIGenerator {
    */
   _generateResponses(doc) {
     const responses = {};
+    const documented = doc.responses || [];
+
+    // The primary success response carries schema-file overrides and enhanced examples
+    const primary = documented
+      .filter(r => r.statusCode >= 200 && r.statusCode < 300 && r.schema)
+      .sort((a, b) => a.statusCode - b.statusCode)[0];
+
+    // One response object per status the handler sends
+    documented.filter(r => r.statusCode < 400).forEach(response => {
+      responses[response.statusCode] = response === primary
+        ? this._generateResponse(response.description || 'Successful operation', doc.responseSchema, doc.examples?.response, response)
+        : this._generateResponse(
+          response.description || this._describeStatus(response.statusCode),
+          response.schema,
+          response.example,
+          response
+        );
+    });
 
     // Add success response
-    const successCode = doc.statusCodes.includes(200) ? 200 :
-                       doc.statusCodes.includes(201) ? 201 :
-                       doc.statusCodes.includes(204) ? 204 : 200;
-
-    responses[successCode] = this._generateResponse(
-      'Successful operation',
-      doc.responseSchema,
-      doc.examples?.response
-    );
+    if (!Object.keys(responses).some(code => code < 400)) {
+      const successCode = doc.statusCodes.includes(200) ? 200 :
+                         doc.statusCodes.includes(201) ? 201 :
+                         doc.statusCodes.includes(204) ? 204 : 200;
+
+      responses[successCode] = this._generateResponse(
+        'Successful operation',
+        doc.responseSchema,
+        doc.examples?.response
+      );
+    }
 
     // Add error responses
-    const errorCodes = doc.statusCodes.filter(code => code >= 400);
+    const errorCodes = [...new Set([
+      ...doc.statusCodes.filter(code => code >= 400),
+      ...documented.map(r => r.statusCode).filter(code => code >= 400)
+    ])];
     errorCodes.forEach(code => {
-      responses[code] = this._generateErrorResponse(code);
+      responses[code] = this._generateErrorResponse(code, doc, documented.find(r => r.statusCode === code));
+
+      // Guard clauses returning this code, e.g. if (!email) return res.status(400)...
+      const guards = (doc.validationResponses || []).filter(v => v.statusCode === code);
+      if (guards.length > 0) {
+        responses[code]['x-triggered-by'] = guards.flatMap(v => v.fields);
+      }
     });
 
-    // Add default error response if none specified
-    if (errorCodes.length === 0) {
-      responses['400'] = this._generateErrorResponse(400);
-      responses['500'] = this._generateErrorResponse(500);
+    // An app/router error handler answers every other failure
+    const errorHandler = (doc.errorResponses || []).find(r => r.kind === 'error' && r.schema);
+    if (errorHandler) {
+      responses.default = this._generateResponse(
+        `Error (${errorHandler.name} error handler)`,
+        errorHandler.schema
+      );
+    } else if (errorCodes.length === 0) {
+      // Add default error response if none specified
+      responses['400'] = this._generateErrorResponse(400, doc);
+      responses['500'] = this._generateErrorResponse(500, doc);
     }
 
     return responses;
@@ -332,47 +525,116 @@ class OpenAPIGenerator {
    * @param {string} description - Response description
    * @param {Object} schema - Response schema
    * @param {Object} example - Response example
+   * @param {Object} [documented] - Documented response: { contentType, alternateContent, headers }
+   *   (content type null when no body is sent, application/json when unset)
    * @returns {Object} Response object
    * @private
    */
-  _generateResponse(description, schema, example) {
+  _generateResponse(description, schema, example, documented = {}) {
     const response = {
       description
     };
+    const contentType = documented.contentType === undefined ? 'application/json' : documented.contentType;
 
-    if (schema || example) {
+    if (contentType && (schema || example)) {
       response.content = {
-        'application/json': {
+        [contentType]: {
           schema: schema || { type: 'object' }
         }
       };
 
       if (example) {
-        response.content['application/json'].example = example;
+        response.content[contentType].example = example;
       }
     }
 
+    // Other content types sent with the same status (a CSV export next to JSON)
+    Object.entries(documented.alternateContent || {}).forEach(([type, alternate]) => {
+      response.content = { ...response.content, [type]: { schema: alternate } };
+    });
+
+    const headers = Object.entries(documented.headers || {});
+    if (headers.length > 0) {
+      response.headers = Object.fromEntries(headers.map(([name, value]) => [name, {
+        description: HEADER_DESCRIPTIONS[name] || name,
+        schema: { type: 'string' },
+        ...(value ? { example: value } : {})
+      }]));
+    }
+
+    if (documented.cookies && documented.cookies.length > 0) {
+      response.headers = { ...response.headers, 'Set-Cookie': this._generateCookieHeader(documented.cookies) };
+    }
+
     return response;
   }
 
+  /**
+   * Generate the Set-Cookie header for the cookies a response sets or clears
+   * @param {Array} cookies - Cookies: { name, cleared, options }
+   * @returns {Object} Header object, with the cookies and their options under x-cookies
+   * @private
+   */
+  _generateCookieHeader(cookies) {
+    const describe = ({ name, cleared, options }) => {
+      const flags = [
+        options.httpOnly && 'HttpOnly',
+        options.secure && 'Secure',
+        options.sameSite && `SameSite=${options.sameSite}`,
+        typeof options.maxAge === 'number' && `Max-Age ${Math.round(options.maxAge / 1000)}s`
+      ].filter(Boolean);
+      return `${cleared ? 'Clears' : 'Sets'} ${name || 'a cookie'}${flags.length > 0 ? ` (${flags.join(', ')})` : ''}`;
+    };
+
+    // The example is the header value Express writes for the first cookie
+    const [first] = cookies;
+    const attributes = first.cleared
+      ? ['Expires=Thu, 01 Jan 1970 00:00:00 GMT']
+      : [
+        typeof first.options.maxAge === 'number' && `Max-Age=${Math.round(first.options.maxAge / 1000)}`,
+        first.options.domain && `Domain=${first.options.domain}`,
+        `Path=${first.options.path || '/'}`,
+        first.options.httpOnly && 'HttpOnly',
+        first.options.secure && 'Secure',
+        first.options.sameSite && `SameSite=${first.options.sameSite === true ? 'Strict' : first.options.sameSite}`
+      ].filter(Boolean);
+
+    return {
+      description: cookies.map(describe).join('; '),
+      schema: { type: 'string' },
+      example: [`${first.name || 'cookie'}=${first.cleared ? '' : '<value>'}`, ...attributes].join('; '),
+      'x-cookies': cookies
+    };
+  }
+
   /**
    * Generate error response
+   * Uses the body the handler sends with this code, else the response shape of the
+   * 404 catch-all (for 404) or the error handler covering the route, falling back
+   * to a generic error object
    * @param {number} code - Status code
+   * @param {Object} doc - Documentation object
+   * @param {Object} [documented] - The handler's own response for this code
    * @returns {Object} Error response object
    * @private
    */
-  _generateErrorResponse(code) {
-    const descriptions = {
-      400: 'Bad Request',
-      401: 'Unauthorized',
-      403: 'Forbidden',
-      404: 'Not Found',
-      422: 'Unprocessable Entity',
-      500: 'Internal Server Error'
-    };
+  _generateErrorResponse(code, doc = {}, documented = null) {
+    const description = (documented && documented.description) || this._describeStatus(code);
+    if (documented && (documented.schema || documented.contentType === null)) {
+      // The handler's own body, or none at all (res.status(404).end())
+      return this._generateResponse(description, documented.schema, documented.example, documented);
+    }
+
+    const errorResponses = (doc.errorResponses || []).filter(r => r.schema);
+    const handler = (code === 404 && errorResponses.find(r => r.kind === 'fallback' && r.statusCodes.includes(404))) ||
+      errorResponses.find(r => r.kind === 'error');
+
+    if (handler) {
+      return this._generateResponse(description, handler.schema);
+    }
 
     return {
-      description: descriptions[code] || 'Error',
+      description,
       content: {
         'application/json': {
           schema: {
@@ -388,6 +650,37 @@ class OpenAPIGenerator {
     };
   }
 
+  /**
+   * Describe a status code
+   * @param {number} code - Status code
+   * @returns {string} Description
+   * @private
+   */
+  _describeStatus(code) {
+    const descriptions = {
+      200: 'Successful operation',
+      201: 'Created',
+      202: 'Accepted',
+      204: 'No Content',
+      206: 'Partial Content',
+      301: 'Moved Permanently',
+      302: 'Found',
+      303: 'See Other',
+      304: 'Not Modified',
+      307: 'Temporary Redirect',
+      308: 'Permanent Redirect',
+      400: 'Bad Request',
+      401: 'Unauthorized',
+      403: 'Forbidden',
+      404: 'Not Found',
+      409: 'Conflict',
+      422: 'Unprocessable Entity',
+      500: 'Internal Server Error'
+    };
+
+    return descriptions[code] || (code >= 400 ? 'Error' : 'Successful operation');
+  }
+
   /**
    * Extract and generate component schemas
    * @param {Array} docs - Documentation array
@@ -410,6 +703,32 @@ class OpenAPIGenerator {
     });
   }
 
+  /**
+   * Replace schemas tagged with x-model (documents of a Mongoose model) by a $ref
+   * to a component of that name
+   * @param {*} value - Part of the spec
+   * @param {Object} models - Component schemas by name, collected as they are found
+   * @returns {*} Copy of the value with model schemas referenced
+   * @private
+   */
+  _referenceModels(value, models) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._referenceModels(item, models));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (value['x-model']) {
+      const { 'x-model': name, ...schema } = value;
+      models[name] = schema;
+      return { $ref: `#/components/schemas/${name}` };
+    }
+
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, this._referenceModels(item, models)])
+    );
+  }
+
   /**
    * Generate schema name
    * @param {Object} doc - Documentation object
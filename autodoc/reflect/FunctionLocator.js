@@ -0,0 +1,116 @@
+import inspector from 'inspector';
+import { fileURLToPath } from 'url';
+
+/**
+ * Function Source Locator
+ * Resolves where a live function was defined (file, line, column) using the
+ * [[FunctionLocation]] data V8 exposes through an in-process inspector session
+ * Messages on a same-thread session are dispatched synchronously
+ */
+class FunctionLocator {
+  constructor() {
+    this.session = null;
+    this.scripts = new Map();
+    this.cache = new WeakMap();
+  }
+
+  /**
+   * Locate a function's definition
+   * @param {Function} fn - Function to locate
+   * @returns {Object|null} { filePath, line, column } (1-based line, 0-based column) or null
+   */
+  locate(fn) {
+    if (typeof fn !== 'function') {
+      return null;
+    }
+
+    if (this.cache.has(fn)) {
+      return this.cache.get(fn);
+    }
+
+    let location = null;
+
+    try {
+      this._connect();
+      const raw = this._getFunctionLocation(fn);
+      const url = raw ? this.scripts.get(raw.scriptId) : null;
+
+      if (url && (url.startsWith('file://') || url.startsWith('/'))) {
+        location = {
+          filePath: url.startsWith('file://') ? fileURLToPath(url) : url,
+          line: raw.lineNumber + 1,
+          column: raw.columnNumber
+        };
+      }
+    } catch (error) {
+      // Inspector unavailable (e.g. disabled by the runtime) - location stays unknown
+    }
+
+    this.cache.set(fn, location);
+    return location;
+  }
+
+  /**
+   * Close the inspector session
+   */
+  close() {
+    if (this.session) {
+      this.session.post('Debugger.disable');
+      this.session.disconnect();
+      this.session = null;
+      this.scripts.clear();
+    }
+  }
+
+  /**
+   * Open the inspector session and index loaded scripts by id
+   * @private
+   */
+  _connect() {
+    if (this.session) {
+      return;
+    }
+
+    this.session = new inspector.Session();
+    this.session.connect();
+    this.session.on('Debugger.scriptParsed', ({ params }) => {
+      this.scripts.set(params.scriptId, params.url);
+    });
+    // Replays scriptParsed for every script already loaded
+    this.session.post('Debugger.enable');
+  }
+
+  /**
+   * Read [[FunctionLocation]] for a function
+   * @param {Function} fn - Function to inspect
+   * @returns {Object|null} { scriptId, lineNumber, columnNumber }
+   * @private
+   */
+  _getFunctionLocation(fn) {
+    let location = null;
+
+    globalThis.__autodocLocate = fn;
+    try {
+      this.session.post('Runtime.evaluate', { expression: 'globalThis.__autodocLocate' }, (error, response) => {
+        if (error || !response.result.objectId) {
+          return;
+        }
+
+        const objectId = response.result.objectId;
+        this.session.post('Runtime.getProperties', { objectId }, (propsError, props) => {
+          const entry = !propsError && props.internalProperties
+            ? props.internalProperties.find(p => p.name === '[[FunctionLocation]]')
+            : null;
+          location = entry ? entry.value.value : null;
+        });
+        this.session.post('Runtime.releaseObject', { objectId });
+      });
+    } finally {
+      delete globalThis.__autodocLocate;
+    }
+
+    return location;
+  }
+}
+
+export default FunctionLocator;
@@ -1,14 +1,120 @@
 import express from 'express';
+import http from 'http';
+import { parseExpression } from '@babel/parser';
+import * as t from '@babel/types';
+import FunctionLocator from './FunctionLocator.js';
+
+// Original path passed to router.use(), recorded by RouteReflector.instrument()
+const MOUNT_PATH = Symbol('autodoc.mountPath');
+// Sub-app behind a mounted_app layer, recorded by RouteReflector.instrument()
+const SUB_APP = Symbol('autodoc.subApp');
+const INSTRUMENTED = Symbol('autodoc.instrumented');
+
+// Verbs a router.all()/route.all() catch-all is documented under
+const CATCH_ALL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
 
 /**
  * Express Route Reflection Engine
  * Walks through Express router stack to discover all registered routes
  * Extracts path, method, handler, and middleware information
  * Supports nested routers and dynamic route parameters
+ * Supports Express 4.x (app._router, layer regexps) and 5.x (app.router, layer matchers)
  */
 class RouteReflector {
   constructor() {
     this.routes = [];
+    this.expressVersion = null;
+    this.warnings = [];
+    this.locator = new FunctionLocator();
+    // Sub-app currently being walked, used to tag its routes
+    this.mountedApp = null;
+  }
+
+  /**
+   * Record mount paths and mounted sub-apps on router layers as they are created
+   * Express 5 compiles mount paths into closures and keeps no copy of the
+   * original path, and both versions hide sub-apps inside a mounted_app closure,
+   * so this must run before the app registers its routers
+   * @param {Function} expressModule - The express module the app uses
+   * @returns {Function} Restores the original use() methods; layers created
+   *   meanwhile keep what was recorded on them
+   */
+  static instrument(expressModule) {
+    const restoreSubApps = RouteReflector._instrumentSubApps(expressModule.application);
+
+    const Router = expressModule.Router;
+    // 5.x Router is a class, 4.x Router is the prototype function itself
+    const target = Router.prototype && Router.prototype.use ? Router.prototype : Router;
+    const originalUse = target.use;
+
+    if (originalUse[INSTRUMENTED]) {
+      return restoreSubApps;
+    }
+
+    target.use = function use(...args) {
+      const before = this.stack.length;
+      const result = originalUse.apply(this, args);
+
+      // Same path detection as Router#use
+      let first = args[0];
+      while (Array.isArray(first) && first.length !== 0) {
+        first = first[0];
+      }
+      const mountPath = typeof first !== 'function' ? args[0] : '/';
+
+      this.stack.slice(before).forEach(layer => {
+        layer[MOUNT_PATH] = mountPath;
+      });
+      return result;
+    };
+    target.use[INSTRUMENTED] = true;
+
+    return () => {
+      target.use = originalUse;
+      restoreSubApps();
+    };
+  }
+
+  /**
+   * Wrap app.use() to keep a reference to each mounted sub-app on its layer
+   * @param {Object} application - express.application prototype
+   * @returns {Function} Restores the original app.use()
+   * @private
+   */
+  static _instrumentSubApps(application) {
+    const originalUse = application.use;
+
+    if (!originalUse || originalUse[INSTRUMENTED]) {
+      return () => {};
+    }
+
+    // 4.x throws on app.router and creates app._router lazily; 5.x creates app.router lazily
+    const routerStack = app => {
+      try {
+        const router = app._router || app.router;
+        return router ? router.stack : [];
+      } catch (e) {
+        return [];
+      }
+    };
+
+    application.use = function use(...args) {
+      const before = routerStack(this).length;
+      const result = originalUse.apply(this, args);
+
+      const subApps = args.flat(Infinity).filter(fn => fn && fn.handle && fn.set);
+      routerStack(this).slice(before)
+        .filter(layer => layer.name === 'mounted_app')
+        .forEach((layer, index) => {
+          layer[SUB_APP] = subApps[index];
+        });
+      return result;
+    };
+    application.use[INSTRUMENTED] = true;
+
+    return () => {
+      application.use = originalUse;
+    };
   }
 
   /**
@@ -18,82 +124,696 @@ class RouteReflector {
    */
   extractRoutes(app) {
     this.routes = [];
+    this.warnings = [];
+    this.mountedApp = null;
+    this.expressVersion = this._detectExpressVersion(app);
     
-    if (!app || !app._router) {
+    if (!this.expressVersion) {
       throw new Error('Invalid Express application provided');
     }
 
     // Walk through the router stack
-    this._walkStack(app._router.stack, '');
+    const router = this.expressVersion === 4 ? app._router : app.router;
+    try {
+      this._walkStack(router.stack, '', [], 'app', {
+        mergeParams: false,
+        params: [],
+        callbacks: this._describeParamCallbacks(router.params, 'app')
+      });
+    } finally {
+      this.locator.close();
+    }
+    this._detectShadowedRoutes();
     
     return this.routes;
   }
 
+  /**
+   * Detect the Express major version from the app's router
+   * @param {express.Application} app - Express application instance
+   * @returns {number|null} 4, 5 or null if no router is found
+   * @private
+   */
+  _detectExpressVersion(app) {
+    if (!app) {
+      return null;
+    }
+
+    if (app._router && Array.isArray(app._router.stack)) {
+      return 4;
+    }
+
+    try {
+      // Accessing app.router throws a deprecation error on 4.x
+      if (app.router && Array.isArray(app.router.stack)) {
+        return 5;
+      }
+    } catch (e) {
+      // Express 4 app without any routes registered yet
+    }
+
+    return null;
+  }
+
   /**
    * Recursively walk through router stack layers
+   * Middleware layers are collected in stack order so every route gets the
+   * chain that was registered before it
    * @param {Array} stack - Router stack array
    * @param {string} basePath - Base path for nested routers
+   * @param {Array} inherited - Middleware chain from enclosing routers
+   * @param {string} level - 'app' for the app stack, 'router' for nested routers
+   * @param {Object} paramScope - { mergeParams, params, callbacks, preprocessors } of the router
+   *   owning the stack: params are the parent params in req.params when the router is entered,
+   *   callbacks its router.param() callbacks by name, preprocessors the enclosing routers'
+   *   callbacks that already ran for params in the mount path
    * @private
    */
-  _walkStack(stack, basePath = '') {
+  _walkStack(stack, basePath = '', inherited = [], level = 'app', paramScope = { mergeParams: false, params: [] }) {
     if (!stack || !Array.isArray(stack)) {
       return;
     }
 
-    stack.forEach(layer => {
+    const chain = [...inherited];
+    const firstRoute = this.routes.length;
+    // Catch-alls can only follow the last route, router or sub-app of the stack
+    const lastRoute = stack.reduce((last, layer, index) =>
+      (layer.route || ['router', 'bound dispatch', 'mounted_app'].includes(layer.name) ? index : last), -1);
+
+    stack.forEach((layer, index) => {
       if (layer.route) {
         // Direct route (not a middleware)
-        this._processRoute(layer.route, basePath);
+        this._processRoute(layer.route, basePath, layer, chain, paramScope);
       } else if (layer.name === 'router' && layer.handle && layer.handle.stack) {
-        // Nested router
-        const nestedPath = this._cleanPath(basePath + (layer.regexp.source.match(/^\\\/([^\\?]+)/) || ['', ''])[1]);
-        this._walkStack(layer.handle.stack, nestedPath);
+        // Nested router, walked once per mount path for array mounts
+        this._getMountPaths(layer).forEach(mountPath => {
+          this._walkStack(
+            layer.handle.stack,
+            this._cleanPath(basePath + mountPath),
+            [...chain],
+            'router',
+            this._routerParamScope(layer.handle, mountPath, paramScope, level)
+          );
+        });
       } else if (layer.name === 'bound dispatch') {
         // Router with bound dispatch
         if (layer.handle && layer.handle.stack) {
-          this._walkStack(layer.handle.stack, basePath);
+          this._walkStack(layer.handle.stack, basePath, [...chain], level, paramScope);
+        }
+      } else if (layer.name === 'mounted_app') {
+        // Whole Express app mounted with app.use()
+        this._walkSubApp(layer, basePath, chain);
+      } else if (this._isMiddlewareLayer(layer, level)) {
+        const paths = this._getMountPaths(layer).map(mountPath => this._cleanPath(basePath + mountPath));
+        const kind = this._fallbackKind(
+          layer.handle.length,
+          index > lastRoute ? this._functionNode(layer.handle) : null
+        );
+
+        if (kind) {
+          const { handlerName, functionSource, filePath, line, column } = this._extractHandlerInfo(layer);
+          this._attachFallbackHandler({
+            kind,
+            name: handlerName,
+            level,
+            paths,
+            handle: layer.handle,
+            functionSource,
+            filePath,
+            line,
+            column
+          }, firstRoute);
+        } else {
+          chain.push({
+            name: layer.name || 'anonymous',
+            handle: layer.handle,
+            level,
+            paths,
+            ...this._locate(layer.handle)
+          });
         }
       }
     });
   }
 
+  /**
+   * Walk a mounted sub-app's own stack under its mount path
+   * The parent's middleware registered before the mount still runs first; the
+   * sub-app's own middleware is app-level within it
+   * @param {Object} layer - mounted_app layer
+   * @param {string} basePath - Base path of the stack holding the layer
+   * @param {Array} chain - Middleware chain registered before the mount
+   * @private
+   */
+  _walkSubApp(layer, basePath, chain) {
+    const subApp = layer[SUB_APP];
+    if (!subApp) {
+      throw new Error(
+        'Routes of a mounted sub-app are unknown; call RouteReflector.instrument(express) before the app is created'
+      );
+    }
+
+    const router = this._detectExpressVersion(subApp) === 4 ? subApp._router : subApp.router;
+    if (!router) {
+      return;
+    }
+
+    const settings = this._ownSettings(subApp);
+
+    this._getMountPaths(layer).forEach(mountPath => {
+      const fullMountPath = this._cleanPath(basePath + mountPath);
+      const previous = this.mountedApp;
+      this.mountedApp = {
+        name: settings.title || fullMountPath,
+        mountPath: fullMountPath,
+        settings
+      };
+
+      try {
+        this._walkStack(router.stack, fullMountPath === '/' ? '' : fullMountPath, [...chain], 'app', {
+          mergeParams: false,
+          params: [],
+          callbacks: this._describeParamCallbacks(router.params, 'app')
+        });
+      } finally {
+        this.mountedApp = previous;
+      }
+    });
+  }
+
+  /**
+   * Settings a sub-app sets differently from its parent (app.set('title', ...), 'strict routing', ...)
+   * @param {Object} subApp - Mounted Express app
+   * @returns {Object} Setting values, without function-valued internals
+   * @private
+   */
+  _ownSettings(subApp) {
+    const parentSettings = subApp.parent ? subApp.parent.settings : {};
+
+    return Object.fromEntries(
+      Object.entries(subApp.settings || {})
+        .filter(([key, value]) => typeof value !== 'function' && parentSettings[key] !== value)
+    );
+  }
+
+  /**
+   * Classify middleware that ends requests nothing earlier handled
+   * Arity only identifies error handlers; anything else is a catch-all when it
+   * comes after every route and its source shows it never calls next
+   * @param {number} arity - Declared parameter count of the middleware
+   * @param {Object|null} node - Function node of middleware registered after every
+   *   route of its stack, null otherwise or when its source can't be read
+   * @returns {string|null} 'error' for (err, req, res, next) handlers, 'fallback' for
+   *   terminal catch-alls (e.g. a 404 handler), null for regular middleware
+   * @private
+   */
+  _fallbackKind(arity, node) {
+    if (arity === 4) {
+      return 'error';
+    }
+    return node && this._neverCallsNext(node) ? 'fallback' : null;
+  }
+
+  /**
+   * Check that a middleware function can't pass the request on
+   * (...args), arguments and a next parameter used anywhere in the body all count as calling it
+   * @param {Object} node - Function AST node
+   * @returns {boolean} True when next is provably never called
+   * @private
+   */
+  _neverCallsNext(node) {
+    if (node.params.some(param => !t.isIdentifier(param))) {
+      return false;
+    }
+
+    const next = node.params[2];
+    let passesOn = false;
+    t.traverseFast(node.body, child => {
+      if (t.isIdentifier(child) && (child.name === 'arguments' || (next && child.name === next.name))) {
+        passesOn = true;
+      }
+    });
+    return !passesOn;
+  }
+
+  /**
+   * Parse a runtime function's source
+   * @param {Function} fn - Function
+   * @returns {Object|null} Function AST node, or null for bound/native functions,
+   *   method shorthands and other sources that don't parse as an expression
+   * @private
+   */
+  _functionNode(fn) {
+    try {
+      const node = parseExpression(`(${fn.toString()})`);
+      return t.isFunction(node) ? node : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Attach an error handler or catch-all to the routes it covers
+   * Express only reaches it from routes registered earlier in the same stack
+   * (including nested routers) that sit under its mount path
+   * @param {Object} handler - { kind, name, level, paths, handle, functionSource, filePath, line, column }
+   * @param {number} firstRoute - Index of the first route registered in the stack
+   * @private
+   */
+  _attachFallbackHandler(handler, firstRoute) {
+    this.routes.slice(firstRoute)
+      .filter(route => this._middlewareApplies(handler, route.path))
+      .forEach(route => route.errorHandlers.push(handler));
+  }
+
+  /**
+   * Work out which params a nested router sees in req.params
+   * Params matched by the mount path are only visible inside the router with
+   * mergeParams: true, and params from further up only if every router in
+   * between merges too
+   * @param {Function} router - Mounted router
+   * @param {string} mountPath - Path the router is mounted at
+   * @param {Object} parent - Param scope of the router it is mounted in
+   * @param {string} parentLevel - Level of the router it is mounted in
+   * @returns {Object} { mergeParams, params, callbacks, preprocessors }
+   * @private
+   */
+  _routerParamScope(router, mountPath, parent, parentLevel = 'router') {
+    const mountParams = this._extractPathParameters(mountPath);
+    const params = [
+      ...(parent.mergeParams ? parent.params : []),
+      ...mountParams
+    ];
+
+    return {
+      mergeParams: Boolean(router.mergeParams),
+      params: [...new Set(params)],
+      callbacks: this._describeParamCallbacks(router.params, 'router'),
+      preprocessors: this._paramPreprocessors(parent, mountParams)
+    };
+  }
+
+  /**
+   * Describe router.param()/app.param() callbacks
+   * @param {Object} params - router.params ({ name: [callbacks] })
+   * @param {string} level - 'app' or 'router'
+   * @returns {Object} Described callbacks by param name
+   * @private
+   */
+  _describeParamCallbacks(params, level) {
+    const described = {};
+
+    Object.entries(params || {}).forEach(([param, callbacks]) => {
+      described[param] = callbacks
+        .filter(fn => typeof fn === 'function')
+        .map(fn => this._paramCallbackEntry(param, level, fn, this._extractHandlerInfo({ handle: fn })));
+    });
+
+    return described;
+  }
+
+  /**
+   * Build a param callback entry from handler info
+   * @param {string} param - Param name
+   * @param {string} level - 'app' or 'router'
+   * @param {Function|null} handle - Callback (null in static mode)
+   * @param {Object} info - Handler info of the callback
+   * @returns {Object} { param, level, name, handle, functionSource, filePath, line, column }
+   * @private
+   */
+  _paramCallbackEntry(param, level, handle, info) {
+    return {
+      param,
+      level,
+      name: info.handlerName,
+      handle,
+      functionSource: info.functionSource,
+      filePath: info.filePath,
+      line: info.line,
+      column: info.column
+    };
+  }
+
+  /**
+   * Param callbacks that run before a layer's handler
+   * Express runs a router's param callbacks for params in the path of the layer
+   * matched in that router (route path or mount path), after those that already
+   * ran for the enclosing routers' mount paths
+   * @param {Object} paramScope - Param scope of the router owning the layer
+   * @param {Array<string>} names - Params in the layer's own path
+   * @returns {Array} Callback descriptions in run order
+   * @private
+   */
+  _paramPreprocessors(paramScope, names) {
+    const callbacks = paramScope.callbacks || {};
+    return [
+      ...(paramScope.preprocessors || []),
+      ...names.flatMap(name => callbacks[name] || [])
+    ];
+  }
+
+  /**
+   * Check whether an app/router-level middleware runs for a route path
+   * @param {Object} middleware - Middleware chain entry
+   * @param {string} path - Full route path
+   * @returns {boolean} True if one of its mount paths is a prefix of the route path
+   * @private
+   */
+  _middlewareApplies(middleware, path) {
+    return middleware.paths.some(mountPath => this._pathToRegExp(mountPath, false).test(path));
+  }
+
+  /**
+   * Check whether a layer is user middleware or error handler (not a route, router or Express internal)
+   * @param {Object} layer - Router stack layer
+   * @param {string} level - Stack level
+   * @returns {boolean} True for regular middleware
+   * @private
+   */
+  _isMiddlewareLayer(layer, level) {
+    if (typeof layer.handle !== 'function') {
+      return false;
+    }
+
+    // Express 4 registers these internally on every app
+    if (level === 'app' && this.expressVersion === 4 &&
+        (layer.name === 'query' || layer.name === 'expressInit')) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the paths a layer is mounted at (several for array mounts)
+   * @param {Object} layer - Router stack layer
+   * @returns {Array<string>} Mount paths ('' for root mounts)
+   * @private
+   */
+  _getMountPaths(layer) {
+    if (layer[MOUNT_PATH] !== undefined) {
+      return this._normalizeMountPaths(layer[MOUNT_PATH], layer.keys || []);
+    }
+
+    if (layer.regexp) {
+      // 4.x: rebuild from the compiled regexp and its keys
+      if (layer.regexp.fast_slash) {
+        return [''];
+      }
+      return this._regexpToPaths(layer.regexp, layer.keys || []);
+    }
+
+    // 5.x keeps mount paths only inside matcher closures
+    if (!layer.slash) {
+      throw new Error(
+        'Mount path of a nested router is unknown; call RouteReflector.instrument(express) before the app is created'
+      );
+    }
+    return [''];
+  }
+
+  /**
+   * Turn a path argument of use() into path strings
+   * @param {string|RegExp|Array} value - Path, regexp or (nested) array of either
+   * @param {Array} keys - Layer keys, used to name regexp captures
+   * @param {Object} [state] - { keys, index } left to the remaining items of an array
+   * @returns {Array<string>} Mount paths ('' for root mounts)
+   * @private
+   */
+  _normalizeMountPaths(value, keys = [], state = { keys: [...keys], index: 0 }) {
+    if (Array.isArray(value)) {
+      return value.flatMap(item => this._normalizeMountPaths(item, keys, state));
+    }
+    if (value instanceof RegExp) {
+      return this._regexpToPaths(value, keys, state);
+    }
+    // Layer keys list the params and wildcards of every item in order
+    state.keys.splice(0, (String(value).match(/:\w+|\*/g) || []).length);
+    return [value === '/' ? '' : String(value)];
+  }
+
+  /**
+   * Rebuild route paths from a compiled mount regexp
+   * Regexps compiled from a path (or an array of paths, one alternative each)
+   * convert exactly; user regexps are converted as far as possible with
+   * capture groups turned into parameters, e.g. /\/v(\d+)/ => /v:capture0(\d+)
+   * @param {RegExp} regexp - Layer or mount regexp
+   * @param {Array} keys - Layer keys in capture order
+   * @param {Object} [state] - { keys, index } shared with the other items of an array mount
+   * @returns {Array<string>} Paths, one per alternative
+   * @private
+   */
+  _regexpToPaths(regexp, keys = [], state = { keys: [...keys], index: 0 }) {
+    const mountSuffix = /\\\/\?\(\?=\\\/\|\$\)$/;
+    const alternatives = this._splitAlternatives(regexp.source);
+
+    if (alternatives.every(alt => alt.startsWith('^') && mountSuffix.test(alt))) {
+      return alternatives.map(alt => this._regexpSourceToPath(alt.slice(1).replace(mountSuffix, ''), state).path);
+    }
+
+    const source = regexp.source.replace(/^\^/, '').replace(/\$$/, '');
+    const { path, approximate } = this._regexpSourceToPath(source, state);
+    if (approximate) {
+      this.warnings.push(`Mount path ${regexp} has no exact route path equivalent; documented as ${path}`);
+    }
+    return [path];
+  }
+
+  /**
+   * Convert one regexp alternative to a route path
+   * @param {string} source - Regexp source without anchors
+   * @param {Object} state - { keys, index } shared across alternatives
+   * @returns {Object} { path, approximate }
+   * @private
+   */
+  _regexpSourceToPath(source, state) {
+    const DEFAULT_PATTERN = /^\[\^\\?\/\]\+\?$/;
+    // Unnamed captures are numbered by Express (req.params[0]); name them capture0, ...
+    const nextKey = (name) => {
+      const key = state.keys.shift();
+      const keyName = key ? key.name : (name ?? state.index++);
+      return typeof keyName === 'number' ? `capture${keyName}` : keyName;
+    };
+    const param = (name, pattern, optional, slash) =>
+      `${slash ? '/' : ''}:${name}${DEFAULT_PATTERN.test(pattern) ? '' : `(${pattern})`}${optional ? '?' : ''}`;
+
+    let path = '';
+    let approximate = false;
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (char === '\\') {
+        const next = source[i + 1];
+        if (/[a-zA-Z0-9]/.test(next)) {
+          // Character class escape like \d outside a capture
+          approximate = true;
+          path += char + next;
+        } else {
+          path += next;
+        }
+        i += 2;
+        continue;
+      }
+
+      if (char !== '(') {
+        if ('.+*?[]{}^$|'.includes(char)) {
+          approximate = true;
+        }
+        path += char;
+        i++;
+        continue;
+      }
+
+      const end = this._groupEnd(source, i);
+      const group = source.slice(i, end + 1);
+      const optional = source[end + 1] === '?';
+      i = end + 1 + (optional ? 1 : 0);
+
+      const named = group.match(/^\(\?<([a-zA-Z_]\w*)>([\s\S]*)\)$/);
+      if (named) {
+        path += param(nextKey(named[1]), named[2], optional, false);
+      } else if (group.startsWith('(?:')) {
+        // path-to-regexp wraps params as (?:\/(pattern)) or (?:(pattern))
+        const inner = group.slice(3, -1);
+        const slash = inner.startsWith('\\/(');
+        const captureStart = slash ? 2 : 0;
+        if (inner[captureStart] === '(' && this._groupEnd(inner, captureStart) === inner.length - 1) {
+          path += param(nextKey(), inner.slice(captureStart + 1, -1), optional, slash);
+        } else {
+          approximate = true;
+          path += group + (optional ? '?' : '');
+        }
+      } else if (group.startsWith('(?')) {
+        // Lookarounds don't consume path characters
+        approximate = true;
+      } else if (group === '(.*)') {
+        nextKey();
+        path += '*';
+      } else {
+        path += param(nextKey(), group.slice(1, -1), optional, false);
+      }
+    }
+
+    return { path, approximate };
+  }
+
+  /**
+   * Split a regexp source on its top-level alternations
+   * @param {string} source - Regexp source
+   * @returns {Array<string>} Alternatives
+   * @private
+   */
+  _splitAlternatives(source) {
+    const alternatives = [];
+    let depth = 0;
+    let inClass = false;
+    let start = 0;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (char === '\\') {
+        i++;
+      } else if (inClass) {
+        inClass = char !== ']';
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      } else if (char === '|' && depth === 0) {
+        alternatives.push(source.slice(start, i));
+        start = i + 1;
+      }
+    }
+
+    alternatives.push(source.slice(start));
+    return alternatives;
+  }
+
+  /**
+   * Find the closing parenthesis of a regexp group
+   * @param {string} source - Regexp source
+   * @param {number} start - Index of the opening parenthesis
+   * @returns {number} Index of the matching closing parenthesis
+   * @private
+   */
+  _groupEnd(source, start) {
+    let depth = 0;
+    let inClass = false;
+
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (char === '\\') {
+        i++;
+      } else if (inClass) {
+        inClass = char !== ']';
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')' && --depth === 0) {
+        return i;
+      }
+    }
+
+    return source.length - 1;
+  }
+
   /**
    * Process individual route and extract metadata
    * @param {Object} route - Express route object
    * @param {string} basePath - Base path from nested routers
+   * @param {Object} layer - Router stack layer holding the route
+   * @param {Array} chain - App/router-level middleware registered before the route
+   * @param {Object} paramScope - Param scope of the router owning the route
    * @private
    */
-  _processRoute(route, basePath) {
-    const path = this._cleanPath(basePath + route.path);
-    
-    // Get all HTTP methods for this route
-    const methods = Object.keys(route.methods)
-      .filter(method => route.methods[method])
-      .map(method => method.toUpperCase());
+  _processRoute(route, basePath, layer = {}, chain = [], paramScope = { mergeParams: false, params: [] }) {
+    const matchPath = this._createLayerMatcher(layer);
+
+    this._normalizeMountPaths(route.path, layer.keys || []).forEach(routePath => {
+      const path = this._cleanPath(basePath + routePath);
+      const inherited = chain.filter(m => this._middlewareApplies(m, path));
+
+      this._routeMethods(route).forEach(({ method, catchAll }) => {
+        // A route holds layers for every verb chained on app.route(); keep this verb's and all()'s
+        const stack = route.stack.filter(l => !l.method || l.method === method.toLowerCase());
 
-    methods.forEach(method => {
-      // Extract middleware chain
-      const middleware = this._extractMiddleware(route.stack);
-      
-      // Get the actual handler (last in the stack)
-      const handler = route.stack[route.stack.length - 1];
-      const handlerInfo = this._extractHandlerInfo(handler);
-
-      this.routes.push({
-        method,
-        path,
-        basePath,
-        fullPath: path,
-        ...handlerInfo,
-        middleware: middleware.map(m => m.name || 'anonymous'),
-        middlewareHandlers: middleware,
-        routeParameters: this._extractPathParameters(path),
-        regexp: route.regexp ? route.regexp.source : null,
-        keys: route.keys || []
+        // Extract middleware chain: app-level, router-level, then route-level
+        const middleware = [...inherited, ...this._extractMiddleware(stack)];
+        
+        // Get the actual handler (last in the stack)
+        const handler = stack[stack.length - 1];
+        const handlerInfo = this._extractHandlerInfo(handler);
+
+        this.routes.push({
+          method,
+          path,
+          basePath,
+          fullPath: path,
+          catchAll,
+          ...handlerInfo,
+          middleware: middleware.map(m => m.name || 'anonymous'),
+          middlewareHandlers: middleware,
+          routeParameters: this._extractPathParameters(path),
+          pathParameters: this._describePathParameters(path),
+          inheritedParams: paramScope.mergeParams ? paramScope.params : [],
+          paramHandlers: this._paramPreprocessors(paramScope, this._extractPathParameters(routePath)),
+          errorHandlers: [],
+          subApp: this.mountedApp,
+          regexp: layer.regexp ? layer.regexp.source : null,
+          keys: layer.keys || [],
+          matchPath
+        });
       });
     });
   }
 
+  /**
+   * Work out the verbs a route answers and which come only from all()
+   * all() registered after the last verb handler is a catch-all and is documented
+   * under every common verb not handled explicitly; all() before verb handlers
+   * (app.route('/x').all(auth).get(...)) is middleware for those verbs
+   * app.all() registers the handler once per known verb instead of using all()
+   * @param {Object} route - Express route object
+   * @returns {Array<{method: string, catchAll: boolean}>} Documented methods
+   * @private
+   */
+  _routeMethods(route) {
+    const explicit = Object.keys(route.methods)
+      .filter(method => route.methods[method] && method !== '_all')
+      .map(method => method.toUpperCase());
+    const lastLayer = route.stack[route.stack.length - 1];
+
+    if (http.METHODS.every(method => explicit.includes(method))) {
+      return this._expandCatchAll([], true);
+    }
+
+    return this._expandCatchAll(explicit, Boolean(route.methods._all && lastLayer && !lastLayer.method));
+  }
+
+  /**
+   * Combine explicit verbs with the verbs a terminal all() handler covers
+   * @param {Array<string>} explicit - Uppercase verbs with their own handlers
+   * @param {boolean} terminalAll - True when an all() handler ends the route
+   * @returns {Array<{method: string, catchAll: boolean}>} Documented methods
+   * @private
+   */
+  _expandCatchAll(explicit, terminalAll) {
+    const methods = explicit.map(method => ({ method, catchAll: false }));
+
+    if (terminalAll) {
+      CATCH_ALL_METHODS
+        .filter(method => !explicit.includes(method))
+        .forEach(method => methods.push({ method, catchAll: true }));
+    }
+
+    return methods;
+  }
+
   /**
    * Extract middleware functions from route stack
    * @param {Array} stack - Route stack array
@@ -109,7 +829,9 @@ class RouteReflector {
     return stack.slice(0, -1).map(layer => ({
       name: layer.name || 'anonymous',
       handle: layer.handle,
-      method: layer.method
+      method: layer.method,
+      level: 'route',
+      ...this._locate(layer.handle)
     }));
   }
 
@@ -136,8 +858,8 @@ class RouteReflector {
       handlerType = 'async';
     }
 
-    // Try to extract file location (if available in stack trace)
-    let filePath = null;
+    // Resolve where the handler was defined from V8 function location data
+    const { filePath, line, column } = this._locate(handlerFunction);
     let functionSource = null;
 
     try {
@@ -152,11 +874,128 @@ class RouteReflector {
       handlerFunction,
       functionSource,
       filePath,
+      line,
+      column,
       isAsync: handlerType === 'async',
       parameterCount: handlerFunction.length
     };
   }
 
+  /**
+   * Source location of a handler or middleware function
+   * @param {Function} fn - Function to locate
+   * @returns {Object} { filePath, line, column } (null values when unknown)
+   * @private
+   */
+  _locate(fn) {
+    const location = this.locator.locate(fn);
+    return location || { filePath: null, line: null, column: null };
+  }
+
+  /**
+   * Build a matcher from the layer's compiled path (4.x regexp, 5.x matchers)
+   * @param {Object} layer - Router stack layer
+   * @returns {Function|null} Matcher for paths relative to the layer's router
+   * @private
+   */
+  _createLayerMatcher(layer) {
+    if (layer.regexp instanceof RegExp) {
+      return path => layer.regexp.test(path);
+    }
+    if (Array.isArray(layer.matchers)) {
+      return path => layer.matchers.some(matcher => Boolean(matcher(path)));
+    }
+    return null;
+  }
+
+  /**
+   * Flag routes that an earlier route makes unreachable
+   * Express dispatches to the first matching layer in stack order, so a later
+   * route whose concrete path an earlier parameterized/wildcard route already
+   * matches is never reached (unless the earlier handler calls next())
+   * @private
+   */
+  _detectShadowedRoutes() {
+    this.routes.forEach((route, index) => {
+      const sample = this._samplePath(route.path);
+
+      // Paths of one array registration share a layer and never shadow each other
+      const shadow = this.routes.slice(0, index).find(earlier =>
+        earlier.method === route.method &&
+        !(earlier.matchPath && earlier.matchPath === route.matchPath) &&
+        this._routeMatches(earlier, route.basePath, sample)
+      );
+
+      if (shadow) {
+        route.shadowedBy = {
+          method: shadow.method,
+          path: shadow.path,
+          handlerName: shadow.handlerName
+        };
+        this.warnings.push(
+          `${route.method} ${route.path} is unreachable: shadowed by ${shadow.method} ${shadow.path}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Check whether a route would match a concrete request path
+   * Uses the route's own layer matcher when both sit in the same router,
+   * otherwise a regexp compiled from the full path
+   * @param {Object} route - Candidate (earlier) route
+   * @param {string} basePath - Base path of the route being checked
+   * @param {string} samplePath - Concrete request path
+   * @returns {boolean} True if the route matches
+   * @private
+   */
+  _routeMatches(route, basePath, samplePath) {
+    if (route.matchPath && route.basePath === basePath) {
+      return route.matchPath(samplePath.slice(basePath.length) || '/');
+    }
+    return this._pathToRegExp(route.path).test(samplePath);
+  }
+
+  /**
+   * Turn a route path into a concrete request path by filling in parameters
+   * e.g., /users/:id/* => /users/{id}/{wildcard}
+   * @param {string} path - Route path
+   * @returns {string} Sample request path
+   * @private
+   */
+  _samplePath(path) {
+    return path
+      .replace(/[{}]/g, '')
+      .replace(/:(\w+)(\([^)]*\))?\??/g, '{$1}')
+      .replace(/\*(\w*)/g, (match, name) => `{${name || 'wildcard'}}`);
+  }
+
+  /**
+   * Compile an Express path into a RegExp (case-insensitive, optional trailing slash)
+   * @param {string} path - Route path
+   * @param {boolean} end - false to match as a prefix, like app.use() mount paths
+   * @returns {RegExp} Compiled matcher
+   * @private
+   */
+  _pathToRegExp(path, end = true) {
+    // Express 5 syntax: {/:param} optional segments and named *splat wildcards
+    const normalized = path.replace(/\{\/(:\w+)\}/g, '/$1?').replace(/\*\w+/g, '*');
+
+    const source = normalized.split('/').filter(Boolean).map(segment => {
+      const param = segment.match(/^:\w+(?:\((.*)\))?(\?)?$/);
+      if (param) {
+        const pattern = param[1] || '[^/]+?';
+        return param[2] ? `(?:/(?:${pattern}))?` : `/(?:${pattern})`;
+      }
+      return '/' + segment
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    }).join('');
+
+    return new RegExp(end ? `^${source}/?$` : `^${source}(?=/|$)`, 'i');
+  }
+
   /**
    * Extract path parameters from route path
    * e.g., /users/:id/posts/:postId => ['id', 'postId']
@@ -165,12 +1004,42 @@ class RouteReflector {
    * @private
    */
   _extractPathParameters(path) {
-    const paramRegex = /:([a-zA-Z_][a-zA-Z0-9_]*)/g;
+    return this._describePathParameters(path).map(param => param.name);
+  }
+
+  /**
+   * Describe each path parameter: optional (:id?, {/:id}), regex-constrained
+   * (:id(\d+)) or a greedy wildcard. Unnamed wildcards (*) take the numeric key
+   * Express 4 assigns them in req.params; Express 5 names them (*splat)
+   * @param {string} path - Route path
+   * @returns {Array<{name: string, optional: boolean, pattern: string|null, wildcard: boolean}>}
+   * @private
+   */
+  _describePathParameters(path) {
+    const paramRegex = /:(\w+)(?:\(((?:\\.|[^\\()]|\((?:\\.|[^\\()])*\))*)\))?(\?)?|\*(\w*)/g;
     const params = [];
+    let unnamed = 0;
     let match;
 
     while ((match = paramRegex.exec(path)) !== null) {
-      params.push(match[1]);
+      const prefix = path.slice(0, match.index);
+      const inBraces = prefix.split('{').length > prefix.split('}').length;
+
+      if (match[0].startsWith('*')) {
+        params.push({
+          name: match[4] || String(unnamed++),
+          optional: inBraces,
+          pattern: null,
+          wildcard: true
+        });
+      } else {
+        params.push({
+          name: match[1],
+          optional: Boolean(match[3]) || inBraces,
+          pattern: match[2] || null,
+          wildcard: false
+        });
+      }
     }
 
     return params;
@@ -185,19 +1054,19 @@ class RouteReflector {
   _cleanPath(path) {
     if (!path) return '/';
     
-    // Remove regex artifacts and normalize
-    path = path
-      .replace(/\\/g, '')
-      .replace(/\?\(\?=\/\|\$\)/g, '')
-      .replace(/\^\//g, '/')
-      .replace(/\$$/g, '')
-      .replace(/\/+/g, '/');
+    // Collapse duplicate slashes left by joining mount and route paths
+    path = path.replace(/\/+/g, '/');
 
     // Ensure it starts with /
     if (!path.startsWith('/')) {
       path = '/' + path;
     }
 
+    // Drop trailing slash left by router.get('/') under a mount path
+    if (path.length > 1 && path.endsWith('/')) {
+      path = path.slice(0, -1);
+    }
+
     return path;
   }
 
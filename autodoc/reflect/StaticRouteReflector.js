@@ -0,0 +1,1071 @@
+import { parse } from '@babel/parser';
+import * as t from '@babel/types';
+import fs from 'fs/promises';
+import path from 'path';
+import RouteReflector from './RouteReflector.js';
+import ValidationExtractor from '../ast/ValidationExtractor.js';
+import UploadExtractor from '../ast/UploadExtractor.js';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all'];
+const MODULE_EXTENSIONS = ['', '.js', '.mjs', '.cjs', '.ts', '/index.js', '/index.ts'];
+
+/**
+ * Static Route Discovery Engine
+ * Discovers Express routes by reading the app entry file and the router
+ * modules it imports, without executing any of them
+ * Follows app.use() mounts and router.get()/post()/route() calls through the AST
+ * and returns the same route objects as the live RouteReflector
+ */
+class StaticRouteReflector extends RouteReflector {
+  constructor() {
+    super();
+    this.modules = new Map();
+    this.validationExtractor = new ValidationExtractor();
+    this.uploadExtractor = new UploadExtractor();
+    this.parserOptions = {
+      sourceType: 'module',
+      plugins: [
+        'jsx',
+        'typescript',
+        'decorators-legacy',
+        'classProperties',
+        'objectRestSpread',
+        'asyncGenerators',
+        'dynamicImport'
+      ]
+    };
+  }
+
+  /**
+   * Main entry point: Extract all routes from an Express app entry file
+   * @param {string} entryFile - Path to the file that creates the Express app
+   * @returns {Promise<Array>} Array of route objects
+   */
+  async extractRoutes(entryFile) {
+    this.routes = [];
+    this.modules = new Map();
+    this.warnings = [];
+    this.mountedApp = null;
+
+    const entryModule = await this._loadModule(path.resolve(entryFile));
+    const app = this._findEntryApp(entryModule);
+
+    if (!app) {
+      throw new Error(`No Express application found in ${entryFile}`);
+    }
+
+    await this._walkScope(app, entryModule, '', [], { mergeParams: false, params: [] });
+    this._detectShadowedRoutes();
+
+    return this.routes;
+  }
+
+  /**
+   * Pick the Express app created in the entry module
+   * Prefers the default export, falls back to the first app created
+   * @param {Object} module - Parsed module info
+   * @returns {Object|null} App scope
+   * @private
+   */
+  _findEntryApp(module) {
+    const defaultExport = module.exports.get('default');
+    if (defaultExport && defaultExport.local && module.scopes.has(defaultExport.local)) {
+      return module.scopes.get(defaultExport.local);
+    }
+
+    return [...module.scopes.values()].find(scope => scope.kind === 'app') || null;
+  }
+
+  /**
+   * Walk the registration calls of an app or router in source order
+   * @param {Object} scope - App/router scope
+   * @param {Object} module - Module the scope was declared in
+   * @param {string} basePath - Mount path of the scope
+   * @param {Array} inherited - Middleware chain from enclosing scopes
+   * @param {Object} paramScope - Param scope of the app/router (see RouteReflector#_walkStack)
+   * @private
+   */
+  async _walkScope(scope, module, basePath, inherited = [], paramScope = { mergeParams: false, params: [] }) {
+    const chain = [...inherited];
+    const level = scope.kind === 'app' ? 'app' : 'router';
+    // param() callbacks apply regardless of where they are registered in the scope
+    paramScope = { ...paramScope, callbacks: await this._collectParamCallbacks(scope, module, level) };
+    const firstRoute = this.routes.length;
+    // Catch-alls can only follow the last call registering a route, router or sub-app
+    let lastRoute = -1;
+    for (const [index, call] of scope.calls.entries()) {
+      if (await this._registersRoutes(this._unwindChain(call), module)) {
+        lastRoute = index;
+      }
+    }
+
+    for (const [callIndex, call] of scope.calls.entries()) {
+      const links = this._unwindChain(call);
+      let routePaths = null;
+      // all() handlers in an app.route() chain run before the verb handlers chained after them
+      let routeMiddleware = [];
+
+      for (const [index, link] of links.entries()) {
+        if (link.method === 'route') {
+          routePaths = this._resolveMountPaths(link.args[0], module);
+          routeMiddleware = [];
+        } else if (link.method === 'use') {
+          await this._processUse(link.args, module, basePath, chain, level, paramScope, firstRoute, callIndex > lastRoute);
+        } else if (HTTP_METHODS.includes(link.method)) {
+          const inRoute = links[0].method === 'route';
+          const handlerNodes = inRoute ? link.args : link.args.slice(1);
+          const paths = inRoute ? routePaths : this._resolveMountPaths(link.args[0], module);
+
+          if (paths === null) {
+            this.warnings.push(`${module.filePath}:${call.loc.start.line} - route path could not be resolved statically`);
+            continue;
+          }
+
+          let methods = [{ method: link.method.toUpperCase(), catchAll: false }];
+          if (link.method === 'all') {
+            const laterVerbs = links.slice(index + 1)
+              .filter(later => HTTP_METHODS.includes(later.method) && later.method !== 'all');
+            if (inRoute && laterVerbs.length > 0) {
+              routeMiddleware.push(...handlerNodes);
+              continue;
+            }
+            const explicit = inRoute
+              ? links.slice(0, index).filter(l => HTTP_METHODS.includes(l.method)).map(l => l.method.toUpperCase())
+              : [];
+            methods = this._expandCatchAll(explicit, true).filter(m => m.catchAll);
+          }
+
+          for (const routePath of paths) {
+            await this._processStaticRoute(
+              methods,
+              routePath,
+              [...routeMiddleware, ...handlerNodes],
+              module,
+              basePath,
+              chain,
+              paramScope
+            );
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle app.use()/router.use() - recurse into mounted routers,
+   * record everything else as middleware for the routes that follow
+   * @param {Array} args - Call arguments
+   * @param {Object} module - Module containing the call
+   * @param {string} basePath - Current base path
+   * @param {Array} chain - Middleware chain of the current scope (mutated)
+   * @param {string} level - 'app' or 'router'
+   * @param {Object} paramScope - Param scope of the current app/router
+   * @param {number} firstRoute - Index of the first route registered in the current scope
+   * @param {boolean} [afterRoutes=false] - Whether no route is registered after this call
+   * @private
+   */
+  async _processUse(args, module, basePath, chain, level, paramScope, firstRoute, afterRoutes = false) {
+    let mountPaths = [''];
+    let handlers = args;
+
+    const firstPaths = this._resolveMountPaths(args[0], module);
+    if (firstPaths !== null) {
+      mountPaths = firstPaths;
+      handlers = args.slice(1);
+    }
+
+    for (const handler of handlers) {
+      const resolved = await this._resolveValue(handler, module);
+      if (resolved.kind === 'scope' && resolved.scope.kind === 'app') {
+        // Mounted sub-app: walk it as an app and tag its routes
+        for (const mountPath of mountPaths) {
+          const fullMountPath = this._cleanPath(basePath + mountPath);
+          const settings = this._staticSettings(resolved.scope, resolved.module);
+          const previous = this.mountedApp;
+          this.mountedApp = { name: settings.title || fullMountPath, mountPath: fullMountPath, settings };
+
+          try {
+            await this._walkScope(
+              resolved.scope,
+              resolved.module,
+              fullMountPath === '/' ? '' : fullMountPath,
+              [...chain],
+              { mergeParams: false, params: [] }
+            );
+          } finally {
+            this.mountedApp = previous;
+          }
+        }
+      } else if (resolved.kind === 'scope') {
+        for (const mountPath of mountPaths) {
+          await this._walkScope(
+            resolved.scope,
+            resolved.module,
+            this._cleanPath(basePath + mountPath),
+            [...chain],
+            this._routerParamScope(resolved.scope, mountPath, paramScope, level)
+          );
+        }
+      } else {
+        const paths = mountPaths.map(mountPath => this._cleanPath(basePath + mountPath));
+        const kind = resolved.kind === 'function'
+          ? this._fallbackKind(resolved.node.params.length, afterRoutes ? resolved.node : null)
+          : null;
+
+        if (kind) {
+          const { handlerName, functionSource, filePath, line, column } = this._extractStaticHandlerInfo(resolved);
+          this._attachFallbackHandler({
+            kind,
+            name: handlerName,
+            level,
+            paths,
+            handle: null,
+            functionSource,
+            filePath,
+            line,
+            column
+          }, firstRoute);
+        } else {
+          chain.push({
+            name: this._middlewareName(resolved),
+            handle: null,
+            level,
+            paths,
+            ...this._staticLocation(resolved)
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Check whether a call registers routes: a verb, app.route() or a router/sub-app mount
+   * @param {Array} links - Chained calls of the statement
+   * @param {Object} module - Module containing the call
+   * @returns {Promise<boolean>} True when it registers routes
+   * @private
+   */
+  async _registersRoutes(links, module) {
+    for (const link of links) {
+      if (link.method === 'route' || HTTP_METHODS.includes(link.method)) {
+        return true;
+      }
+      if (link.method === 'use') {
+        for (const arg of link.args) {
+          if ((await this._resolveValue(arg, module)).kind === 'scope') {
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Collect app.param()/router.param() callbacks registered on a scope
+   * @param {Object} scope - App/router scope
+   * @param {Object} module - Module the scope was declared in
+   * @param {string} level - 'app' or 'router'
+   * @returns {Promise<Object>} Described callbacks by param name
+   * @private
+   */
+  async _collectParamCallbacks(scope, module, level) {
+    const callbacks = {};
+
+    for (const call of scope.calls) {
+      for (const link of this._unwindChain(call)) {
+        if (link.method !== 'param' || link.args.length < 2) {
+          continue;
+        }
+
+        const nameNodes = t.isArrayExpression(link.args[0]) ? link.args[0].elements : [link.args[0]];
+        const info = this._extractStaticHandlerInfo(await this._resolveValue(link.args[1], module));
+
+        nameNodes.forEach(node => {
+          const param = this._resolveString(node, module);
+          if (param === null) {
+            this.warnings.push(`${module.filePath}:${call.loc.start.line} - param name could not be resolved statically`);
+            return;
+          }
+          callbacks[param] = [...(callbacks[param] || []), this._paramCallbackEntry(param, level, null, info)];
+        });
+      }
+    }
+
+    return callbacks;
+  }
+
+  /**
+   * Collect app.set() calls with literal values on an app scope
+   * @param {Object} scope - App scope
+   * @param {Object} module - Module the scope was declared in
+   * @returns {Object} Settings by name
+   * @private
+   */
+  _staticSettings(scope, module) {
+    const settings = {};
+
+    scope.calls.forEach(call => {
+      this._unwindChain(call)
+        .filter(link => link.method === 'set' && link.args.length === 2)
+        .forEach(link => {
+          const key = this._resolveString(link.args[0], module);
+          const value = link.args[1];
+          if (key !== null && (t.isStringLiteral(value) || t.isNumericLiteral(value) || t.isBooleanLiteral(value))) {
+            settings[key] = value.value;
+          }
+        });
+    });
+
+    return settings;
+  }
+
+  /**
+   * Build route objects for a single route registration
+   * @param {Array<{method: string, catchAll: boolean}>} methods - Uppercase verbs to document
+   * @param {string} routePath - Route path
+   * @param {Array} handlerNodes - Middleware and handler argument nodes
+   * @param {Object} module - Module containing the registration
+   * @param {string} basePath - Base path from mounted routers
+   * @param {Array} chain - App/router-level middleware registered before the route
+   * @param {Object} paramScope - Param scope of the router owning the route
+   * @private
+   */
+  async _processStaticRoute(methods, routePath, handlerNodes, module, basePath, chain = [],
+    paramScope = { mergeParams: false, params: [] }) {
+    const fullPath = this._cleanPath(basePath + routePath);
+    const inherited = chain.filter(m => this._middlewareApplies(m, fullPath));
+    const resolved = [];
+
+    for (const node of handlerNodes) {
+      resolved.push(await this._resolveValue(node, module));
+    }
+
+    const handler = resolved[resolved.length - 1];
+    const handlerInfo = this._extractStaticHandlerInfo(handler);
+    const routeParameters = this._extractPathParameters(fullPath);
+    // Request schemas from express-validator chains, celebrate/Joi and Zod middleware
+    const validation = await this.validationExtractor.extract(
+      handlerNodes.slice(0, -1),
+      this._validationScope(module)
+    );
+    // File fields of multer middleware (upload.single('avatar'))
+    const upload = await this.uploadExtractor.extract(handlerNodes.slice(0, -1), this._validationScope(module));
+
+    methods.forEach(({ method, catchAll }) => {
+      const middleware = [
+        ...inherited,
+        ...resolved.slice(0, -1).map(value => ({
+          name: this._middlewareName(value),
+          handle: null,
+          method: method.toLowerCase(),
+          level: 'route',
+          ...this._staticLocation(value)
+        }))
+      ];
+
+      this.routes.push({
+        method,
+        path: fullPath,
+        basePath,
+        fullPath,
+        catchAll,
+        ...handlerInfo,
+        middleware: middleware.map(m => m.name),
+        middlewareHandlers: middleware,
+        routeParameters,
+        pathParameters: this._describePathParameters(fullPath),
+        inheritedParams: paramScope.mergeParams ? paramScope.params : [],
+        paramHandlers: this._paramPreprocessors(paramScope, this._extractPathParameters(routePath)),
+        errorHandlers: [],
+        validation,
+        upload,
+        subApp: this.mountedApp,
+        regexp: null,
+        keys: routeParameters.map(name => ({ name, optional: false })),
+        matchPath: null
+      });
+    });
+  }
+
+  /**
+   * Scope the validation and upload extractors read a module through: package imports
+   * identify the library, and names resolve to the value they hold
+   * in this module or the module they are imported from
+   * @param {Object} module - Module info
+   * @returns {Object} { library(name), resolve(name) }
+   * @private
+   */
+  _validationScope(module) {
+    return {
+      library: (name) => {
+        const entry = module.imports.get(name);
+        return entry && !entry.source ? { specifier: entry.specifier, imported: entry.imported } : null;
+      },
+      resolve: async (name) => {
+        if (module.bindings.has(name)) {
+          const node = module.bindings.get(name);
+          return node ? { node, scope: this._validationScope(module) } : null;
+        }
+
+        const entry = module.imports.get(name);
+        if (!entry || !entry.source || entry.imported === '*') {
+          return null;
+        }
+        return this._exportedNode(await this._loadModule(entry.source), entry.imported);
+      }
+    };
+  }
+
+  /**
+   * Value node behind an export, with the scope of the module declaring it
+   * @param {Object} module - Exporting module
+   * @param {string} exportName - Export name
+   * @param {number} [hops=0] - Re-exports followed
+   * @returns {Promise<Object|null>} { node, scope } or null
+   * @private
+   */
+  async _exportedNode(module, exportName, hops = 0) {
+    const entry = module.exports.get(exportName);
+    if (!entry || hops > 5) {
+      return null;
+    }
+
+    if (entry.from) {
+      return this._exportedNode(await this._loadModule(entry.from), entry.imported, hops + 1);
+    }
+    const node = entry.node || module.bindings.get(entry.local);
+    return node ? { node, scope: this._validationScope(module) } : null;
+  }
+
+  /**
+   * Middleware name as Express would report it (layer.name)
+   * @param {Object} value - Resolved middleware value
+   * @returns {string} Name
+   * @private
+   */
+  _middlewareName(value) {
+    return value.name && value.name !== 'anonymous' ? value.name : '<anonymous>';
+  }
+
+  /**
+   * Source location of a resolved function
+   * @param {Object} value - Resolved value
+   * @returns {Object} { filePath, line, column } (null values when unknown)
+   * @private
+   */
+  _staticLocation(value) {
+    if (!value || value.kind !== 'function' || !value.node.loc) {
+      return { filePath: null, line: null, column: null };
+    }
+    return {
+      filePath: value.module.filePath,
+      line: value.node.loc.start.line,
+      column: value.node.loc.start.column
+    };
+  }
+
+  /**
+   * Extract handler metadata from a statically resolved value
+   * @param {Object} value - Resolved handler value
+   * @returns {Object} Handler metadata in the RouteReflector shape
+   * @private
+   */
+  _extractStaticHandlerInfo(value) {
+    if (!value || value.kind !== 'function') {
+      return {
+        handlerName: value && value.name ? value.name : 'unknown',
+        handlerType: 'unknown',
+        handlerFunction: null,
+        functionSource: null,
+        filePath: value && value.module ? value.module.filePath : null,
+        line: null,
+        column: null,
+        isAsync: false,
+        parameterCount: 0
+      };
+    }
+
+    const { node, module } = value;
+    const handlerType = node.async ? 'async' : 'function';
+
+    return {
+      handlerName: value.name,
+      handlerType,
+      handlerFunction: null,
+      functionSource: module.code.slice(node.start, node.end),
+      ...this._staticLocation(value),
+      isAsync: handlerType === 'async',
+      parameterCount: node.params.length
+    };
+  }
+
+  /**
+   * Flatten a call chain like app.route('/x').get(a).post(b) into ordered links
+   * @param {Object} call - Outermost call expression
+   * @returns {Array<{method: string, args: Array}>} Links from innermost to outermost
+   * @private
+   */
+  _unwindChain(call) {
+    const links = [];
+    let current = call;
+
+    while (t.isCallExpression(current) && t.isMemberExpression(current.callee)) {
+      links.unshift({
+        method: this._propertyName(current.callee),
+        args: current.arguments
+      });
+      current = current.callee.object;
+    }
+
+    return links;
+  }
+
+  /**
+   * Resolve an expression to a router scope, a function or an opaque call
+   * @param {Object} node - AST expression node
+   * @param {Object} module - Module the expression appears in
+   * @returns {Promise<Object>} Resolved value descriptor
+   * @private
+   */
+  async _resolveValue(node, module) {
+    if (t.isArrowFunctionExpression(node) || t.isFunctionExpression(node)) {
+      return { kind: 'function', node, module, name: node.id ? node.id.name : 'anonymous' };
+    }
+
+    if (t.isIdentifier(node)) {
+      return this._resolveIdentifier(node.name, module);
+    }
+
+    if (t.isMemberExpression(node) && t.isIdentifier(node.object)) {
+      // Namespace import: import * as controller from './controller.js'
+      // or a required module: const controller = require('./controller')
+      const imported = module.imports.get(node.object.name);
+      const property = this._propertyName(node);
+      if (imported && imported.source && (imported.imported === '*' || imported.required)) {
+        const target = await this._loadModule(imported.source);
+        return this._resolveExport(target, property);
+      }
+      return { kind: 'unknown', name: property };
+    }
+
+    // Inline require: require('./controller').create
+    const required = this._requiredModule(t.isMemberExpression(node) ? node.object : node, module);
+    if (required) {
+      if (!required.source) {
+        return { kind: 'unknown', name: required.specifier };
+      }
+      const target = await this._loadModule(required.source);
+      return this._resolveExport(target, t.isMemberExpression(node) ? this._propertyName(node) : 'default');
+    }
+
+    if (t.isCallExpression(node)) {
+      return { kind: 'call', node, module, name: this._calleeName(node.callee) };
+    }
+
+    return { kind: 'unknown', name: null };
+  }
+
+  /**
+   * Resolve an identifier through local scopes, bindings and imports
+   * @param {string} name - Identifier name
+   * @param {Object} module - Module to resolve in
+   * @returns {Promise<Object>} Resolved value descriptor
+   * @private
+   */
+  async _resolveIdentifier(name, module) {
+    if (module.scopes.has(name)) {
+      return { kind: 'scope', scope: module.scopes.get(name), module };
+    }
+
+    const binding = module.bindings.get(name);
+    if (binding) {
+      if (t.isFunctionDeclaration(binding)) {
+        return { kind: 'function', node: binding, module, name };
+      }
+      if (t.isArrowFunctionExpression(binding) || t.isFunctionExpression(binding)) {
+        return { kind: 'function', node: binding, module, name };
+      }
+      if (t.isCallExpression(binding)) {
+        return { kind: 'call', node: binding, module, name: this._calleeName(binding.callee) };
+      }
+      if (t.isIdentifier(binding) && binding.name !== name) {
+        return this._resolveIdentifier(binding.name, module);
+      }
+    }
+
+    const imported = module.imports.get(name);
+    if (imported && imported.source && imported.imported !== '*') {
+      const target = await this._loadModule(imported.source);
+      return this._resolveExport(target, imported.imported);
+    }
+
+    return { kind: 'unknown', name };
+  }
+
+  /**
+   * Resolve an exported name of a module
+   * @param {Object} module - Exporting module
+   * @param {string} exportName - Export name ('default' for default export)
+   * @returns {Promise<Object>} Resolved value descriptor
+   * @private
+   */
+  async _resolveExport(module, exportName) {
+    const entry = module.exports.get(exportName);
+
+    if (entry) {
+      if (entry.from) {
+        const target = await this._loadModule(entry.from);
+        return this._resolveExport(target, entry.imported);
+      }
+      if (entry.node) {
+        // exports.create = (req, res) => {} takes the export name
+        const resolved = await this._resolveValue(entry.node, module);
+        return entry.name && resolved.name === 'anonymous' ? { ...resolved, name: entry.name } : resolved;
+      }
+      return this._resolveIdentifier(entry.local, module);
+    }
+
+    for (const source of module.starExports) {
+      const target = await this._loadModule(source);
+      const resolved = await this._resolveExport(target, exportName);
+      if (resolved.kind !== 'unknown') {
+        return resolved;
+      }
+    }
+
+    return { kind: 'unknown', name: exportName };
+  }
+
+  /**
+   * Read and index a module: imports, top-level bindings, exports and
+   * the registration calls made on every app/router it creates
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<Object>} Module info
+   * @private
+   */
+  async _loadModule(filePath) {
+    if (this.modules.has(filePath)) {
+      return this.modules.get(filePath);
+    }
+
+    const module = {
+      filePath,
+      code: '',
+      imports: new Map(),
+      bindings: new Map(),
+      exports: new Map(),
+      starExports: [],
+      scopes: new Map()
+    };
+    this.modules.set(filePath, module);
+
+    const resolvedPath = await this._findModuleFile(filePath);
+    if (!resolvedPath) {
+      this.warnings.push(`${filePath} - module could not be found`);
+      return module;
+    }
+
+    module.filePath = resolvedPath;
+    module.code = await fs.readFile(resolvedPath, 'utf-8');
+    let ast;
+    try {
+      ast = parse(module.code, { ...this.parserOptions, sourceFilename: resolvedPath });
+    } catch (error) {
+      // Routes in the other modules are still discovered
+      this.warnings.push(`${resolvedPath} - module could not be parsed: ${error.message}`);
+      return module;
+    }
+
+    for (const statement of ast.program.body) {
+      this._indexStatement(statement, module);
+    }
+
+    return module;
+  }
+
+  /**
+   * Find the file an extensionless or directory import points at
+   * @param {string} filePath - Absolute import path
+   * @returns {Promise<string|null>} Existing file path or null
+   * @private
+   */
+  async _findModuleFile(filePath) {
+    for (const extension of MODULE_EXTENSIONS) {
+      try {
+        const stats = await fs.stat(filePath + extension);
+        if (stats.isFile()) {
+          return filePath + extension;
+        }
+      } catch (e) {
+        // Try the next candidate
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Index a single top-level statement
+   * @param {Object} statement - AST statement node
+   * @param {Object} module - Module info to populate
+   * @private
+   */
+  _indexStatement(statement, module) {
+    if (t.isImportDeclaration(statement)) {
+      const source = this._resolveModulePath(statement.source.value, module.filePath);
+      statement.specifiers.forEach(spec => {
+        module.imports.set(spec.local.name, {
+          source,
+          specifier: statement.source.value,
+          imported: t.isImportNamespaceSpecifier(spec) ? '*' :
+                    t.isImportDefaultSpecifier(spec) ? 'default' : this._propertyName({ property: spec.imported })
+        });
+      });
+      return;
+    }
+
+    if (t.isExportNamedDeclaration(statement)) {
+      if (statement.declaration) {
+        this._indexDeclaration(statement.declaration, module).forEach(name => {
+          module.exports.set(name, { local: name });
+        });
+      }
+      const from = statement.source
+        ? this._resolveModulePath(statement.source.value, module.filePath)
+        : null;
+      statement.specifiers.forEach(spec => {
+        const exported = this._propertyName({ property: spec.exported });
+        module.exports.set(exported, from
+          ? { from, imported: spec.local ? spec.local.name : 'default' }
+          : { local: spec.local.name });
+      });
+      return;
+    }
+
+    if (t.isExportAllDeclaration(statement)) {
+      const from = this._resolveModulePath(statement.source.value, module.filePath);
+      if (from) {
+        module.starExports.push(from);
+      }
+      return;
+    }
+
+    if (t.isExportDefaultDeclaration(statement)) {
+      const declaration = statement.declaration;
+      if (t.isIdentifier(declaration)) {
+        module.exports.set('default', { local: declaration.name });
+      } else if ((t.isFunctionDeclaration(declaration) || t.isClassDeclaration(declaration)) && declaration.id) {
+        this._indexDeclaration(declaration, module);
+        module.exports.set('default', { local: declaration.id.name });
+      } else {
+        module.exports.set('default', { node: declaration });
+      }
+      return;
+    }
+
+    if (t.isVariableDeclaration(statement) || t.isFunctionDeclaration(statement)) {
+      this._indexDeclaration(statement, module);
+      return;
+    }
+
+    if (t.isExpressionStatement(statement) && t.isCallExpression(statement.expression)) {
+      const root = this._chainRoot(statement.expression);
+      if (root && module.scopes.has(root.name)) {
+        module.scopes.get(root.name).calls.push(statement.expression);
+      }
+      return;
+    }
+
+    if (t.isExpressionStatement(statement) && t.isAssignmentExpression(statement.expression, { operator: '=' })) {
+      this._indexCommonJSExport(statement.expression, module);
+    }
+  }
+
+  /**
+   * Index a CommonJS export assignment
+   * module.exports = router is the default export; exports.create = ... and the
+   * members of module.exports = { create, remove } are named exports, as Node's
+   * ESM interop sees them
+   * @param {Object} assignment - Assignment expression
+   * @param {Object} module - Module info to populate
+   * @private
+   */
+  _indexCommonJSExport(assignment, module) {
+    const { left, right } = assignment;
+    const isModuleExports = (node) => t.isMemberExpression(node) &&
+      t.isIdentifier(node.object, { name: 'module' }) && this._propertyName(node) === 'exports';
+    const entry = (value, name) => t.isIdentifier(value) ? { local: value.name } : { node: value, name };
+
+    if (isModuleExports(left)) {
+      module.exports.set('default', entry(right, null));
+      if (t.isObjectExpression(right)) {
+        right.properties.forEach(prop => {
+          const name = t.isObjectProperty(prop) || t.isObjectMethod(prop) ? this._propertyName({ property: prop.key }) : null;
+          if (name && !prop.computed) {
+            module.exports.set(name, entry(t.isObjectMethod(prop) ? prop : prop.value, name));
+          }
+        });
+      }
+      return;
+    }
+
+    if (t.isMemberExpression(left) && (t.isIdentifier(left.object, { name: 'exports' }) || isModuleExports(left.object))) {
+      const name = this._propertyName(left);
+      if (name) {
+        module.exports.set(name, entry(right, name));
+      }
+    }
+  }
+
+  /**
+   * Match a require() call with a literal specifier
+   * @param {Object} node - AST node
+   * @param {Object} module - Module containing the call
+   * @returns {Object|null} { specifier, source } (source is null for packages) or null
+   * @private
+   */
+  _requiredModule(node, module) {
+    if (!t.isCallExpression(node) || !t.isIdentifier(node.callee, { name: 'require' }) ||
+        node.arguments.length !== 1 || !t.isStringLiteral(node.arguments[0])) {
+      return null;
+    }
+
+    const specifier = node.arguments[0].value;
+    return { specifier, source: this._resolveModulePath(specifier, module.filePath) };
+  }
+
+  /**
+   * Index a declaration and return the names it binds
+   * @param {Object} declaration - Declaration node
+   * @param {Object} module - Module info to populate
+   * @returns {Array<string>} Declared names
+   * @private
+   */
+  _indexDeclaration(declaration, module) {
+    if (t.isFunctionDeclaration(declaration) || t.isClassDeclaration(declaration)) {
+      if (declaration.id) {
+        module.bindings.set(declaration.id.name, declaration);
+        return [declaration.id.name];
+      }
+      return [];
+    }
+
+    if (!t.isVariableDeclaration(declaration)) {
+      return [];
+    }
+
+    const names = [];
+    declaration.declarations.forEach(declarator => {
+      // const controller = require('./controller'), const { Router } = require('express')
+      const required = this._requiredModule(declarator.init, module);
+      if (required) {
+        this._indexRequire(declarator.id, required, module).forEach(name => names.push(name));
+        return;
+      }
+
+      if (!t.isIdentifier(declarator.id)) {
+        return;
+      }
+      const name = declarator.id.name;
+      names.push(name);
+      module.bindings.set(name, declarator.init);
+
+      const kind = this._expressFactoryKind(declarator.init, module);
+      if (kind) {
+        module.scopes.set(name, { kind, name, calls: [], mergeParams: this._mergeParamsOption(declarator.init) });
+      }
+    });
+
+    return names;
+  }
+
+  /**
+   * Record the bindings of a require() call as imports
+   * The whole module is its default export; destructured names are named imports
+   * @param {Object} id - Declared binding (identifier or object pattern)
+   * @param {Object} required - { specifier, source }
+   * @param {Object} module - Module info to populate
+   * @returns {Array<string>} Declared names
+   * @private
+   */
+  _indexRequire(id, required, module) {
+    const base = { source: required.source, specifier: required.specifier };
+
+    if (t.isIdentifier(id)) {
+      module.imports.set(id.name, { ...base, imported: 'default', required: true });
+      return [id.name];
+    }
+    if (!t.isObjectPattern(id)) {
+      return [];
+    }
+
+    return id.properties
+      .filter(prop => t.isObjectProperty(prop) && t.isIdentifier(prop.value) && !prop.computed)
+      .map(prop => {
+        module.imports.set(prop.value.name, { ...base, imported: this._propertyName({ property: prop.key }) });
+        return prop.value.name;
+      });
+  }
+
+  /**
+   * Detect express() and express.Router() calls
+   * @param {Object} node - Initializer node
+   * @param {Object} module - Module info
+   * @returns {string|null} 'app', 'router' or null
+   * @private
+   */
+  _expressFactoryKind(node, module) {
+    if (!t.isCallExpression(node) && !t.isNewExpression(node)) {
+      return null;
+    }
+
+    const callee = node.callee;
+    const isExpressImport = (name, imported) => {
+      const entry = module.imports.get(name);
+      return entry && entry.specifier === 'express' && entry.imported === imported;
+    };
+
+    if (t.isIdentifier(callee)) {
+      if (isExpressImport(callee.name, 'default')) return 'app';
+      if (isExpressImport(callee.name, 'Router')) return 'router';
+    }
+
+    if (t.isMemberExpression(callee) && t.isIdentifier(callee.object) &&
+        isExpressImport(callee.object.name, 'default') &&
+        this._propertyName(callee) === 'Router') {
+      return 'router';
+    }
+
+    // require('express')() and require('express').Router()
+    const required = this._requiredModule(t.isMemberExpression(callee) ? callee.object : callee, module);
+    if (required && required.specifier === 'express') {
+      if (!t.isMemberExpression(callee)) return 'app';
+      if (this._propertyName(callee) === 'Router') return 'router';
+    }
+
+    return null;
+  }
+
+  /**
+   * Read { mergeParams: true } from an express.Router() call
+   * @param {Object} node - Router factory call
+   * @returns {boolean} True when the router merges parent params
+   * @private
+   */
+  _mergeParamsOption(node) {
+    const options = node.arguments[0];
+    if (!t.isObjectExpression(options)) {
+      return false;
+    }
+
+    return options.properties.some(prop =>
+      t.isObjectProperty(prop) &&
+      (t.isIdentifier(prop.key, { name: 'mergeParams' }) || t.isStringLiteral(prop.key, { value: 'mergeParams' })) &&
+      t.isBooleanLiteral(prop.value, { value: true })
+    );
+  }
+
+  /**
+   * Find the identifier a call chain starts from (app in app.route('/').get())
+   * @param {Object} call - Call expression
+   * @returns {Object|null} Root identifier node
+   * @private
+   */
+  _chainRoot(call) {
+    let current = call;
+    while (t.isCallExpression(current) && t.isMemberExpression(current.callee)) {
+      current = current.callee.object;
+    }
+    return t.isIdentifier(current) ? current : null;
+  }
+
+  /**
+   * Resolve a node to a constant string (literals and const bindings)
+   * @param {Object} node - AST node
+   * @param {Object} module - Module info
+   * @returns {string|null} String value or null
+   * @private
+   */
+  _resolveString(node, module) {
+    if (t.isStringLiteral(node)) {
+      return node.value;
+    }
+    if (t.isTemplateLiteral(node) && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+    if (t.isIdentifier(node) && module.bindings.has(node.name)) {
+      const init = module.bindings.get(node.name);
+      return init && !t.isIdentifier(init) ? this._resolveString(init, module) : null;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the path argument of use() - a string, regexp literal or array of either
+   * @param {Object} node - AST node
+   * @param {Object} module - Module info
+   * @returns {Array<string>|null} Mount paths ('' for root mounts) or null if not a path
+   * @private
+   */
+  _resolveMountPaths(node, module) {
+    if (t.isArrayExpression(node)) {
+      const paths = node.elements.map(element => this._resolveMountPaths(element, module));
+      return paths.length > 0 && paths.every(Boolean) ? paths.flat() : null;
+    }
+    if (t.isRegExpLiteral(node)) {
+      return this._regexpToPaths(new RegExp(node.pattern, node.flags));
+    }
+
+    const value = this._resolveString(node, module);
+    if (value === null) {
+      return null;
+    }
+    return [value === '/' ? '' : value];
+  }
+
+  /**
+   * Resolve a relative import specifier to an absolute file path
+   * @param {string} specifier - Import specifier
+   * @param {string} fromFile - Importing file
+   * @returns {string|null} Absolute path, or null for packages
+   * @private
+   */
+  _resolveModulePath(specifier, fromFile) {
+    if (!specifier.startsWith('.') && !specifier.startsWith('/')) {
+      return null;
+    }
+    return path.resolve(path.dirname(fromFile), specifier);
+  }
+
+  /**
+   * Readable name for a callee (authorize, express.json)
+   * @param {Object} callee - Callee node
+   * @returns {string} Name
+   * @private
+   */
+  _calleeName(callee) {
+    if (t.isIdentifier(callee)) {
+      return callee.name;
+    }
+    if (t.isMemberExpression(callee)) {
+      const object = t.isIdentifier(callee.object) ? `${callee.object.name}.` : '';
+      return object + this._propertyName(callee);
+    }
+    return '<anonymous>';
+  }
+
+  /**
+   * Name of a member expression property
+   * @param {Object} member - Node with a property
+   * @returns {string|null} Property name
+   * @private
+   */
+  _propertyName(member) {
+    const property = member.property;
+    if (t.isIdentifier(property)) return property.name;
+    if (t.isStringLiteral(property)) return property.value;
+    return null;
+  }
+}
+
+export default StaticRouteReflector;
@@ -10,13 +10,76 @@ import DocumentationBuilder from '../autodoc/builder/DocumentationBuilder.js';
 import GeminiEnhancer from '../autodoc/enhancer/GeminiEnhancer.js';
 import { SemanticVersionManager } from '../autodoc/version/VersionManager.js';
 import OpenAPIGenerator from '../autodoc/openapi/OpenAPIGenerator.js';
+import RouteReflector from '../autodoc/reflect/RouteReflector.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
 
 dotenv.config();
 
 const program = new Command();
 
+/**
+ * Load the Express app for a command
+ * In static mode the app is never imported - its entry path is returned
+ * and routes are discovered from source
+ * @param {string} appPath - Path to Express app file
+ * @param {Object} options - Command options
+ * @returns {Promise<express.Application|string>} App instance or entry path
+ */
+async function loadApp(appPath, options) {
+  const resolvedPath = path.resolve(appPath);
+
+  if (options.static) {
+    return resolvedPath;
+  }
+
+  // Instrument the app's own express copy before its routers are registered;
+  // without it Express 5 mount paths and sub-app routes can't be recovered
+  let expressPath;
+  try {
+    expressPath = createRequire(resolvedPath).resolve('express');
+  } catch (e) {
+    throw new Error(`express could not be resolved from ${resolvedPath}; install it or use --static`);
+  }
+  const expressModule = await import(pathToFileURL(expressPath).href);
+  RouteReflector.instrument(expressModule.default);
+
+  const appUrl = new URL(`file:///${resolvedPath.replace(/\\/g, '/')}`);
+  const appModule = await import(appUrl.href);
+  const app = appModule.default || appModule.app;
+
+  if (!app) {
+    throw new Error('Could not find Express app export');
+  }
+
+  return app;
+}
+
+/**
+ * Load the mongoose copy the app registers its models with
+ * Models that can't be read from source are described by the model registered under
+ * the same name. Static mode never imports the app, so nothing is registered there
+ * @param {string} appPath - Path to Express app file
+ * @param {Object} options - Command options
+ * @returns {Promise<Object|null>} The app's mongoose, or null in static mode or when it has none
+ */
+async function loadMongoose(appPath, options) {
+  if (options.static) {
+    return null;
+  }
+
+  let mongoosePath;
+  try {
+    mongoosePath = createRequire(path.resolve(appPath)).resolve('mongoose');
+  } catch (e) {
+    return null;
+  }
+  const mongooseModule = await import(pathToFileURL(mongoosePath).href);
+  return mongooseModule.default;
+}
+
 /**
  * CLI Tool for Auto API Documentation System
  * Orchestrates the complete documentation pipeline
@@ -38,26 +101,24 @@ program
   .option('-o, --output <path>', 'Output file for results', './output/scan-results.json')
   .option('--no-ai', 'Disable AI enhancement')
   .option('--save-db', 'Save to MongoDB')
+  .option('--static', 'Discover routes from source without importing the app')
+  .option('--call-depth <n>', 'Levels of helper/service calls to follow from handlers', value => parseInt(value, 10))
   .action(async (options) => {
     const spinner = ora('Initializing scan...').start();
 
     try {
       // Load Express app
       spinner.text = 'Loading Express application...';
-      const appPath = path.resolve(options.app);
-      const appUrl = new URL(`file:///${appPath.replace(/\\/g, '/')}`);
-      const appModule = await import(appUrl.href);
-      const app = appModule.default || appModule.app;
-
-      if (!app) {
-        throw new Error('Could not find Express app export');
-      }
+      const app = await loadApp(options.app, options);
 
       // Build documentation
       spinner.text = 'Building documentation...';
       const builder = new DocumentationBuilder({
         schemaDir: process.env.SCHEMA_DIR || './schemas',
-        controllerDir: './src/controllers'
+        controllerDir: './src/controllers',
+        static: options.static,
+        maxCallDepth: options.callDepth,
+        mongoose: await loadMongoose(options.app, options)
       });
 
       let documentation = await builder.buildDocumentation(app);
@@ -125,6 +186,8 @@ program
   .option('-a, --app <path>', 'Path to Express app file', './src/app.js')
   .option('-o, --output <path>', 'Output directory', './output')
   .option('--no-ai', 'Disable AI enhancement')
+  .option('--static', 'Discover routes from source without importing the app')
+  .option('--call-depth <n>', 'Levels of helper/service calls to follow from handlers', value => parseInt(value, 10))
   .action(async (options) => {
     const spinner = ora('Building documentation...').start();
 
@@ -135,12 +198,15 @@ program
 
       // Load Express app
       spinner.text = 'Loading Express application...';
-      const appModule = await import(path.resolve(options.app));
-      const app = appModule.default || appModule.app;
+      const app = await loadApp(options.app, options);
 
       // Build documentation
       spinner.text = 'Scanning routes and analyzing code...';
-      const builder = new DocumentationBuilder();
+      const builder = new DocumentationBuilder({
+        static: options.static,
+        maxCallDepth: options.callDepth,
+        mongoose: await loadMongoose(options.app, options)
+      });
       let documentation = await builder.buildDocumentation(app);
 
       // AI Enhancement
@@ -217,6 +283,8 @@ program
   .command('validate')
   .description('Validate documentation against current implementation')
   .option('-a, --app <path>', 'Path to Express app file', './src/app.js')
+  .option('--static', 'Discover routes from source without importing the app')
+  .option('--call-depth <n>', 'Levels of helper/service calls to follow from handlers', value => parseInt(value, 10))
   .action(async (options) => {
     const spinner = ora('Validating documentation...').start();
 
@@ -231,10 +299,13 @@ program
 
       // Scan current implementation
       spinner.text = 'Scanning current implementation...';
-      const appModule = await import(path.resolve(options.app));
-      const app = appModule.default || appModule.app;
+      const app = await loadApp(options.app, options);
       
-      const builder = new DocumentationBuilder();
+      const builder = new DocumentationBuilder({
+        static: options.static,
+        maxCallDepth: options.callDepth,
+        mongoose: await loadMongoose(options.app, options)
+      });
       const currentDocs = await builder.buildDocumentation(app);
 
       // Compare
@@ -284,6 +355,16 @@ program
         }
       }
 
+      // Check for routes that can never be reached
+      for (const [key, currentDoc] of currentMap) {
+        if (currentDoc.shadowedBy) {
+          issues.push({
+            type: 'shadowed',
+            message: `Endpoint is unreachable: ${key} is shadowed by ${currentDoc.shadowedBy}`
+          });
+        }
+      }
+
       if (issues.length === 0) {
         spinner.succeed(chalk.green('✓ Validation passed! Documentation is in sync.'));
       } else {
@@ -291,9 +372,9 @@ program
         
         console.log('');
         issues.forEach((issue, index) => {
-          const icon = issue.type === 'missing' ? '✗' : 
+          const icon = issue.type === 'missing' || issue.type === 'shadowed' ? '✗' : 
                       issue.type === 'undocumented' ? 'ℹ' : '⚠';
-          const color = issue.type === 'missing' ? chalk.red :
+          const color = issue.type === 'missing' || issue.type === 'shadowed' ? chalk.red :
                        issue.type === 'undocumented' ? chalk.blue : chalk.yellow;
           console.log(color(`  ${icon} ${issue.message}`));
         });
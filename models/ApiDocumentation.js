@@ -24,6 +24,80 @@ const ParameterSchema = new mongoose.Schema({
   },
   description: String,
   example: mongoose.Schema.Types.Mixed,
+  schema: mongoose.Schema.Types.Mixed,
+  // Regex constraint of a path param, e.g. :id(\d+)
+  pattern: String,
+  // Wildcard path param that spans segments
+  greedy: Boolean,
+  // Destructuring default, e.g. const { page = 1 } = req.query
+  default: mongoose.Schema.Types.Mixed,
+  // 4xx codes a guard clause returns when the field is missing or invalid
+  rejectedWith: [Number],
+  // e.g. email or uri, from the regex a handler validates the field with
+  format: String,
+  // 0-1 confidence of a type inferred from usage; declared types override it
+  typeConfidence: Number
+}, { _id: false });
+
+/**
+ * Schema for a middleware entry in a route's effective chain
+ * Level records where it was attached: app.use(), router.use() or the route itself
+ */
+const MiddlewareSchema = new mongoose.Schema({
+  name: String,
+  level: {
+    type: String,
+    enum: ['app', 'router', 'route']
+  },
+  filePath: String,
+  line: Number,
+  column: Number
+}, { _id: false });
+
+/**
+ * Schema for a router.param()/app.param() callback that runs before the handler
+ */
+const ParamHandlerSchema = new mongoose.Schema({
+  param: String,
+  name: String,
+  level: {
+    type: String,
+    enum: ['app', 'router']
+  },
+  filePath: String,
+  line: Number,
+  statusCodes: [Number],
+  responses: [mongoose.Schema.Types.Mixed]
+}, { _id: false });
+
+/**
+ * Schema for a guard clause rejecting missing/invalid fields with a 4xx response
+ */
+const ValidationResponseSchema = new mongoose.Schema({
+  statusCode: Number,
+  // { name, in, check: 'missing' | 'type' | 'length' | 'format', type?, minLength? }
+  fields: [mongoose.Schema.Types.Mixed],
+  example: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * Schema for an error handler (err, req, res, next) or terminal catch-all covering a route
+ */
+const ErrorResponseSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['error', 'fallback']
+  },
+  name: String,
+  level: {
+    type: String,
+    enum: ['app', 'router']
+  },
+  filePath: String,
+  line: Number,
+  statusCodes: [Number],
+  // Status taken from the error at runtime, e.g. err.statusCode || 500
+  dynamicStatus: Boolean,
   schema: mongoose.Schema.Types.Mixed
 }, { _id: false });
 
@@ -72,9 +146,29 @@ const ApiDocumentationSchema = new mongoose.Schema({
   handlerName: String,
   controllerFile: String,
   controllerFunction: String,
+  sourceLocation: {
+    file: String,
+    line: Number,
+    column: Number
+  },
   
   // Middleware chain
   middleware: [String],
+  middlewareChain: [MiddlewareSchema],
+  // Handler registered with all(), documented under each common verb
+  catchAll: {
+    type: Boolean,
+    default: false
+  },
+  inheritedParams: [String],
+  paramHandlers: [ParamHandlerSchema],
+  errorResponses: [ErrorResponseSchema],
+  // Mounted sub-app (app.use('/admin', adminApp)) the route belongs to
+  subApp: {
+    name: String,
+    mountPath: String,
+    settings: mongoose.Schema.Types.Mixed
+  },
   
   // Documentation content
   summary: String,
@@ -83,10 +177,33 @@ const ApiDocumentationSchema = new mongoose.Schema({
   
   // Parameters
   parameters: [ParameterSchema],
+  // Request sources a ...rest element reads beyond the named fields
+  additionalRequestFields: [String],
+  validationResponses: [ValidationResponseSchema],
   
-  // Request/Response schemas
-  requestSchema: SchemaDefinitionSchema,
-  responseSchema: SchemaDefinitionSchema,
+  // Request/Response schemas, stored whole (items, oneOf, nullable, format, x-model)
+  requestSchema: mongoose.Schema.Types.Mixed,
+  // Body content types other than JSON alone (multipart/form-data, form-encoded)
+  requestContentTypes: [String],
+  // File fields of multipart bodies: { fields: [{ name, maxCount, multiple }], anyFiles, limits }
+  uploads: mongoose.Schema.Types.Mixed,
+  responseSchema: mongoose.Schema.Types.Mixed,
+  // One entry per status the handler sends; differing shapes are combined with oneOf
+  responses: [{
+    statusCode: Number,
+    schema: mongoose.Schema.Types.Mixed,
+    example: mongoose.Schema.Types.Mixed,
+    // From a JSDoc @returns {201} tag
+    description: String,
+    // null when no body is sent (redirects, 204, res.end())
+    contentType: String,
+    // Schemas of other content types sent with this status, by type
+    alternateContent: mongoose.Schema.Types.Mixed,
+    // Headers set with the response (Location, Content-Disposition), literal value or null
+    headers: mongoose.Schema.Types.Mixed,
+    // Cookies set or cleared: { name, cleared, options: { httpOnly, secure, maxAge, ... } }
+    cookies: mongoose.Schema.Types.Mixed
+  }],
   errorSchemas: [SchemaDefinitionSchema],
   
   // Status codes
@@ -107,6 +224,10 @@ const ApiDocumentationSchema = new mongoose.Schema({
   edgeCases: [String],
   validationRules: [String],
   
+  // Route ordering conflicts (route registered earlier that makes this one unreachable)
+  shadowedBy: String,
+  warnings: [String],
+  
   // Breaking changes tracking
   breakingChange: {
     type: Boolean,
@@ -0,0 +1,13 @@
+/**
+ * CommonJS app fixture
+ * Read by the static reflector and analyzer tests, never executed
+ */
+const express = require('express');
+const users = require('./users.cjs');
+
+const app = express();
+
+app.use(express.json());
+app.use('/users', users);
+
+module.exports = app;
@@ -0,0 +1,18 @@
+const { sendSuccess } = require('./respond.cjs');
+
+exports.list = (req, res) => {
+  res.json([]);
+};
+
+exports.create = (req, res) => {
+  const { name } = req.body;
+  sendSuccess(res, { name }, 201);
+};
+
+exports.show = function show(req, res) {
+  res.json({ id: req.params.id });
+};
+
+exports.remove = (req, res) => {
+  res.sendStatus(204);
+};
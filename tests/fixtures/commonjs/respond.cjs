@@ -0,0 +1,5 @@
+function sendSuccess(res, data, statusCode = 200) {
+  res.status(statusCode).json({ success: true, data });
+}
+
+module.exports = { sendSuccess };
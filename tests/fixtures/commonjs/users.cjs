@@ -0,0 +1,12 @@
+const { Router } = require('express');
+const controller = require('./controller.cjs');
+const { remove } = require('./controller.cjs');
+
+const router = Router();
+
+router.get('/', controller.list);
+router.post('/', controller.create);
+router.get('/:id', require('./controller.cjs').show);
+router.delete('/:id', remove);
+
+module.exports = router;
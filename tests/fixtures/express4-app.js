@@ -0,0 +1,28 @@
+import express from 'express';
+
+/**
+ * Express 4.x fixture app
+ * Same route layout as the other version fixture, so reflected paths can be compared
+ */
+export default function createApp() {
+  const app = express();
+  const users = express.Router();
+  const admin = express.Router();
+  const reports = express.Router();
+
+  app.use(express.json());
+
+  app.get('/health', (req, res) => res.json({ status: 'ok' }));
+
+  users.get('/', (req, res) => res.json([]));
+  users.get('/:id', (req, res) => res.json({ id: req.params.id }));
+  users.post('/', (req, res) => res.status(201).json({}));
+
+  reports.get('/daily', (req, res) => res.json([]));
+  admin.use('/reports', reports);
+
+  app.use('/api/users', users);
+  app.use('/api/admin', admin);
+
+  return app;
+}
@@ -0,0 +1,46 @@
+/**
+ * Helper/service fixture
+ * Imported by handlers in the inter-procedural analysis tests
+ */
+export const sendSuccess = (res, data, statusCode = 200) => {
+  res.status(statusCode).json({ success: true, data });
+};
+
+export const sendBody = (res, body) => {
+  res.send(body);
+};
+
+// Mutually recursive senders
+export function sendPage(res, page) {
+  if (!page) {
+    return sendEmpty(res);
+  }
+  res.status(200).json({ page });
+}
+
+export function sendEmpty(res) {
+  if (!res.headersSent) {
+    return sendPage(res, 1);
+  }
+  res.status(204).end();
+}
+
+export const sendFirstPage = (res) => sendPage(res, 1);
+
+export function validateUser(body, res) {
+  if (!body.email || typeof body.password !== 'string') {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+  return null;
+}
+
+class UserService {
+  create(payload) {
+    if (!payload) {
+      throw new Error('Payload is required');
+    }
+    return { id: 1, ...payload };
+  }
+}
+
+export default new UserService();
@@ -0,0 +1,14 @@
+/**
+ * Mongoose fixture app
+ * Read by the static reflector test only
+ */
+import express from 'express';
+import { getUser, listTags, createCharge } from './controllers.js';
+
+const app = express();
+
+app.get('/users/:id', getUser);
+app.get('/tags', listTags);
+app.post('/charges', createCharge);
+
+export default app;
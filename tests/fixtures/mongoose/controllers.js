@@ -0,0 +1,47 @@
+/**
+ * Mongoose model fixture
+ * Read by the analyzer only - @acme/models, stripe and decimal.js are never imported;
+ * the Tag model is registered by the test
+ */
+import User from './models/User.js';
+import Order from './models/Order.cjs';
+import { Tag } from '@acme/models';
+import Stripe from 'stripe';
+import Decimal from 'decimal.js';
+
+export const getUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  res.json({ success: true, data: user });
+};
+
+export const listUsers = async (req, res) => {
+  const users = await User.find().select('name email').lean();
+  res.json(users);
+};
+
+export const createUser = async (req, res) => {
+  const user = new User(req.body);
+  await user.save();
+  res.status(201).json(user);
+};
+
+export const getUserWithPassword = async (req, res) => {
+  res.json(await User.findOne({ email: req.body.email }).select('+password'));
+};
+
+export const listOrders = async (req, res) => {
+  const orders = await Order.find({ status: 'paid' }).populate('items.product').exec();
+  res.json({ orders, count: orders.length });
+};
+
+export const listTags = async (req, res) => {
+  res.json(await Tag.find());
+};
+
+export const createCharge = async (req, res) => {
+  const charge = await Stripe.create({ amount: req.body.amount });
+  res.status(201).json({ charge, total: Decimal.toString() });
+};
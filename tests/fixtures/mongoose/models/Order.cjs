@@ -0,0 +1,17 @@
+const { Schema, model } = require('mongoose');
+
+const orderSchema = new Schema({
+  items: [{
+    product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, min: 1 }
+  }],
+  status: { type: String, enum: ['pending', 'paid'] },
+  internalNote: String
+}, { versionKey: false });
+
+orderSchema.methods.toJSON = function () {
+  const { internalNote, ...order } = this.toObject();
+  return order;
+};
+
+module.exports = model('Order', orderSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const addressSchema = new mongoose.Schema({
+  city: { type: String, required: true },
+  zip: String
+}, { _id: false });
+
+const userSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Name is required'], maxlength: 50 },
+  email: { type: String, required: true, match: /^\S+@\S+$/ },
+  password: { type: String, required: true, select: false },
+  resetToken: String,
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  age: { type: Number, min: 0 },
+  tags: [String],
+  address: addressSchema,
+  profile: {
+    bio: String,
+    website: String
+  }
+}, { timestamps: true });
+
+userSchema.set('toJSON', {
+  virtuals: true,
+  transform(doc, ret) {
+    delete ret.resetToken;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('User', userSchema);
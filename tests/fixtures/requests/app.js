@@ -0,0 +1,16 @@
+/**
+ * Request and response fixture app
+ * Read by the static reflector test only
+ */
+import express from 'express';
+import { listUsers, login, createOrder, createUser } from './controllers.js';
+
+const app = express();
+app.use(express.json());
+
+app.get('/users', listUsers);
+app.post('/users', createUser);
+app.post('/login', login);
+app.post('/orders', createOrder);
+
+export default app;
@@ -0,0 +1,53 @@
+/**
+ * Request and response fixture controllers
+ * Read by the analyzer and the static reflector only - never imported
+ */
+
+export const listUsers = (req, res) => {
+  const { page = 1, sort: order, filter: { role }, ...others } = req.query;
+  const { body: { email } } = req;
+  res.json({ page });
+};
+
+export const login = (req, res) => {
+  const { email, password, remember = false } = req.body;
+  if (!email || typeof password !== 'string' || password.length < 8) {
+    return res.status(400).json({ error: 'Invalid credentials' });
+  }
+  if (!remember) {
+    console.log('session only');
+  }
+  res.json({ token: 'abc' });
+};
+
+export const createOrder = (req, res) => {
+  if (!req.body.item) {
+    return res.status(400).json({ error: 'Item is required' });
+  }
+  if (!req.body.qty) {
+    return res.status(400).json({ error: 'Quantity is required' });
+  }
+  if (req.body.qty > 10) {
+    return res.status(422).json({ error: 'Too many', max: 10 });
+  }
+  res.status(201).json({ id: 1, item: 'book' });
+};
+
+/**
+ * Create a user
+ * Registers the account and sends a welcome mail.
+ *
+ * @tags Users
+ * @param {Object} req - Express request
+ * @param {string} body.email - Login email
+ * @param {integer} [body.age=18] - Age in years
+ * @returns {201} The created user
+ * @returns {409} Email already registered
+ * @deprecated Use POST /v2/users
+ * @example request
+ * { "email": "jane@example.com" }
+ */
+export const createUser = async (req, res) => {
+  const { email, age } = req.body;
+  res.status(201).json({ id: 1, email: email.trim(), age: age + 1 });
+};
@@ -0,0 +1,24 @@
+/**
+ * Response fixture app
+ * Read by the static reflector test only
+ */
+import express from 'express';
+import * as content from './content.js';
+import * as session from './session.js';
+
+const app = express();
+
+app.get('/login', content.login);
+app.delete('/items/:id', content.remove);
+app.get('/reports/q1', content.report);
+app.get('/avatars/:id', content.avatar);
+app.get('/users/export', content.exportUsers);
+app.get('/archive', content.archive);
+app.get('/', content.home);
+app.post('/items', content.create);
+
+app.post('/session', session.login);
+app.delete('/session', session.logout);
+app.get('/users/count', session.exportUsers);
+
+export default app;
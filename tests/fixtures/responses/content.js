@@ -0,0 +1,31 @@
+/**
+ * Non-JSON response fixture
+ * Read by the analyzer and the static reflector only - never imported
+ */
+import fs from 'fs';
+import path from 'path';
+
+export const login = (req, res) => {
+  if (!req.body.email) return res.redirect('/login?error=1');
+  res.redirect(301, '/dashboard');
+};
+
+export const remove = (req, res) => { res.sendStatus(204); };
+
+export const report = (req, res) => { res.download(path.join(__dirname, 'files', 'q1.pdf'), 'Q1-report.pdf'); };
+
+export const avatar = (req, res) => { res.sendFile(`${dir}/${req.params.id}.png`); };
+
+export const exportUsers = (req, res) => {
+  if (req.query.format === 'csv') {
+    res.attachment('users.csv');
+    return res.send(csv);
+  }
+  res.json({ users: [] });
+};
+
+export const archive = (req, res) => { res.type('zip'); fs.createReadStream(file).pipe(res); };
+
+export const home = (req, res) => { res.render('home', { title: 'Home' }); };
+
+export const create = (req, res) => { res.status(201).json({ id: 1 }); };
@@ -0,0 +1,17 @@
+/**
+ * Response header and cookie fixture
+ * Read by the analyzer and the static reflector only - never imported
+ */
+export const login = async (req, res) => {
+  if (!req.body.email) return res.status(400).json({ error: 'Bad Request' });
+  res.cookie('refreshToken', token, { httpOnly: true, secure: isProduction, sameSite: 'strict', maxAge: 7 * 24 * 60 * 60 * 1000 });
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({ token });
+};
+
+export const logout = (req, res) => { res.clearCookie('refreshToken').status(204).end(); };
+
+export const exportUsers = (req, res) => {
+  res.set({ 'X-Total-Count': String(users.length), 'Content-Type': 'text/csv' });
+  res.send(csv);
+};
@@ -0,0 +1,15 @@
+/**
+ * TypeScript fixture app
+ * Read by the static reflector test only
+ */
+import express from 'express';
+import { createUser, listUsers, listTree } from './users';
+
+const app = express();
+app.use(express.json());
+
+app.post('/users/:id', createUser);
+app.get('/users', listUsers);
+app.get('/trees/:id', listTree);
+
+export default app;
@@ -0,0 +1,45 @@
+/**
+ * TypeScript fixture types
+ * Imported by the handler in the type extraction test
+ */
+export enum Role {
+  Admin = 'admin',
+  User = 'user'
+}
+
+interface Timestamps {
+  createdAt: Date;
+}
+
+export interface UserResponse extends Timestamps {
+  id: number;
+  email: string;
+  role: Role;
+  nickname?: string | null;
+}
+
+export type CreateUserBody = {
+  email: string;
+  password: string;
+  tags?: string[];
+};
+
+export interface TreeNode {
+  id: number;
+  children?: TreeNode[];
+}
+
+export type Page<T> = {
+  items: T[];
+  total: number;
+};
+
+interface Meta {
+  requestId: string;
+}
+
+export interface ApiResponse<T, M = Meta> {
+  success: boolean;
+  data: T;
+  meta: M;
+}
@@ -0,0 +1,24 @@
+import { Request, Response } from 'express';
+import type { ApiResponse, CreateUserBody, Page, TreeNode, UserResponse } from './types.js';
+
+type ListQuery = {
+  page?: number;
+  sort: 'asc' | 'desc';
+};
+
+export const createUser = async (
+  req: Request<{ id: string }, UserResponse, CreateUserBody, ListQuery>,
+  res: Response<UserResponse>
+) => {
+  res.status(201).json({ id: 1, email: req.body.email });
+};
+
+export const listUsers = (req: Request, res: Response) => {
+  const query: ListQuery = req.query;
+  const users: UserResponse[] = [];
+  res.json(users);
+};
+
+export const listTree = (req: Request<{ id: string }, ApiResponse<Page<TreeNode>>, Page<Page<TreeNode>>>, res: Response) => {
+  res.json({ success: true, data: { items: [], total: 0 }, meta: { requestId: req.params.id } });
+};
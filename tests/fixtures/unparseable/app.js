@@ -0,0 +1,13 @@
+/**
+ * Unparseable module fixture
+ * Read by the static reflector test only - broken.js has a syntax error
+ */
+import express from 'express';
+import legacyRoutes from './broken.js';
+
+const app = express();
+
+app.get('/health', (req, res) => res.json({ status: 'ok' }));
+app.use('/legacy', legacyRoutes);
+
+export default app;
@@ -0,0 +1,41 @@
+/**
+ * File upload fixture
+ * Read by the static reflector test only - multer is never imported
+ */
+import express from 'express';
+import multer from 'multer';
+import { upload, uploadAvatar } from './upload.js';
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+app.post('/users/:id/avatar', uploadAvatar, (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Avatar is required' });
+  }
+  res.json({ url: `/uploads/${req.file.filename}` });
+});
+
+app.post('/albums', upload.array('photos', 5), (req, res) => {
+  const { title, description } = req.body;
+  res.status(201).json({ title, description, count: req.files.length });
+});
+
+app.post('/products', upload.fields([{ name: 'cover', maxCount: 1 }, { name: 'gallery', maxCount: 8 }]), (req, res) => {
+  res.status(201).json({ cover: req.files.cover[0].filename, name: req.body.name });
+});
+
+app.post('/notes', multer().none(), (req, res) => {
+  res.status(201).json({ text: req.body.text });
+});
+
+app.post('/imports', (req, res) => {
+  res.json({ rows: req.files.length });
+});
+
+app.post('/contact', (req, res) => {
+  res.json({ email: req.body.email });
+});
+
+export default app;
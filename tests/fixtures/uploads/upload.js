@@ -0,0 +1,11 @@
+/**
+ * Shared multer instance
+ */
+import multer from 'multer';
+
+export const upload = multer({
+  dest: 'uploads/',
+  limits: { fileSize: 5 * 1024 * 1024, files: 10 }
+});
+
+export const uploadAvatar = upload.single('avatar');
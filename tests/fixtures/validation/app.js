@@ -0,0 +1,52 @@
+/**
+ * Validation middleware fixture
+ * Read by the static reflector test only - express-validator, celebrate and zod
+ * are never imported
+ */
+import express from 'express';
+import { body, query, param } from 'express-validator';
+import { celebrate, Joi, Segments } from 'celebrate';
+import { z } from 'zod';
+import { validate } from './validate.js';
+import { createOrderSchema } from './schemas.js';
+
+const app = express();
+
+const signupRules = [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 8, max: 64 }),
+  body('role').optional().isIn(['user', 'admin'])
+];
+
+function signup(req, res) {
+  res.status(201).json({ ok: true });
+}
+
+app.post('/signup', signupRules, signup);
+
+app.get('/users/:id', param('id').isMongoId(), query('page').optional().isInt({ min: 1 }), (req, res) => {
+  res.json({});
+});
+
+app.put('/users/:id', celebrate({
+  [Segments.PARAMS]: Joi.object({ id: Joi.string().uuid().required() }),
+  [Segments.BODY]: Joi.object({
+    name: Joi.string().min(2).max(50).required(),
+    age: Joi.number().integer().min(0),
+    status: Joi.string().valid('active', 'disabled')
+  })
+}), (req, res) => {
+  res.json({});
+});
+
+app.post('/orders', validate(createOrderSchema), (req, res) => {
+  res.status(201).json({});
+});
+
+app.get('/search', validate(z.object({
+  query: z.object({ q: z.string().min(1), limit: z.coerce.number().int().max(100).optional() })
+})), (req, res) => {
+  res.json([]);
+});
+
+export default app;
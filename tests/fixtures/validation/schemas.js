@@ -0,0 +1,8 @@
+import { z } from 'zod';
+
+export const createOrderSchema = z.object({
+  productId: z.string().uuid(),
+  quantity: z.number().int().positive(),
+  notes: z.string().max(500).nullable().optional(),
+  shipping: z.enum(['standard', 'express']).default('standard')
+});
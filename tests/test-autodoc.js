@@ -1,7 +1,15 @@
 import ASTAnalyzer from '../autodoc/ast/ASTAnalyzer.js';
 import RouteReflector from '../autodoc/reflect/RouteReflector.js';
+import StaticRouteReflector from '../autodoc/reflect/StaticRouteReflector.js';
 import DocumentationBuilder from '../autodoc/builder/DocumentationBuilder.js';
+import OpenAPIGenerator from '../autodoc/openapi/OpenAPIGenerator.js';
+import ApiDocumentation from '../models/ApiDocumentation.js';
 import express from 'express';
+import mongoose from 'mongoose';
+import express5 from 'express5';
+import { fileURLToPath } from 'url';
+import createExpress4App from './fixtures/express4-app.js';
+import createExpress5App from './fixtures/express5-app.js';
 
 /**
  * Test Suite for Auto Documentation System
@@ -25,6 +33,18 @@ function test(description, fn) {
   }
 }
 
+async function testAsync(description, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${description}`);
+    passedTests++;
+  } catch (error) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${error.message}`);
+    failedTests++;
+  }
+}
+
 function assertEquals(actual, expected, message) {
   if (actual !== expected) {
     throw new Error(`${message}: expected ${expected}, got ${actual}`);
@@ -37,12 +57,43 @@ function assertContains(array, item, message) {
   }
 }
 
+function assertThrows(fn, text, message) {
+  try {
+    fn();
+  } catch (error) {
+    if (!error.message.includes(text)) {
+      throw new Error(`${message}: unexpected error ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`${message}: nothing was thrown`);
+}
+
 function assertExists(value, message) {
   if (!value) {
     throw new Error(`${message}: value does not exist`);
   }
 }
 
+// Documentation of fixture apps by entry file, built once and shared by the tests that read them
+const fixtureDocs = new Map();
+function buildFixtureDocs(entry) {
+  const file = fileURLToPath(new URL(`./fixtures/${entry}`, import.meta.url));
+  if (!fixtureDocs.has(file)) {
+    fixtureDocs.set(file, new DocumentationBuilder({ static: true }).buildDocumentation(file));
+  }
+  return fixtureDocs.get(file);
+}
+
+async function fixtureDoc(entry, method, path) {
+  return (await buildFixtureDocs(entry)).find(doc => doc.method === method && doc.path === path);
+}
+
+async function fixtureFunction(file, name) {
+  const functions = (await new ASTAnalyzer().analyzeFile(fileURLToPath(new URL(`./fixtures/${file}`, import.meta.url)))).functions;
+  return functions.find(f => f.name === name);
+}
+
 // Test 1: AST Analyzer - Extract req.body fields
 test('AST Analyzer: Extract req.body fields', () => {
   const code = `
@@ -182,6 +233,724 @@ test('AST Analyzer: Extract function parameters', () => {
   assertEquals(analysis.functions[0].parameters[2].name, 'next', 'Third param should be next');
 });
 
+// Test 11: Static Route Reflector - Discover routes without importing the app
+await testAsync('Static Route Reflector: Discover routes from source', async () => {
+  const reflector = new StaticRouteReflector();
+  const routes = await reflector.extractRoutes('./src/app.js');
+
+  const search = routes.find(r => r.method === 'GET' && r.path === '/api/products/search');
+  assertExists(search, 'Should follow app.use mount into productRoutes');
+  assertEquals(search.handlerName, 'searchProducts', 'Should resolve namespace-imported handler');
+  assertContains(search.filePath, 'productController.js', 'Should record handler file');
+
+  const updateUser = routes.find(r => r.method === 'PUT' && r.path === '/api/users/:id');
+  assertContains(updateUser.middleware, 'authenticate', 'Should resolve imported middleware');
+  assertContains(updateUser.routeParameters, 'id', 'Should extract path parameters');
+
+  // A module that fails to parse is skipped with a warning
+  const partial = new StaticRouteReflector();
+  const partialRoutes = await partial.extractRoutes(fileURLToPath(new URL('./fixtures/unparseable/app.js', import.meta.url)));
+  assertEquals(partialRoutes.map(r => r.path).join(', '), '/health', 'Should keep routes of parseable modules');
+  assertEquals(partial.warnings.some(w => w.includes('broken.js - module could not be parsed')), true,
+    'Should warn about unparseable modules');
+});
+
+// Test 12: Route Reflector - Same mount paths for Express 4 and Express 5
+test('Route Reflector: Walk Express 4 and Express 5 router stacks', () => {
+  const expected = [
+    'GET /health',
+    'GET /api/users',
+    'GET /api/users/:id',
+    'POST /api/users',
+    'GET /api/admin/reports/daily'
+  ];
+
+  // An Express 5 app created without instrumentation can't be documented
+  assertThrows(() => new RouteReflector().extractRoutes(createExpress5App()), 'RouteReflector.instrument(express)',
+    'Should reject unknown Express 5 mount paths');
+
+  const restore = RouteReflector.instrument(express5);
+  let apps;
+  try {
+    apps = [[4, createExpress4App()], [5, createExpress5App()]];
+  } finally {
+    restore();
+  }
+
+  apps.forEach(([version, app]) => {
+    const reflector = new RouteReflector();
+    const routes = reflector.extractRoutes(app).map(r => `${r.method} ${r.path}`);
+
+    assertEquals(reflector.expressVersion, version, 'Should detect Express version');
+    assertEquals(routes.join(', '), expected.join(', '), `Express ${version} routes`);
+  });
+});
+
+// Test 13: Route Reflector - Detect routes shadowed by earlier parameterized routes
+await testAsync('Route Reflector: Detect shadowed routes', async () => {
+  const app = express();
+  const router = express.Router();
+
+  router.get('/:id', (req, res) => res.json({}));
+  router.get('/search', (req, res) => res.json({}));
+  router.get('/:id/reviews', (req, res) => res.json({}));
+  router.post('/search', (req, res) => res.json({}));
+
+  app.use('/api/products', router);
+
+  const reflector = new RouteReflector();
+  const routes = reflector.extractRoutes(app);
+  const search = routes.find(r => r.method === 'GET' && r.path === '/api/products/search');
+
+  assertEquals(search.shadowedBy.path, '/api/products/:id', 'GET /search should be shadowed by /:id');
+  assertEquals(routes.filter(r => r.shadowedBy).length, 1, 'Only GET /search should be shadowed');
+
+  // Still flagged when the handler can't be analyzed
+  const builder = new DocumentationBuilder();
+  builder._analyzeHandler = async () => {
+    throw new Error('analysis failed');
+  };
+  const doc = (await builder.buildDocumentation(app)).find(d => d.method === 'GET' && d.path === '/api/products/search');
+  assertEquals(`${doc.metadata.partial} ${doc.shadowedBy}`, 'true GET /api/products/:id', 'Should flag partial docs');
+  assertContains(doc.warnings, 'Unreachable: GET /api/products/:id is registered earlier and matches this path',
+    'Should warn on partial docs');
+});
+
+// Test 14: Route Reflector - Attribute app, router and route middleware
+test('Route Reflector: Attribute middleware per level', () => {
+  const app = express();
+  const router = express.Router();
+  const logger = (req, res, next) => next();
+  const authenticate = (req, res, next) => next();
+  const audit = (req, res, next) => next();
+  const adminOnly = (req, res, next) => next();
+
+  app.use(logger);
+  app.use('/admin', adminOnly);
+  router.use(authenticate);
+  router.get('/orders', audit, (req, res) => res.json([]));
+  app.use('/api', router);
+
+  const reflector = new RouteReflector();
+  const [route] = reflector.extractRoutes(app);
+
+  assertEquals(route.middleware.join(','), 'logger,authenticate,audit', 'Should include the full chain in order');
+  assertEquals(
+    route.middlewareHandlers.map(m => m.level).join(','),
+    'app,router,route',
+    'Should record the level each middleware was attached at'
+  );
+});
+
+// Test 15: Documentation Builder - Resolve handler source locations
+await testAsync('Documentation Builder: Record handler source location', async () => {
+  const builder = new DocumentationBuilder();
+  const docs = await builder.buildDocumentation(createExpress4App());
+
+  const health = docs.find(d => d.path === '/health');
+  assertEquals(health.controllerFile, 'tests/fixtures/express4-app.js', 'Should record the defining file');
+  assertEquals(health.sourceLocation.line, 15, 'Should record the defining line');
+
+  const create = docs.find(d => d.method === 'POST' && d.path === '/api/users');
+  assertContains(create.statusCodes, 201, 'Should analyze the handler in its module');
+});
+
+// Test 16: Route Reflector - Parameterized, array and regex mount paths
+await testAsync('Route Reflector: Rebuild parameterized and regex mount paths', async () => {
+  const app = express();
+  const users = express.Router({ mergeParams: true });
+  const status = express.Router();
+
+  users.get('/:id', (req, res) => res.json({}));
+  status.get('/status', (req, res) => res.json({}));
+  app.use('/api/:tenant/users', users);
+  app.use(['/v1', '/v2'], status);
+  app.use(/\/legacy(\d+)/, status);
+  app.get(['/items/:id', /^\/code(\d+)$/], (req, res) => res.json({}));
+
+  const reflector = new RouteReflector();
+  const routes = reflector.extractRoutes(app);
+  const paths = routes.map(r => r.path);
+
+  assertContains(paths, '/api/:tenant/users/:id', 'Should keep parameters in mount paths');
+  assertContains(paths, '/v2/status', 'Should walk every path of an array mount');
+  assertContains(paths, '/legacy:capture0(\\d+)/status', 'Should turn regex captures into named parameters');
+  assertContains(paths, '/code:capture0(\\d+)', 'Should name captures of regexps in path arrays after their key');
+
+  const spec = new OpenAPIGenerator().generateSpec(await new DocumentationBuilder().buildDocumentation(app));
+  const legacy = spec.paths['/legacy{capture0}/status'];
+  assertExists(legacy, 'Should emit a valid OpenAPI path');
+  assertEquals(legacy.get.parameters[0].name, 'capture0', 'Should document the capture as a path parameter');
+  assertEquals(routes[0].routeParameters.join(','), 'tenant,id', 'Should include mount parameters');
+  assertEquals(routes[0].inheritedParams.join(','), 'tenant', 'Should list params merged from the parent');
+  assertEquals(routes[1].inheritedParams.length, 0, 'Should not merge params without mergeParams');
+});
+
+// Test 17: Route Reflector - app.route() chains, all() and path param kinds
+test('Route Reflector: Split route chains and expand all()', () => {
+  const app = express();
+  const auth = (req, res, next) => next();
+
+  app.route('/items/:id(\\d+)')
+    .all(auth)
+    .get(function getItem(req, res) { res.json({}); })
+    .delete(function deleteItem(req, res) { res.status(204).end(); });
+  app.all('/files/:name?', function serveFile(req, res) { res.end(); });
+
+  const reflector = new RouteReflector();
+  const routes = reflector.extractRoutes(app);
+
+  const del = routes.find(r => r.method === 'DELETE' && r.path.startsWith('/items'));
+  assertEquals(del.handlerName, 'deleteItem', 'Should pick the handler chained for the verb');
+  assertEquals(del.middleware.join(','), 'auth', 'Should treat route.all() before verbs as middleware');
+  assertEquals(del.pathParameters[0].pattern, '\\d+', 'Should keep the regex constraint');
+
+  const files = routes.filter(r => r.path === '/files/:name?');
+  assertEquals(files.some(r => r.method === '_ALL'), false, 'Should not report an _ALL method');
+  assertEquals(files.every(r => r.catchAll), true, 'Should mark all() handlers as catch-all');
+  assertEquals(files[0].pathParameters[0].optional, true, 'Should mark optional params');
+});
+
+// Test 18: Documentation Builder - router.param() callbacks
+await testAsync('Documentation Builder: Attach param callback responses', async () => {
+  const app = express();
+  const users = express.Router();
+
+  users.param('id', function loadUser(req, res, next, id) {
+    if (!/^\\d+$/.test(id)) {
+      return res.status(400).json({ error: 'Invalid id' });
+    }
+    if (id === '0') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    next();
+  });
+  users.get('/:id', function getUser(req, res) { res.json({ id: req.params.id }); });
+  users.get('/', function listUsers(req, res) { res.json([]); });
+  app.use('/users', users);
+
+  const builder = new DocumentationBuilder();
+  const docs = await builder.buildDocumentation(app);
+
+  const getUser = docs.find(d => d.path === '/users/:id');
+  assertEquals(getUser.paramHandlers[0].name, 'loadUser', 'Should attach the param callback');
+  assertContains(getUser.statusCodes, 404, 'Should add the callback 404 to the operation');
+  assertContains(getUser.statusCodes, 400, 'Should add the callback 400 to the operation');
+
+  const listUsers = docs.find(d => d.path === '/users');
+  assertEquals(listUsers.paramHandlers.length, 0, 'Should skip routes without the param');
+});
+
+// Test 19: Documentation Builder - Error handlers and 404 catch-alls
+await testAsync('Documentation Builder: Use error handler shape for error responses', async () => {
+  const app = express();
+  const api = express.Router();
+
+  api.get('/orders', function listOrders(req, res) { res.json([]); });
+  app.use('/api', api);
+  app.get('/late', function late(req, res) { res.json({}); });
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not Found', path: req.path });
+  });
+  app.use((err, req, res, next) => {
+    res.status(err.statusCode || 500).json({ error: err.name || 'Error', message: err.message });
+  });
+
+  const builder = new DocumentationBuilder();
+  const docs = await builder.buildDocumentation(app);
+  const orders = docs.find(d => d.path === '/api/orders');
+
+  assertEquals(orders.errorResponses.map(r => r.kind).join(','), 'fallback,error', 'Should attach both handlers');
+  assertEquals(orders.middleware.length, 0, 'Should not treat them as middleware');
+
+  const errorHandler = orders.errorResponses[1];
+  assertEquals(errorHandler.dynamicStatus, true, 'Should detect err.statusCode || 500');
+  assertContains(errorHandler.statusCodes, 500, 'Should keep the fallback status');
+  assertExists(errorHandler.schema.properties.message, 'Should analyze the error body');
+
+  const generator = new OpenAPIGenerator();
+  const spec = generator.generateSpec(docs);
+  assertExists(spec.paths['/api/orders'].get.responses.default, 'Should use the handler as the default response');
+
+  // Arity says nothing about next: wrappers and bound functions stay middleware, and so
+  // does anything registered before a route
+  const wrapped = express();
+  const track = (req, res, next) => next();
+  wrapped.get('/first', function first(req, res) { res.json({}); });
+  wrapped.use((...args) => track(...args));
+  wrapped.use(function bound(req, res, next) { next(); }.bind(null));
+  wrapped.use(function early(req, res) { res.status(404).end(); });
+  wrapped.get('/last', function last(req, res) { res.json({}); });
+
+  const routes = new RouteReflector().extractRoutes(wrapped);
+  const last = routes.find(r => r.path === '/last');
+  assertEquals(last.middleware.length, 3, 'Should keep unprovable catch-alls in the middleware chain');
+  assertEquals(routes.find(r => r.path === '/first').errorHandlers.length, 0, 'Should not attach them as fallbacks');
+});
+
+// Test 20: Route Reflector - Mounted sub-apps
+test('Route Reflector: Walk mounted sub-apps', () => {
+  const restore = RouteReflector.instrument(express);
+  const app = express();
+  try {
+    const admin = express();
+    admin.set('title', 'Admin');
+    admin.use(function audit(req, res, next) { next(); });
+    admin.get('/stats', function stats(req, res) { res.json({}); });
+    app.use(function logger(req, res, next) { next(); });
+    app.use('/admin', admin);
+  } finally {
+    restore();
+  }
+
+  const reflector = new RouteReflector();
+  const [route] = reflector.extractRoutes(app);
+
+  assertEquals(route.path, '/admin/stats', 'Should prefix the mount path');
+  assertEquals(route.middleware.join(','), 'logger,audit', 'Should include the sub-app middleware');
+  assertEquals(route.subApp.name, 'Admin', 'Should tag the sub-app');
+
+  const plain = express();
+  plain.use('/admin', express());
+  assertThrows(() => new RouteReflector().extractRoutes(plain), 'RouteReflector.instrument(express)',
+    'Should reject sub-apps mounted without instrumentation');
+});
+
+// Test 21: AST Analyzer - Destructured request fields
+await testAsync('AST Analyzer: Destructured request fields', async () => {
+  const usage = (await fixtureFunction('requests/controllers.js', 'listUsers')).requestUsage;
+
+  assertContains(usage.query, 'sort', 'Should record the source key of a renamed binding');
+  assertContains(usage.body, 'email', 'Should extract fields destructured from req');
+  assertEquals(usage.fields.query.page.default, 1, 'Should record the default value');
+  assertExists(usage.fields.query.filter.properties.role, 'Should describe nested patterns');
+  assertEquals(usage.rest.query, 'others', 'Should record rest elements');
+
+  const doc = await fixtureDoc('requests/app.js', 'GET', '/users');
+  const page = doc.parameters.find(p => p.name === 'page');
+  assertEquals(page.default, 1, 'Should carry the default to the parameter');
+  assertEquals(page.required, false, 'Should mark defaulted fields optional');
+});
+
+// Test 22: AST Analyzer - Guard clauses mark required fields
+await testAsync('AST Analyzer: Required fields from guard clauses', async () => {
+  const analysis = await fixtureFunction('requests/controllers.js', 'login');
+  const [guard] = analysis.requestUsage.guards;
+
+  assertEquals(analysis.requestUsage.guards.length, 1, 'Should only record guards that return a 4xx');
+  assertEquals(guard.fields.map(f => f.check).join(','), 'missing,type,length', 'Should recognise each check');
+  assertEquals(guard.fields[2].minLength, 8, 'Should record the minimum length');
+
+  const doc = await fixtureDoc('requests/app.js', 'POST', '/login');
+  assertEquals(doc.parameters.find(p => p.name === 'email').required, true, 'Should mark guarded fields required');
+  assertEquals(doc.parameters.find(p => p.name === 'remember').required, false, 'Should leave other fields optional');
+  assertEquals(doc.validationResponses[0].statusCode, 400, 'Should link the 400 response');
+  assertContains(doc.parameters.find(p => p.name === 'password').rejectedWith, 400, 'Should link the field to the 400');
+});
+
+// Test 23: AST Analyzer - Type inference from usage
+test('AST Analyzer: Infer parameter types from usage', () => {
+  const code = `
+    export const search = (req, res) => {
+      const { page, price, email, tags, active, homepage } = req.query;
+      const urlPattern = /^https?:\\/\\//;
+      const offset = parseInt(page) * 10;
+      const total = price * 2;
+      const normalized = email.toLowerCase();
+      if (!/^[^@]+@[^@]+$/.test(email) || !urlPattern.test(homepage)) {
+        return res.status(400).json({ error: 'Invalid' });
+      }
+      const names = tags.map(tag => tag.name);
+      res.json({ items: active === 'true' ? names : [] });
+    };
+  `;
+
+  const analyzer = new ASTAnalyzer();
+  const fields = analyzer.analyzeCode(code).functions[0].requestUsage.fields.query;
+
+  assertEquals(fields.page.type, 'integer', 'parseInt should mean integer');
+  assertEquals(fields.price.type, 'number', 'Arithmetic should mean number');
+  assertEquals(fields.email.type, 'string', 'String methods should mean string');
+  assertEquals(fields.email.format, 'email', 'Email regex should set the format');
+  assertEquals(fields.homepage.format, 'uri', 'URL regex should set the format');
+  assertEquals(fields.tags.type, 'array', 'Array methods should mean array');
+  assertEquals(fields.active.type, 'boolean', "Comparing with 'true' should mean boolean");
+  assertEquals(fields.page.confidence, 0.8, 'Should carry a confidence');
+});
+
+// Test 24: Documentation Builder - Per-status response schemas
+await testAsync('Documentation Builder: Per-status response schemas', async () => {
+  const doc = await fixtureDoc('requests/app.js', 'POST', '/orders');
+
+  assertEquals(doc.responses.length, 3, 'Should merge identical shapes per status');
+  assertExists(doc.responseSchema.properties.id, 'Should use the 2xx body as the success schema');
+
+  const responses = new OpenAPIGenerator().generateSpec([doc]).paths['/orders'].post.responses;
+  assertExists(responses[201], 'Should document the success status');
+  assertExists(responses[422].content['application/json'].schema.properties.max, 'Should use each status body');
+});
+
+// Test 25: AST Analyzer - Resolve local variables in responses
+test('AST Analyzer: Resolve local variables in responses', () => {
+  const code = `
+    export const listProducts = (req, res) => {
+      const base = { success: true };
+      let products = [];
+      products = [{ id: 1, tags: ['new'] }];
+      const meta = { ...base, count: 2 };
+      res.status(200).json({ ...meta, data: products });
+    };
+  `;
+
+  const analyzer = new ASTAnalyzer();
+  const [response] = analyzer.analyzeCode(code).functions[0].responseUsage.responses;
+
+  assertEquals(response.structure.success, true, 'Should merge resolved object spreads');
+  assertEquals(response.structure.data[0].id, 1, 'Should follow reassignments to the array literal');
+
+  const builder = new DocumentationBuilder();
+  const schema = builder._structureToSchema(response.structure);
+  assertEquals(schema.properties.data.items.properties.tags.items.type, 'string', 'Should build nested item schemas');
+});
+
+// Test 26: AST Analyzer - Follow helper and service calls
+test('AST Analyzer: Follow helper and service calls', () => {
+  const code = `
+    import userService, { sendSuccess, validateUser } from './helpers.js';
+
+    export const createUser = (req, res) => {
+      validateUser(req.body, res);
+      const user = userService.create({ name: req.body.name });
+      sendSuccess(res, { id: 1 }, 201);
+    };
+  `;
+  const fileName = fileURLToPath(new URL('./fixtures/controller.js', import.meta.url));
+
+  const analyzer = new ASTAnalyzer();
+  const analysis = analyzer.analyzeCode(code, fileName).functions[0];
+
+  assertContains(analysis.requestUsage.body, 'email', 'Should attribute request reads in helpers');
+  assertEquals(analysis.requestUsage.fields.body.email.required, true, 'Should carry guard clauses back');
+  assertContains(analysis.responseUsage.statusCodes, 201, 'Should bind literal arguments to helper parameters');
+  assertContains(analysis.responseUsage.statusCodes, 400, 'Should attribute helper status codes');
+  assertEquals(analysis.errors.thrown[0].message, 'Payload is required', 'Should follow service methods');
+  assertEquals(analysis.helpers.length, 3, 'Should record the helpers followed');
+
+  const shallow = new ASTAnalyzer({ maxCallDepth: 0 }).analyzeCode(code, fileName).functions[0];
+  assertEquals(shallow.helpers.length, 0, 'Should respect the configured depth');
+
+  // Handlers calling the same helper the same way share one traversal of it
+  const cached = new ASTAnalyzer();
+  const traversed = [];
+  const analyzeFunctionNode = cached._analyzeFunctionNode.bind(cached);
+  cached._analyzeFunctionNode = (node, ...rest) => {
+    traversed.push(rest[1]);
+    return analyzeFunctionNode(node, ...rest);
+  };
+  const handlers = cached.analyzeCode(`
+    import { sendSuccess } from './helpers.js';
+    export const first = (req, res) => { sendSuccess(res, { id: 1 }, 201); };
+    export const second = (req, res) => { sendSuccess(res, { id: 1 }, 201); };
+  `, fileName).functions;
+  assertEquals(traversed.filter(name => name === 'sendSuccess').length, 1, 'Should analyze each helper once');
+  assertContains(handlers[1].responseUsage.statusCodes, 201, 'Should merge the cached analysis');
+
+  // What the caller set on the response applies to what the helper sends
+  const [exported, emptied, firstPage] = new ASTAnalyzer().analyzeCode(`
+    import { sendSuccess, sendBody, sendEmpty, sendFirstPage } from './helpers.js';
+    export const exportUsers = (req, res) => {
+      res.set('X-First', 'yes');
+      res.cookie('sid', 'x', { httpOnly: true });
+      if (req.query.format === 'csv') {
+        res.attachment('a.csv');
+        return sendBody(res, csv);
+      }
+      sendSuccess(res, { id: 1 }, 201);
+    };
+    export const emptied = (req, res) => { sendEmpty(res); };
+    export const firstPage = (req, res) => { sendFirstPage(res); };
+  `, fileName).functions;
+  const [csv, created] = exported.responseUsage.responses;
+  assertEquals(`${csv.contentType} ${csv.headers['Content-Disposition']}`, 'text/csv attachment; filename="a.csv"',
+    'Should apply the content type set before the call');
+  assertEquals(`${created.headers['X-First']} ${created.cookies[0].name}`, 'yes sid', 'Should apply headers and cookies set before the call');
+  assertEquals(created.headers['Content-Disposition'], undefined, 'Should only apply what was set on the path to the call');
+
+  // An analysis cut short by recursion isn't reused for callers off that call chain
+  assertEquals(emptied.responseUsage.statusCodes.join(','), '200,204', 'Should cut recursive helpers short');
+  assertContains(firstPage.responseUsage.statusCodes, 204, 'Should not reuse analyses cut short by recursion');
+});
+
+// Test 27: AST Analyzer - Track request/response by position and alias
+test('AST Analyzer: Track request and response parameters by position', () => {
+  const code = `
+    export const search = (request, reply) => {
+      const body = request.body;
+      const { query } = request;
+      const limit = request.query?.limit;
+      if (!body.term) {
+        return reply.status(400).json({ error: 'term is required' });
+      }
+      reply.json({ term: body.term, trace: request.headers['x-trace-id'], page: query.page, limit });
+    };
+
+    export const update = ({ params, body: { name } }, res) => {
+      res.status(200).json({ id: params.id, name });
+    };
+  `;
+
+  const analyzer = new ASTAnalyzer();
+  const [search, update] = analyzer.analyzeCode(code).functions;
+
+  assertContains(search.requestUsage.body, 'term', 'Should follow const body = req.body');
+  assertContains(search.requestUsage.query, 'page', 'Should follow const { query } = req');
+  assertContains(search.requestUsage.query, 'limit', 'Should resolve optional chaining');
+  assertContains(search.requestUsage.headers, 'x-trace-id', 'Should resolve computed access');
+  assertEquals(search.requestUsage.fields.body.term.required, true, 'Should link guards through aliases');
+  assertContains(search.responseUsage.statusCodes, 400, 'Should track a response named reply');
+  assertContains(update.requestUsage.params, 'id', 'Should track sources destructured in the signature');
+  assertContains(update.requestUsage.body, 'name', 'Should track nested patterns in the signature');
+});
+
+// Test 28: CommonJS routers and controllers
+await testAsync('Static Route Reflector: Follow CommonJS require and exports', async () => {
+  const entry = fileURLToPath(new URL('./fixtures/commonjs/app.cjs', import.meta.url));
+  const reflector = new StaticRouteReflector();
+  const routes = await reflector.extractRoutes(entry);
+
+  const create = routes.find(r => r.method === 'POST' && r.path === '/users');
+  assertEquals(create.handlerName, 'create', 'Should resolve members of a required module');
+  assertContains(create.filePath, 'controller.cjs', 'Should record the controller file');
+  assertEquals(routes.find(r => r.path === '/users/:id' && r.method === 'GET').handlerName, 'show', 'Should resolve inline require');
+  assertEquals(routes.find(r => r.method === 'DELETE').handlerName, 'remove', 'Should resolve destructured require');
+
+  const controller = fileURLToPath(new URL('./fixtures/commonjs/controller.cjs', import.meta.url));
+  const analysis = await new ASTAnalyzer().analyzeFile(controller);
+  const createAnalysis = analysis.functions.find(f => f.name === 'create');
+
+  assertEquals(analysis.exports.map(e => e.name).join(', '), 'list, create, show, remove', 'Should list CommonJS exports');
+  assertEquals(analysis.imports[0].specifiers[0].imported, 'sendSuccess', 'Should list required bindings');
+  assertContains(createAnalysis.responseUsage.statusCodes, 201, 'Should follow helpers loaded with require');
+});
+
+// Test 29: JSDoc annotations on controllers
+await testAsync('AST Analyzer: Merge JSDoc annotations into documentation', async () => {
+  const analysis = await fixtureFunction('requests/controllers.js', 'createUser');
+  assertEquals(analysis.annotations.summary, 'Create a user', 'Should take the first line as summary');
+  assertEquals(analysis.annotations.params.length, 2, 'Should skip @param tags for req/res');
+
+  const doc = await fixtureDoc('requests/app.js', 'POST', '/users');
+  const age = doc.parameters.find(p => p.name === 'age');
+  assertEquals(age.type, 'integer', 'Annotated type should override the inferred one');
+  assertEquals(age.required, false, 'Bracketed params should be optional');
+  assertEquals(age.default, 18, 'Should read the default value');
+  assertEquals(doc.description, 'Registers the account and sends a welcome mail.', 'Should use the remaining text as description');
+  assertEquals(doc.responses.find(r => r.statusCode === 201).description, 'The created user', 'Should describe inferred responses');
+  assertContains(doc.statusCodes, 409, 'Should add annotated status codes');
+  assertEquals(doc.deprecated, true, 'Should mark deprecated handlers');
+  assertEquals(doc.examples.request.email, 'jane@example.com', 'Should parse JSON examples');
+
+  const operation = new OpenAPIGenerator().generateSpec([doc]).paths['/users'].post;
+  assertEquals(operation.responses[409].description, 'Email already registered', 'Should carry descriptions into the spec');
+});
+
+// Test 30: TypeScript types in handler signatures
+await testAsync('AST Analyzer: Convert TypeScript types to schemas', async () => {
+  const file = fileURLToPath(new URL('./fixtures/typescript/users.ts', import.meta.url));
+  const [createUser, listUsers, listTree] = (await new ASTAnalyzer().analyzeFile(file)).functions;
+  const { types } = createUser;
+
+  assertEquals(types.params.properties.id.type, 'string', 'Should read the Request params type');
+  assertEquals(types.body.required.join(', '), 'email, password', 'Should leave optional members out of required');
+  assertEquals(types.query.properties.sort.enum.join(', '), 'asc, desc', 'Should turn literal unions into enums');
+  assertEquals(types.response.properties.role.enum.join(', '), 'admin, user', 'Should resolve imported enums');
+  assertEquals(types.response.properties.createdAt.format, 'date-time', 'Should merge extended interfaces');
+  assertEquals(types.response.properties.nickname.nullable, true, 'Should mark T | null as nullable');
+  assertEquals(listUsers.types.response.type, 'array', 'Should read typed locals sent with res.json');
+
+  const page = listTree.types.response.properties.data;
+  assertEquals(page.properties.items.items.properties.id.type, 'number', 'Should substitute generic type arguments');
+  assertEquals(page.properties.items.items.properties.children.type, 'array', 'Should stop at recursive arguments');
+  assertEquals(listTree.types.response.properties.meta.properties.requestId.type, 'string', 'Should use type parameter defaults');
+  assertEquals(listTree.types.body.properties.items.items.properties.items.items.properties.id.type, 'number',
+    'Should expand a generic nested in its own argument');
+
+  const doc = await fixtureDoc('typescript/app.ts', 'POST', '/users/:id');
+  const sort = doc.parameters.find(p => p.in === 'query' && p.name === 'sort');
+  assertEquals(sort.required, true, 'Should require non-optional query members');
+  assertEquals(doc.parameters.find(p => p.name === 'tags').schema.items.type, 'string', 'Should document body members');
+  assertEquals(doc.responseSchema.properties.email.type, 'string', 'Should use the response type');
+  const tree = await fixtureDoc('typescript/app.ts', 'GET', '/trees/:id');
+  assertEquals(tree.responseSchema.properties.data.properties.total.type, 'number', 'Should use generic response types');
+});
+
+// Test 31: Validation middleware schemas
+await testAsync('Static Route Reflector: Read validation middleware schemas', async () => {
+  const entry = fileURLToPath(new URL('./fixtures/validation/app.js', import.meta.url));
+  const routes = await new StaticRouteReflector().extractRoutes(entry);
+  const route = (method, path) => routes.find(r => r.method === method && r.path === path);
+
+  const signup = route('POST', '/signup').validation;
+  assertEquals(signup.libraries.join(', '), 'express-validator', 'Should recognise express-validator chains');
+  assertEquals(signup.body.properties.email.format, 'email', 'Should map isEmail to a format');
+  assertEquals(signup.body.required.join(', '), 'email, password', 'Should leave optional() fields out of required');
+
+  const show = route('GET', '/users/:id').validation;
+  assertEquals(show.query.properties.page.minimum, 1, 'Should read isInt bounds');
+
+  const update = route('PUT', '/users/:id').validation;
+  assertEquals(update.body.properties.status.enum.join(', '), 'active, disabled', 'Should read Joi valid()');
+  assertEquals(update.body.required.join(', '), 'name', 'Should only require Joi fields marked required()');
+
+  const order = route('POST', '/orders').validation;
+  assertEquals(order.libraries.join(', '), 'zod', 'Should follow imported zod schemas');
+  assertEquals(order.body.properties.notes.nullable, true, 'Should read nullable zod fields');
+  assertEquals(route('GET', '/search').validation.query.properties.limit.type, 'integer', 'Should read per-source zod schemas');
+
+  const doc = await fixtureDoc('validation/app.js', 'POST', '/orders');
+  assertEquals(doc.parameters.find(p => p.name === 'quantity').required, true, 'Should document validated body fields');
+});
+
+// Test 32: Mongoose model response schemas
+await testAsync('AST Analyzer: Describe responses with Mongoose model schemas', async () => {
+  const file = fileURLToPath(new URL('./fixtures/mongoose/controllers.js', import.meta.url));
+  const functions = (await new ASTAnalyzer().analyzeFile(file)).functions;
+  const analysis = name => functions.find(f => f.name === name);
+
+  const user = analysis('getUser').models.User.schema;
+  assertEquals(user.properties.role.enum.join(', '), 'user, admin', 'Should read field options');
+  assertEquals(user.properties.createdAt.format, 'date-time', 'Should add timestamps');
+  assertEquals('password' in user.properties, false, 'Should leave out select: false fields');
+  assertEquals('resetToken' in user.properties, false, 'Should apply the toJSON transform');
+  assertEquals(user.properties.address.required.join(', '), 'city', 'Should read nested schemas');
+
+  const list = analysis('listUsers');
+  assertEquals(list.responseUsage.responses[0].structure[0], 'model:User.name.email.lean', 'Should mark find() as a list');
+  assertEquals(Object.keys(list.models['User.name.email.lean'].schema.properties).join(', '), '_id, name, email',
+    'Should apply select() projections');
+  assertEquals('password' in analysis('getUserWithPassword').models['User.with_password'].schema.properties, true,
+    'Should include fields selected with +');
+  assertEquals(analysis('createUser').responseUsage.responses[0].structure, 'model:User', 'Should follow new Model().save()');
+
+  const order = analysis('listOrders').models.Order.schema;
+  assertEquals('internalNote' in order.properties || '__v' in order.properties, false,
+    'Should apply a toJSON method and versionKey: false');
+  assertEquals(order.properties.items.items.properties.product.pattern, '^[a-fA-F0-9]{24}$', 'Should read subdocument arrays');
+  assertEquals(JSON.stringify(analysis('createCharge').models), '{}', 'Should not take other package imports for models');
+
+  // Models that can't be read statically come from the model the app registered
+  if (!mongoose.models.Tag) {
+    mongoose.model('Tag', new mongoose.Schema({ label: { type: String, required: true }, secret: { type: String, select: false } }));
+  }
+  const entry = fileURLToPath(new URL('./fixtures/mongoose/app.js', import.meta.url));
+  const docs = await new DocumentationBuilder({ static: true, mongoose }).buildDocumentation(entry);
+  assertEquals(docs[1].responseSchema.items.required.join(', '), 'label', 'Should describe registered models');
+  assertEquals('secret' in docs[1].responseSchema.items.properties, false, 'Should hide select: false fields of registered models');
+
+  const spec = new OpenAPIGenerator().generateSpec(docs);
+  const schema = spec.paths['/users/{id}'].get.responses['200'].content['application/json'].schema;
+  assertEquals(schema.properties.data.$ref, '#/components/schemas/User', 'Should reference the model component');
+  assertEquals(JSON.stringify(spec).includes('model:'), false, 'Should keep model markers out of examples');
+  assertEquals(spec.components.schemas.Tag.title, 'Tag', 'Should add model components');
+  assertEquals(Object.keys(spec.components.schemas).some(name => /Stripe|Decimal/.test(name)), false,
+    'Should not add components for other package imports');
+});
+
+// Test 33: Non-JSON responses
+await testAsync('AST Analyzer: Detect redirects, files, streams and status-only responses', async () => {
+  const file = fileURLToPath(new URL('./fixtures/responses/content.js', import.meta.url));
+  const functions = (await new ASTAnalyzer().analyzeFile(file)).functions;
+  const responses = name => functions.find(f => f.name === name).responseUsage.responses;
+
+  const [redirect, moved] = responses('login');
+  assertEquals(`${redirect.statusCode} ${redirect.headers.Location}`, '302 /login?error=1', 'Should default redirects to 302');
+  assertEquals(moved.statusCode, 301, 'Should read the redirect status');
+  assertEquals(responses('remove')[0].contentType, null, 'Should send no body for sendStatus(204)');
+  assertEquals(responses('report')[0].contentType, 'application/pdf', 'Should type downloads by the file name');
+  assertEquals(responses('report')[0].headers['Content-Disposition'], 'attachment; filename="Q1-report.pdf"',
+    'Should add Content-Disposition to downloads');
+  assertEquals(responses('avatar')[0].binary, true, 'Should mark sent files as binary');
+  assertEquals(responses('exportUsers').map(r => r.contentType).join(', '), 'text/csv, application/json',
+    'Should apply res.attachment() from earlier statements');
+  assertEquals(responses('archive')[0].contentType, 'application/zip', 'Should detect streams piped to the response');
+  assertEquals(responses('home')[0].contentType, 'text/html', 'Should detect rendered views');
+  assertEquals(functions.find(f => f.name === 'create').responseUsage.statusCodes.join(','), '201',
+    'Should record a chained status once');
+
+  const paths = new OpenAPIGenerator().generateSpec(await buildFixtureDocs('responses/app.js')).paths;
+  assertEquals(paths['/login'].get.responses['302'].headers.Location.example, '/login?error=1', 'Should document the Location header');
+  assertEquals('content' in paths['/items/{id}'].delete.responses['204'], false, 'Should leave content out of bodiless responses');
+  assertEquals(Object.keys(paths['/users/export'].get.responses['200'].content).join(', '), 'text/csv, application/json',
+    'Should list every content type sent with a status');
+});
+
+// Test 34: Response headers and cookies
+await testAsync('AST Analyzer: Document response headers and cookies', async () => {
+  const file = fileURLToPath(new URL('./fixtures/responses/session.js', import.meta.url));
+  const functions = (await new ASTAnalyzer().analyzeFile(file)).functions;
+  const responses = name => functions.find(f => f.name === name).responseUsage.responses;
+
+  const [invalid, ok] = responses('login');
+  assertEquals(invalid.cookies.length, 0, 'Should not attach cookies set after a response');
+  assertEquals(ok.headers['Cache-Control'], 'no-store', 'Should detect res.set(name, value)');
+  assertEquals(JSON.stringify(ok.cookies[0].options), '{"httpOnly":true,"sameSite":"strict","maxAge":604800000}',
+    'Should capture literal cookie options');
+  assertEquals(responses('logout')[0].cookies[0].cleared, true, 'Should detect chained clearCookie()');
+  const exported = responses('exportUsers')[0];
+  assertEquals(`${exported.contentType} ${'X-Total-Count' in exported.headers}`, 'text/csv true', 'Should read header objects');
+
+  const spec = new OpenAPIGenerator().generateSpec(await buildFixtureDocs('responses/app.js'));
+  const cookie = spec.paths['/session'].post.responses['200'].headers['Set-Cookie'];
+  assertEquals(cookie.example, 'refreshToken=<value>; Max-Age=604800; Path=/; HttpOnly; SameSite=strict', 'Should document Set-Cookie');
+  assertEquals(spec.paths['/session'].delete.responses['204'].headers['Set-Cookie'].description, 'Clears refreshToken',
+    'Should document cleared cookies');
+});
+
+// Test 35: Multipart and form-encoded request bodies
+await testAsync('Static Route Reflector: Document file uploads and form bodies', async () => {
+  const entry = fileURLToPath(new URL('./fixtures/uploads/app.js', import.meta.url));
+  const routes = await new StaticRouteReflector().extractRoutes(entry);
+  const route = path => routes.find(r => r.path === path);
+
+  const avatar = route('/users/:id/avatar').upload;
+  assertEquals(JSON.stringify(avatar.fields), '[{"name":"avatar","maxCount":1,"multiple":false}]',
+    'Should follow imported upload.single() middleware');
+  assertEquals(avatar.limits.fileSize, 5242880, 'Should read the multer limits');
+  assertEquals(route('/albums').upload.fields[0].maxCount, 5, 'Should read upload.array() max counts');
+  assertEquals(route('/products').upload.fields.map(f => `${f.name}:${f.maxCount}`).join(', '), 'cover:1, gallery:8',
+    'Should read upload.fields()');
+
+  const docs = await buildFixtureDocs('uploads/app.js');
+  const doc = path => docs.find(d => d.path === path);
+  assertEquals(doc('/imports').uploads.fields[0].name, 'files', 'Should fall back to the req.files the handler reads');
+  assertEquals(doc('/contact').requestContentTypes.join(', '), 'application/json, application/x-www-form-urlencoded',
+    'Should accept form bodies behind express.urlencoded()');
+
+  const paths = new OpenAPIGenerator().generateSpec(docs).paths;
+  const albums = paths['/albums'].post.requestBody.content['multipart/form-data'].schema;
+  assertEquals(albums.properties.photos.items.format, 'binary', 'Should document files as binary parts');
+  assertEquals(albums.properties.title.type, 'string', 'Should keep the text fields');
+  assertEquals(Object.keys(paths['/notes'].post.requestBody.content).join(', '), 'multipart/form-data',
+    'Should document upload.none() as multipart');
+});
+
+// Test 36: Schemas survive storage in the documentation model
+await testAsync('ApiDocumentation: Store request and response schemas whole', async () => {
+  if (!mongoose.models.Tag) {
+    mongoose.model('Tag', new mongoose.Schema({ label: { type: String, required: true } }));
+  }
+  const entry = fileURLToPath(new URL('./fixtures/mongoose/app.js', import.meta.url));
+  const docs = await new DocumentationBuilder({ static: true, mongoose }).buildDocumentation(entry);
+  const stored = docs.map(doc => new ApiDocumentation(doc).toObject());
+
+  assertEquals(JSON.stringify(stored[1].responseSchema), JSON.stringify(docs[1].responseSchema),
+    'Should keep items and x-model of stored response schemas');
+  const spec = new OpenAPIGenerator().generateSpec(stored);
+  assertExists(spec.paths['/tags'].get.responses['200'].content['application/json'].schema.items,
+    'Should export array schemas read back from the database');
+  assertExists(spec.components.schemas.Tag, 'Should export model components read back from the database');
+});
+
 // Summary
 console.log(`\n${'='.repeat(50)}`);
 console.log(`Test Results:`);